@@ -0,0 +1,4499 @@
+// =================================================================
+// NBHWC STUDY PLATFORM - BACKEND API
+// =================================================================
+// This version uses the live database for users/stats, quizzes,
+// flashcards, branching scenarios and puzzles. Content is loaded
+// with the importer in import-content.js.
+//
+// The app is built by createApp from a database pool and its
+// configuration, so the server (index.js) and the integration tests
+// (tests/) can each hand it their own.
+// =================================================================
+
+// --- 1. IMPORTS & SETUP ---
+const crypto = require('crypto');
+const express = require('express');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const cors = require('cors');
+const { slugify, validateScenario, saveScenario, loadScenario } = require('./scenario-graph');
+const { migrationStatus } = require('./migrate');
+const { createMailer } = require('./mailer');
+const { createZip } = require('./zip');
+const {
+  quizSessionEvidence, puzzleEvidence, recordMastery, refreshMasteryDecay, loadOwnMastery, loadTopicMastery
+} = require('./mastery');
+const {
+  TAXONOMY_LEVELS, OUTLINE_CODE_PATTERN, placementError, topLevelNodes, rollUpMastery, buildTaxonomyTree, loadTaxonomy, setContentTags
+} = require('./taxonomy');
+const { WEEKDAYS, addDays, daysBetween, validatePlanSettings, generateStudyPlan, studyPlanToICalendar } = require('./study-plan');
+const { REMEDIATION_LINK_TYPES, loadRemediationContent, remediationLinkErrors, saveRemediationContent, loadRemediation } = require('./remediation');
+const { ApiError, notFoundHandler, errorHandler } = require('./errors');
+const { createLogger, requestLogger } = require('./logger');
+const {
+  validate, checkInput, optional, nullable, string, email, integer, id, boolean, oneOf, date, timestamp, array, commaList, object, mapOf, any
+} = require('./validation');
+
+// pool: a pg Pool. config: { jwtSecret, appUrl (base of links in emails), trustProxy (Express
+// 'trust proxy' setting, or false) }. The logger and mailer default to the ones set up from the environment.
+function createApp({ pool, config, logger = createLogger(), mailer = createMailer() }) {
+  if (!config || !config.jwtSecret) throw new Error('createApp needs config.jwtSecret.');
+
+  const app = express();
+
+  // --- 2. CONFIGURATION & MIDDLEWARE ---
+  app.use(requestLogger(logger));
+  // Offline clients upload a backlog of study activity in one request.
+  app.use('/api/sync/uploads', express.json({ limit: '2mb' }));
+  app.use(express.json());
+  app.use(cors());
+
+  // Behind a load balancer req.ip is only the client's address if Express trusts the proxy hop.
+  if (config.trustProxy) app.set('trust proxy', config.trustProxy);
+
+  // --- JWT CONFIGURATION ---
+  const JWT_SECRET = config.jwtSecret;
+  const ACCESS_TOKEN_TTL = '15m';
+  const REFRESH_TOKEN_TTL_DAYS = 30;
+  const PASSWORD_RESET_TTL_MINUTES = 60;
+  const LOGIN_ATTEMPT_LIMIT = 5;
+  const LOGIN_ATTEMPT_LIMIT_PER_EMAIL = 20;
+  const LOGIN_ATTEMPT_LIMIT_PER_IP = 50;
+  const LOGIN_ATTEMPT_WINDOW_MINUTES = 15;
+  const MIN_PASSWORD_LENGTH = 8;
+  // bcrypt ignores everything after the first 72 bytes, so longer passwords would only look stronger.
+  const MAX_PASSWORD_LENGTH = 72;
+
+  const newPassword = () => string({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, trim: false });
+  // Refresh, reset and calendar feed tokens are random hex strings.
+  const opaqueToken = () => string({ max: 100 });
+  // Answers are matched against option_text exactly, so they are not trimmed.
+  const optionText = () => string({ max: 255, trim: false });
+
+  // --- 4. AUTHENTICATION MIDDLEWARE ---
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (token == null) return next(new ApiError(401, 'Authentication required.'));
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+      if (err) return next(new ApiError(403, 'Your session is invalid or has expired.', 'INVALID_TOKEN'));
+      req.user = user;
+      next();
+    });
+  };
+
+  // Every account is a learner; editors manage content and admins also manage roles.
+  // The first admin is promoted directly in the database.
+  const ROLES = ['learner', 'editor', 'admin'];
+  const CONTENT_ROLES = ['editor', 'admin'];
+
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) return next(new ApiError(403, 'You do not have permission to do this.'));
+    next();
+  };
+
+  // --- 5. API ROUTES ---
+
+  // --- HEALTH ROUTES ---
+  // /health only says the process is up. /ready also needs the database to answer with the schema this
+  // code expects, so a load balancer stops sending traffic to an instance that cannot serve it.
+  const READINESS_TIMEOUT_MS = 2000;
+
+  const withTimeout = (promise, ms) => Promise.race([
+      promise,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms} ms.`)), ms).unref())
+  ]);
+
+  app.get('/health', (req, res) => {
+      res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  app.get('/ready', async (req, res) => {
+      const checks = { database: 'ok', schema: 'ok' };
+      try {
+          await withTimeout(pool.query('SELECT 1'), READINESS_TIMEOUT_MS);
+          const { pending, unknown } = await withTimeout(migrationStatus(pool), READINESS_TIMEOUT_MS);
+          if (pending.length > 0 || unknown.length > 0) checks.schema = 'outdated';
+      } catch (error) {
+          req.log.warn('readiness check failed', { err: error });
+          checks.database = 'unavailable';
+          checks.schema = 'unknown';
+      }
+      checks.pool = { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+
+      const ready = checks.database === 'ok' && checks.schema === 'ok';
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+  });
+
+  // --- AUTH ROUTES ---
+  app.post('/api/auth/register', validate({ body: { fullName: string(), email: email(), password: newPassword() } }), async (req, res, next) => {
+    try {
+      const { fullName, email, password } = req.body;
+
+      const userExists = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+      if (userExists.rows.length > 0) return next(new ApiError(409, 'Email already exists.'));
+
+      const passwordHash = await bcrypt.hash(password, 10);
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const newUserQuery = 'INSERT INTO users (full_name, email, password_hash) VALUES ($1, $2, $3) RETURNING user_id, email, full_name';
+          const newUser = await client.query(newUserQuery, [fullName, email, passwordHash]);
+          const userId = newUser.rows[0].user_id;
+
+          await client.query('INSERT INTO user_stats (user_id) VALUES ($1)', [userId]);
+
+          await client.query('COMMIT');
+          res.status(201).json(newUser.rows[0]);
+      } catch (e) {
+          await client.query('ROLLBACK');
+          throw e;
+      } finally {
+          client.release();
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Opaque tokens (refresh and password reset) are random strings; only their hashes are stored.
+  const newOpaqueToken = () => crypto.randomBytes(32).toString('base64url');
+  const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  const tokenPayload = (user) => ({ userId: user.user_id, email: user.email, name: user.full_name, role: user.role });
+
+  async function issueRefreshToken(db, userId) {
+    const refreshToken = newOpaqueToken();
+    const result = await db.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3)) RETURNING token_id`,
+      [userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+    return { refreshToken, tokenId: result.rows[0].token_id };
+  }
+
+  // A short-lived JWT for API calls plus a refresh token to get the next one.
+  async function issueSession(db, user) {
+    const payload = tokenPayload(user);
+    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const { refreshToken, tokenId } = await issueRefreshToken(db, user.user_id);
+    return { token, refreshToken, tokenId, user: payload };
+  }
+
+  async function revokeRefreshTokens(db, userId) {
+    await db.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
+  }
+
+  // Failed logins are counted per email and client IP, so one attacker cannot lock a user out everywhere
+  // after a few guesses. Looser limits on each email across all IPs and on each IP across all emails stop
+  // guessing one password from many addresses and trying one password against many accounts.
+  const loginThrottleKey = (req, email) => [String(email || '').trim().toLowerCase(), req.ip || 'unknown'];
+
+  const loginThrottles = (email, ip) => [
+    { limit: LOGIN_ATTEMPT_LIMIT, counts: row => row.email === email && row.ip_address === ip },
+    { limit: LOGIN_ATTEMPT_LIMIT_PER_EMAIL, counts: row => row.email === email },
+    { limit: LOGIN_ATTEMPT_LIMIT_PER_IP, counts: row => row.ip_address === ip }
+  ];
+
+  async function loginRetryAfterSeconds(req, email) {
+    const [key, ip] = loginThrottleKey(req, email);
+    const result = await pool.query(
+      `SELECT email, ip_address, attempted_at
+       FROM failed_logins
+       WHERE (email = $1 OR ip_address = $2) AND attempted_at > CURRENT_TIMESTAMP - make_interval(mins => $3)
+       ORDER BY attempted_at DESC`,
+      [key, ip, LOGIN_ATTEMPT_WINDOW_MINUTES]
+    );
+    let retryAfter = 0;
+    for (const { limit, counts } of loginThrottles(key, ip)) {
+      const failures = result.rows.filter(counts);
+      if (failures.length < limit) continue;
+      // Blocked until enough failures leave the window to bring the count back under the limit.
+      const windowEnds = new Date(failures[limit - 1].attempted_at).getTime() + LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+      retryAfter = Math.max(retryAfter, 1, Math.ceil((windowEnds - Date.now()) / 1000));
+    }
+    return retryAfter;
+  }
+
+  async function recordFailedLogin(req, email) {
+    const [key, ip] = loginThrottleKey(req, email);
+    await pool.query('INSERT INTO failed_logins (email, ip_address) VALUES ($1, $2)', [key, ip]);
+    await pool.query(
+      'DELETE FROM failed_logins WHERE (email = $1 OR ip_address = $2) AND attempted_at <= CURRENT_TIMESTAMP - make_interval(mins => $3)',
+      [key, ip, LOGIN_ATTEMPT_WINDOW_MINUTES]
+    );
+  }
+
+  app.post('/api/auth/login', validate({ body: { email: email(), password: string({ max: MAX_PASSWORD_LENGTH, trim: false }) } }), async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const retryAfter = await loginRetryAfterSeconds(req, email);
+      if (retryAfter > 0) {
+        return next(new ApiError(429, 'Too many failed login attempts. Please try again later.', 'RATE_LIMITED', { retryAfter }));
+      }
+
+      const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+      const user = result.rows[0];
+      const isMatch = user ? await bcrypt.compare(password, user.password_hash) : false;
+      if (!isMatch) {
+        await recordFailedLogin(req, email);
+        return next(new ApiError(401, 'Invalid credentials.'));
+      }
+
+      await pool.query('DELETE FROM failed_logins WHERE email = $1 AND ip_address = $2', loginThrottleKey(req, email));
+      const { token, refreshToken, user: payload } = await issueSession(pool, user);
+      res.json({ token, refreshToken, user: payload });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Exchanges a refresh token for a new access token and a new refresh token. Each refresh token
+  // works once; presenting one that was already rotated means it leaked, so every session of that
+  // user is revoked.
+  app.post('/api/auth/refresh', validate({ body: { refreshToken: opaqueToken() } }), async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const tokenResult = await client.query(
+        `SELECT token_id, user_id, revoked_at, expires_at <= CURRENT_TIMESTAMP as expired
+         FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE`,
+        [hashToken(refreshToken)]
+      );
+      const stored = tokenResult.rows[0];
+      if (!stored || stored.expired) {
+        await client.query('ROLLBACK');
+        return next(new ApiError(401, 'Refresh token is invalid or expired.'));
+      }
+      if (stored.revoked_at) {
+        await revokeRefreshTokens(client, stored.user_id);
+        await client.query('COMMIT');
+        return next(new ApiError(401, 'Refresh token was already used. Please log in again.'));
+      }
+
+      const userResult = await client.query('SELECT user_id, email, full_name, role FROM users WHERE user_id = $1', [stored.user_id]);
+      const session = await issueSession(client, userResult.rows[0]);
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE token_id = $2',
+        [session.tokenId, stored.token_id]
+      );
+      await client.query('COMMIT');
+      res.json({ token: session.token, refreshToken: session.refreshToken, user: session.user });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      next(error);
+    } finally {
+      client.release();
+    }
+  });
+
+  // Revokes the given refresh token, or every session of its user with { all: true }.
+  // The access token in hand simply runs out.
+  app.post('/api/auth/logout', validate({ body: { refreshToken: opaqueToken(), all: optional(boolean(), false) } }), async (req, res, next) => {
+    const { refreshToken, all } = req.body;
+
+    try {
+      const result = await pool.query(
+        'UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE token_hash = $1 RETURNING user_id',
+        [hashToken(refreshToken)]
+      );
+      if (all && result.rows.length > 0) await revokeRefreshTokens(pool, result.rows[0].user_id);
+      res.sendStatus(204);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Always answers the same way so the endpoint cannot be used to find out which emails have accounts.
+  app.post('/api/auth/password-reset', validate({ body: { email: email() } }), async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+      const userResult = await pool.query('SELECT user_id, email, full_name FROM users WHERE email = $1', [email]);
+      const user = userResult.rows[0];
+      if (user) {
+        const resetToken = newOpaqueToken();
+        await pool.query(
+          `INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+           VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+          [hashToken(resetToken), user.user_id, PASSWORD_RESET_TTL_MINUTES]
+        );
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your NBHWC Study Platform password',
+          text: `Hi ${user.full_name || 'there'},\n\nUse this link to choose a new password. It works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${config.appUrl}/reset-password?token=${resetToken}\n\nIf you did not ask for this, you can ignore this email.`
+        });
+      }
+      res.status(202).json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Sets a new password with a reset token. The token is consumed, and every existing session is
+  // revoked so a stolen refresh token stops working too.
+  app.post('/api/auth/password-reset/confirm', validate({ body: { token: opaqueToken(), password: newPassword() } }), async (req, res, next) => {
+    const { token, password } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const tokenResult = await client.query(
+        `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return next(new ApiError(400, 'Reset link is invalid or has expired.'));
+      }
+      const userId = tokenResult.rows[0].user_id;
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      await client.query('UPDATE users SET password_hash = $1 WHERE user_id = $2', [passwordHash, userId]);
+      await client.query('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL', [userId]);
+      await revokeRefreshTokens(client, userId);
+      await client.query('COMMIT');
+      res.json({ message: 'Password updated. Please log in with your new password.' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      next(error);
+    } finally {
+      client.release();
+    }
+  });
+
+  // --- DATA ROUTES ---
+
+  app.get('/api/user/data', authenticateToken, async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const [statsRes, topicMastery, achievementsRes, planRes, reviewQueueRes, preferencesRes] = await Promise.all([
+          // A streak only counts while the user studied today or yesterday in their own timezone.
+          pool.query(`
+              SELECT user_id, points, level, readiness, last_study_date, timezone,
+                     CASE WHEN last_study_date >= (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date - 1 THEN current_streak ELSE 0 END as current_streak
+              FROM user_stats WHERE user_id = $1
+          `, [userId]),
+          loadTopicMastery(pool, userId),
+          pool.query('SELECT achievement_id FROM user_achievements WHERE user_id = $1', [userId]),
+          pool.query('SELECT settings, plan_data FROM user_study_plans WHERE user_id = $1', [userId]),
+          pool.query(`
+              SELECT COUNT(*) FILTER (WHERE r.flashcard_id IS NOT NULL)::int as due,
+                     COUNT(*) FILTER (WHERE r.flashcard_id IS NULL)::int as new
+              FROM flashcards f
+              LEFT JOIN flashcard_reviews r ON r.flashcard_id = f.flashcard_id AND r.user_id = $1
+              WHERE f.retired_at IS NULL
+                AND (r.due_date IS NULL OR r.due_date <= (CURRENT_TIMESTAMP AT TIME ZONE COALESCE($2, (SELECT timezone FROM user_stats WHERE user_id = $1), 'UTC'))::date)
+          `, [userId, requestTimezone(req)]),
+          pool.query('SELECT leaderboard_opt_out as "leaderboardOptOut" FROM users WHERE user_id = $1', [userId])
+      ]);
+
+      if (statsRes.rows.length === 0) return next(new ApiError(404, 'User data not found.'));
+
+      // Rolled-up mastery by topic name, for every node of the taxonomy.
+      const mastery = topicMastery.reduce((acc, node) => ({...acc, [node.name]: node.mastery }), {});
+      const unlockedAchievements = achievementsRes.rows.map(row => row.achievement_id);
+      const plan = planRes.rows[0];
+
+      res.json({
+          stats: statsRes.rows[0],
+          mastery: mastery,
+          masteryTree: buildTaxonomyTree(topicMastery),
+          unlockedAchievements: unlockedAchievements,
+          planSettings: plan ? plan.settings : null,
+          personalizedPlan: plan ? plan.plan_data : null,
+          reviewQueue: reviewQueueRes.rows[0],
+          preferences: preferencesRes.rows[0]
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // --- ACCOUNT ROUTES ---
+  // Users manage their own account. Changing the email or password and deleting the account need the
+  // current password again, so a stolen access token alone cannot take the account over. Every change
+  // is written to account_events.
+
+  const ACCOUNT_EXPORT_FORMATS = ['json', 'zip'];
+  // One query per exported table. Password hashes and calendar feed tokens are secrets, not data.
+  const ACCOUNT_EXPORT_QUERIES = {
+    users: 'SELECT user_id, email, full_name, role, leaderboard_opt_out, created_at FROM users WHERE user_id = $1',
+    user_stats: 'SELECT * FROM user_stats WHERE user_id = $1',
+    user_mastery: 'SELECT um.*, t.topic_name FROM user_mastery um JOIN topics t ON t.topic_id = um.topic_id WHERE um.user_id = $1 ORDER BY t.topic_name',
+    user_mastery_history: `SELECT h.*, t.topic_name FROM user_mastery_history h JOIN topics t ON t.topic_id = h.topic_id
+                           WHERE h.user_id = $1 ORDER BY h.recorded_at, h.history_id`,
+    user_achievements: 'SELECT * FROM user_achievements WHERE user_id = $1 ORDER BY unlocked_at',
+    user_study_plans: 'SELECT user_id, settings, plan_data, updated_at FROM user_study_plans WHERE user_id = $1'
+  };
+
+  const currentPassword = () => string({ max: MAX_PASSWORD_LENGTH, trim: false });
+
+  async function recordAccountEvent(db, req, userId, eventType, details = {}) {
+    await db.query(
+      'INSERT INTO account_events (user_id, event_type, details, ip_address) VALUES ($1, $2, $3, $4)',
+      [userId, eventType, details, req.ip || null]
+    );
+  }
+
+  // Checks the caller's current password and returns their user row. Wrong guesses count towards the
+  // same throttle as failed logins.
+  async function reauthenticate(req, password) {
+    const result = await pool.query('SELECT * FROM users WHERE user_id = $1', [req.user.userId]);
+    const user = result.rows[0];
+    if (!user) throw new ApiError(404, 'Account not found.');
+
+    const retryAfter = await loginRetryAfterSeconds(req, user.email);
+    if (retryAfter > 0) {
+      throw new ApiError(429, 'Too many failed password attempts. Please try again later.', 'RATE_LIMITED', { retryAfter });
+    }
+    if (!await bcrypt.compare(password, user.password_hash)) {
+      await recordFailedLogin(req, user.email);
+      throw new ApiError(403, 'Your current password is incorrect.', 'INVALID_PASSWORD');
+    }
+    await pool.query('DELETE FROM failed_logins WHERE email = $1 AND ip_address = $2', loginThrottleKey(req, user.email));
+    return user;
+  }
+
+  // Tells the owner about a sensitive change. Sent after the change is committed; a mail failure is
+  // logged rather than reported, since the change itself went through.
+  function sendSecurityNotice(req, user, change) {
+    mailer.send({
+      to: user.email,
+      subject: 'Your NBHWC Study Platform account was changed',
+      text: `Hi ${user.full_name || 'there'},\n\n${change}\n\nIf this was not you, reset your password right away.`
+    }).catch(error => req.log.warn('security notice was not sent', { err: error, userId: user.user_id }));
+  }
+
+  app.get('/api/user/profile', authenticateToken, async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        'SELECT user_id as "userId", email, full_name as "fullName", role, created_at as "createdAt" FROM users WHERE user_id = $1',
+        [req.user.userId]
+      );
+      if (result.rows.length === 0) return next(new ApiError(404, 'Account not found.'));
+      res.json(result.rows[0]);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Returns a fresh access token as well, because the old one still carries the old name and email.
+  app.put('/api/user/profile', authenticateToken, validate({
+    body: { fullName: optional(string()), email: optional(email()), currentPassword: optional(currentPassword()) }
+  }), async (req, res, next) => {
+    const { fullName, email, currentPassword } = req.body;
+    const userId = req.user.userId;
+    if (fullName === undefined && email === undefined) return next(new ApiError(400, 'Provide a fullName or an email to change.'));
+
+    try {
+      const userResult = await pool.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+      let user = userResult.rows[0];
+      if (!user) return next(new ApiError(404, 'Account not found.'));
+
+      const emailChanged = email !== undefined && email !== user.email;
+      if (emailChanged) {
+        if (currentPassword === undefined) {
+          return next(new ApiError(400, 'Enter your current password to change your email.', 'PASSWORD_REQUIRED'));
+        }
+        user = await reauthenticate(req, currentPassword);
+      }
+
+      const changed = [fullName !== undefined && fullName !== user.full_name && 'fullName', emailChanged && 'email'].filter(Boolean);
+      const client = await pool.connect();
+      let updated;
+      try {
+        await client.query('BEGIN');
+        const result = await client.query(
+          'UPDATE users SET full_name = COALESCE($1, full_name), email = COALESCE($2, email) WHERE user_id = $3 RETURNING user_id, email, full_name, role',
+          [fullName ?? null, emailChanged ? email : null, userId]
+        );
+        updated = result.rows[0];
+        if (changed.length > 0) await recordAccountEvent(client, req, userId, 'profile_updated', { fields: changed });
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        if (e.code === '23505') return next(new ApiError(409, 'Email already exists.'));
+        throw e;
+      } finally {
+        client.release();
+      }
+
+      // The notice goes to the old address, where the owner will still see it.
+      if (emailChanged) sendSecurityNotice(req, user, `The email address on your account was changed to ${updated.email}.`);
+      const payload = tokenPayload(updated);
+      res.json({ user: payload, token: jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Every other session is signed out; the caller gets a new session to carry on with.
+  app.put('/api/user/password', authenticateToken, validate({
+    body: { currentPassword: currentPassword(), newPassword: newPassword() }
+  }), async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const user = await reauthenticate(req, currentPassword);
+      const passwordHash = await bcrypt.hash(newPassword, 10);
+
+      const client = await pool.connect();
+      let session;
+      try {
+        await client.query('BEGIN');
+        await client.query('UPDATE users SET password_hash = $1 WHERE user_id = $2', [passwordHash, user.user_id]);
+        await client.query('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL', [user.user_id]);
+        await revokeRefreshTokens(client, user.user_id);
+        session = await issueSession(client, user);
+        await recordAccountEvent(client, req, user.user_id, 'password_changed');
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      } finally {
+        client.release();
+      }
+
+      sendSecurityNotice(req, user, 'The password on your account was changed, and every other device was signed out.');
+      res.json({ token: session.token, refreshToken: session.refreshToken, user: session.user });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Everything stored about the account, one consistent snapshot, as a JSON document or a ZIP with one
+  // JSON file per table.
+  app.get('/api/user/export', authenticateToken, validate({
+    query: { format: optional(oneOf(ACCOUNT_EXPORT_FORMATS), 'json') }
+  }), async (req, res, next) => {
+    const { format } = req.query;
+    const userId = req.user.userId;
+
+    try {
+      const tables = {};
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        for (const [table, query] of Object.entries(ACCOUNT_EXPORT_QUERIES)) {
+          tables[table] = (await client.query(query, [userId])).rows;
+        }
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      } finally {
+        client.release();
+      }
+      if (tables.users.length === 0) return next(new ApiError(404, 'Account not found.'));
+      await recordAccountEvent(pool, req, userId, 'data_exported', { format });
+
+      const exportedAt = new Date();
+      res.set('Content-Disposition', `attachment; filename="nbhwc-account-data.${format}"`);
+      if (format === 'json') return res.json({ exportedAt: exportedAt.toISOString(), tables });
+
+      const files = Object.entries(tables).map(([table, rows]) => ({ name: `${table}.json`, content: JSON.stringify(rows, null, 2) }));
+      res.type('application/zip').send(createZip(files, exportedAt));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Deletes the account and, through the foreign keys, everything that belongs to it. Study groups it
+  // leaves without an instructor pass to their longest-standing member; groups it was alone in close.
+  // The audit entry keeps only a hash of the email, enough to confirm a deletion when asked.
+  app.delete('/api/user', authenticateToken, validate({ body: { currentPassword: currentPassword() } }), async (req, res, next) => {
+    try {
+      const user = await reauthenticate(req, req.body.currentPassword);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const lockResult = await client.query('SELECT user_id FROM users WHERE user_id = $1 FOR UPDATE', [user.user_id]);
+        if (lockResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return next(new ApiError(404, 'Account not found.'));
+        }
+
+        const handedOver = await client.query(`
+          UPDATE study_group_members m SET role = 'instructor'
+          FROM (
+            SELECT DISTINCT ON (other.group_id) other.group_id, other.user_id
+            FROM study_group_members mine
+            JOIN study_group_members other ON other.group_id = mine.group_id AND other.user_id <> mine.user_id
+            WHERE mine.user_id = $1 AND mine.role = 'instructor'
+              AND NOT EXISTS (
+                SELECT 1 FROM study_group_members i WHERE i.group_id = mine.group_id AND i.role = 'instructor' AND i.user_id <> $1
+              )
+            ORDER BY other.group_id, other.joined_at, other.user_id
+          ) heir
+          WHERE m.group_id = heir.group_id AND m.user_id = heir.user_id
+          RETURNING m.group_id
+        `, [user.user_id]);
+        const closed = await client.query(`
+          DELETE FROM study_groups g
+          WHERE EXISTS (SELECT 1 FROM study_group_members m WHERE m.group_id = g.group_id AND m.user_id = $1)
+            AND NOT EXISTS (SELECT 1 FROM study_group_members m WHERE m.group_id = g.group_id AND m.user_id <> $1)
+          RETURNING group_id
+        `, [user.user_id]);
+        await client.query('DELETE FROM failed_logins WHERE email = $1', [loginThrottleKey(req, user.email)[0]]);
+
+        await client.query('DELETE FROM users WHERE user_id = $1', [user.user_id]);
+        await recordAccountEvent(client, req, user.user_id, 'account_deleted', {
+          emailHash: hashToken(user.email.toLowerCase()),
+          groupsHandedOver: handedOver.rows.map(row => row.group_id),
+          groupsClosed: closed.rows.map(row => row.group_id)
+        });
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      } finally {
+        client.release();
+      }
+
+      req.log.info('account deleted', { deletedUserId: user.user_id });
+      res.sendStatus(204);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/admin/users/:id/account-events', authenticateToken, requireRole('admin'), validate({ params: { id: id() } }), async (req, res, next) => {
+    try {
+      const result = await pool.query(`
+        SELECT event_id as id, event_type as "eventType", details, ip_address as "ipAddress", created_at as "createdAt"
+        FROM account_events WHERE user_id = $1 ORDER BY created_at DESC, event_id DESC
+      `, [req.params.id]);
+      res.json(result.rows);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // --- STUDY PLAN ---
+
+  // Mastery gained or lost over this many days decides whether a topic counts as stalled.
+  const STUDY_PLAN_TREND_DAYS = 14;
+
+  // The user's current date in their own timezone, as YYYY-MM-DD.
+  const userToday = async (db, userId, timezone = null) => {
+      const result = await db.query(
+          `SELECT to_char((CURRENT_TIMESTAMP AT TIME ZONE COALESCE($2, timezone))::date, 'YYYY-MM-DD') as today FROM user_stats WHERE user_id = $1`,
+          [userId, timezone]
+      );
+      return result.rows[0]?.today || new Date().toISOString().slice(0, 10);
+  };
+
+  // Loads mastery, its recent trend and the scenario queue, then builds a plan starting `today`.
+  // The plan works over the top level of the taxonomy, with each domain's rolled-up mastery.
+  const buildStudyPlan = async (db, userId, settings, today) => {
+      const trendStart = new Date(Date.now() - STUDY_PLAN_TREND_DAYS * 24 * 60 * 60 * 1000);
+      const [current, earlier, scenariosResult] = await Promise.all([
+          loadTopicMastery(db, userId),
+          loadTopicMastery(db, userId, trendStart),
+          // Scenarios the user has not yet finished well come first.
+          db.query(`
+              SELECT s.scenario_id as id, s.title FROM scenarios s
+              WHERE s.retired_at IS NULL
+              ORDER BY EXISTS (
+                  SELECT 1 FROM scenario_runs r
+                  WHERE r.scenario_id = s.scenario_id AND r.user_id = $1 AND r.status = 'completed' AND r.outcome = 'positive'
+              ), s.scenario_id
+          `, [userId])
+      ]);
+
+      const earlierMastery = new Map(earlier.map(node => [node.id, node.mastery]));
+      const topics = topLevelNodes(current).map(node => ({
+          topic: node.name,
+          mastery: node.mastery,
+          trend: node.mastery - (earlierMastery.get(node.id) ?? 0),
+          blueprintWeight: MOCK_EXAM_BLUEPRINT[node.name] ?? MOCK_EXAM_DEFAULT_WEIGHT
+      }));
+      return generateStudyPlan({ settings, today, topics, scenarios: scenariosResult.rows });
+  };
+
+  // Rebuilds a saved plan from today with current mastery. Called whenever mastery changes, so the
+  // schedule keeps leaning toward whatever is weakest now. Plans whose exam has passed are left alone.
+  const rebalanceStudyPlan = async (db, userId) => {
+      const planResult = await db.query('SELECT settings FROM user_study_plans WHERE user_id = $1', [userId]);
+      const settings = planResult.rows[0]?.settings;
+      if (!settings) return null;
+
+      const today = await userToday(db, userId);
+      if (validatePlanSettings(settings, today).length > 0) return null;
+
+      const plan = await buildStudyPlan(db, userId, settings, today);
+      await db.query('UPDATE user_study_plans SET plan_data = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2', [plan, userId]);
+      return plan;
+  };
+
+  // Calendar apps cannot send a bearer token, so the feed is addressed by a secret URL instead.
+  const studyPlanFeedUrl = (req, feedToken) => `${req.protocol}://${req.get('host')}/api/study-plan/feed/${feedToken}.ics`;
+
+  app.get('/api/study-plan', authenticateToken, async (req, res, next) => {
+      const userId = req.user.userId;
+      try {
+          const result = await pool.query('SELECT settings, plan_data, feed_token FROM user_study_plans WHERE user_id = $1', [userId]);
+          const row = result.rows[0];
+          if (!row) return next(new ApiError(404, 'No study plan yet.'));
+
+          // Roll the plan forward once its first day is in the past.
+          let plan = row.plan_data;
+          if (plan && plan.startDate && plan.startDate < await userToday(pool, userId, requestTimezone(req))) {
+              plan = (await rebalanceStudyPlan(pool, userId)) || plan;
+          }
+          res.json({ settings: row.settings, plan, feedUrl: row.feed_token ? studyPlanFeedUrl(req, row.feed_token) : null });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Takes { settings: { examDate, minutesPerDay, studyDays } } and generates the plan on the server.
+  app.post('/api/study-plan', authenticateToken, validate({
+      body: {
+          // Ranges that depend on today are checked by validatePlanSettings.
+          settings: object({ examDate: date(), minutesPerDay: integer(), studyDays: array(oneOf(WEEKDAYS), { min: 1, max: 7, unique: true }) })
+      }
+  }), async (req, res, next) => {
+      const { settings } = req.body;
+      const userId = req.user.userId;
+
+      try {
+          const today = await userToday(pool, userId, requestTimezone(req));
+          const errors = validatePlanSettings(settings, today);
+          if (errors.length > 0) return next(new ApiError(400, 'Invalid study plan settings.', 'VALIDATION_FAILED', { errors }));
+
+          const planSettings = { examDate: settings.examDate, minutesPerDay: settings.minutesPerDay, studyDays: settings.studyDays };
+          const plan = await buildStudyPlan(pool, userId, planSettings, today);
+          const query = `
+              INSERT INTO user_study_plans (user_id, settings, plan_data, feed_token)
+              VALUES ($1, $2, $3, $4)
+              ON CONFLICT (user_id) DO UPDATE
+              SET settings = EXCLUDED.settings, plan_data = EXCLUDED.plan_data, updated_at = CURRENT_TIMESTAMP,
+                  feed_token = COALESCE(user_study_plans.feed_token, EXCLUDED.feed_token)
+              RETURNING feed_token;
+          `;
+          const result = await pool.query(query, [userId, planSettings, plan, newOpaqueToken()]);
+          res.status(200).json({ settings: planSettings, plan, feedUrl: studyPlanFeedUrl(req, result.rows[0].feed_token) });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Issues a new feed URL; the old one stops working.
+  app.post('/api/study-plan/feed-token', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query(
+              'UPDATE user_study_plans SET feed_token = $1 WHERE user_id = $2 RETURNING feed_token',
+              [newOpaqueToken(), req.user.userId]
+          );
+          if (result.rows.length === 0) return next(new ApiError(404, 'No study plan yet.'));
+          res.json({ feedUrl: studyPlanFeedUrl(req, result.rows[0].feed_token) });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  const sendStudyPlanCalendar = (res, row) => {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="nbhwc-study-plan.ics"');
+      res.send(studyPlanToICalendar(row.plan_data, `study-plan-${row.user_id}`));
+  };
+
+  app.get('/api/study-plan/calendar.ics', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT user_id, plan_data FROM user_study_plans WHERE user_id = $1', [req.user.userId]);
+          const row = result.rows[0];
+          if (!row || !row.plan_data || !row.plan_data.days) return next(new ApiError(404, 'No study plan yet.'));
+          sendStudyPlanCalendar(res, row);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/study-plan/feed/:feedToken.ics', validate({ params: { feedToken: opaqueToken() } }), async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT user_id, plan_data FROM user_study_plans WHERE feed_token = $1', [req.params.feedToken]);
+          const row = result.rows[0];
+          if (!row || !row.plan_data || !row.plan_data.days) return next(new ApiError(404, 'Calendar feed not found.'));
+          sendStudyPlanCalendar(res, row);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+
+  // --- QUIZ SELECTION ---
+
+  const QUIZ_MODES = ['random', 'adaptive'];
+  // Quiz length is asked for in minutes and turned into a question count (about 1.5 minutes each).
+  const QUIZ_DEFAULT_DURATION_MINUTES = 15;
+  const QUIZ_MAX_DURATION_MINUTES = 240;
+  // Questions answered within this window are pushed to the back of the adaptive queue.
+  const RECENTLY_SEEN_INTERVAL = '2 days';
+
+  // Each mode ranks candidate questions within a topic; lower ranks are picked first.
+  // Adaptive mode targets the difficulty band that matches the user's mastery (1-3),
+  // favours questions the user last got wrong and avoids ones they have just seen.
+  const QUIZ_PRIORITY = {
+      random: 'random()',
+      adaptive: `
+          ABS(c.difficulty - CASE WHEN c.mastery < 40 THEN 1 WHEN c.mastery < 75 THEN 2 ELSE 3 END)
+          + CASE WHEN c.last_seen > CURRENT_TIMESTAMP - INTERVAL '${RECENTLY_SEEN_INTERVAL}' THEN 3 ELSE 0 END
+          - CASE WHEN c.last_correct = false THEN 1.5 ELSE 0 END
+          + random()
+      `
+  };
+
+  // Ids of the questions tagged with one of the topics named in the array `param`, or with any topic below them.
+  const questionsUnderTopics = (param) => `
+      SELECT ct.entity_id FROM topics r
+      JOIN topic_closure tc ON tc.ancestor_id = r.topic_id
+      JOIN content_tags ct ON ct.entity_type = 'question' AND ct.topic_id = tc.topic_id
+      WHERE r.topic_name = ANY(${param}) AND r.retired_at IS NULL`;
+
+  // A requested topic covers every question tagged with it or with any topic below it. A question
+  // that falls under several requested topics is only dealt once.
+  const quizQuestionsQuery = (mode) => `
+      WITH requested AS (
+          SELECT DISTINCT ON (ct.entity_id) ct.entity_id as question_id, r.topic_name as requested_topic
+          FROM topics r
+          JOIN topic_closure tc ON tc.ancestor_id = r.topic_id
+          JOIN content_tags ct ON ct.entity_type = 'question' AND ct.topic_id = tc.topic_id
+          WHERE r.topic_name = ANY($2) AND r.retired_at IS NULL
+          ORDER BY ct.entity_id, random()
+      ), candidates AS (
+          SELECT q.question_id, q.question_text, q.difficulty, t.topic_name, rq.requested_topic,
+                 COALESCE(um.mastery_score, 0) as mastery,
+                 last.is_correct as last_correct, last.answered_at as last_seen
+          FROM requested rq
+          JOIN questions q ON q.question_id = rq.question_id
+          JOIN topics t ON q.topic_id = t.topic_id
+          LEFT JOIN user_mastery um ON um.user_id = $1 AND um.topic_id = q.topic_id
+          LEFT JOIN LATERAL (
+              SELECT a.is_correct, a.answered_at FROM quiz_attempts a
+              WHERE a.user_id = $1 AND a.question_id = q.question_id
+              ORDER BY a.answered_at DESC LIMIT 1
+          ) last ON true
+          WHERE q.retired_at IS NULL AND t.retired_at IS NULL
+      ), ranked AS (
+          SELECT c.*, ROW_NUMBER() OVER (PARTITION BY c.requested_topic ORDER BY ${QUIZ_PRIORITY[mode]}) as rank
+          FROM candidates c
+      )
+      SELECT r.question_id, r.question_text, r.topic_name,
+             (SELECT json_agg(o) FROM (SELECT option_text, is_correct FROM question_options WHERE question_id = r.question_id ORDER BY random()) o) as options
+      FROM ranked r
+      WHERE r.rank <= $3
+      ORDER BY random()
+      LIMIT $4;
+  `;
+
+  // Drops questions that cannot be graded. The correct answer and explanations stay on the
+  // server until the question is answered.
+  const formatQuizQuestions = (rows) => rows.map(q => {
+      if (!q.options || q.options.length === 0) {
+          logger.warn('question skipped: it has no options', { questionId: q.question_id });
+          return null;
+      }
+      if (!q.options.some(opt => opt.is_correct)) {
+          logger.warn('question skipped: it has no correct option', { questionId: q.question_id });
+          return null;
+      }
+      return {
+          id: q.question_id,
+          topic: q.topic_name,
+          question: q.question_text,
+          options: q.options.map(opt => opt.option_text)
+      };
+  }).filter(Boolean);
+
+  // Stores a quiz session with its questions in order and returns the session id. Run inside a transaction.
+  const createQuizSession = async (client, userId, topicList, mode, questions, challengeId = null) => {
+      const sessionResult = await client.query(
+          'INSERT INTO quiz_sessions (user_id, topic_names, mode, challenge_id) VALUES ($1, $2, $3, $4) RETURNING session_id',
+          [userId, topicList, mode, challengeId]
+      );
+      const sessionId = sessionResult.rows[0].session_id;
+      for (let i = 0; i < questions.length; i++) {
+          await client.query(
+              'INSERT INTO quiz_session_questions (session_id, question_id, position) VALUES ($1, $2, $3)',
+              [sessionId, questions[i].id, i + 1]
+          );
+      }
+      return sessionId;
+  };
+
+  app.post('/api/quizzes', authenticateToken, validate({
+      body: {
+          topic: optional(string()),
+          topics: optional(array(string(), { max: 50, unique: true })),
+          duration: optional(integer({ min: 1, max: QUIZ_MAX_DURATION_MINUTES }), QUIZ_DEFAULT_DURATION_MINUTES),
+          mode: optional(oneOf(QUIZ_MODES), 'random')
+      }
+  }), async (req, res, next) => {
+      try {
+          const { topic, topics, duration, mode } = req.body;
+          const userId = req.user.userId;
+          const numQuestions = Math.max(3, Math.floor(duration / 1.5));
+
+          // A quiz can mix several topics; `topic` is kept for single-topic clients.
+          const topicList = Array.isArray(topics) && topics.length > 0 ? topics : [topic].filter(Boolean);
+          if (topicList.length === 0) return next(new ApiError(400, 'At least one topic is required.'));
+
+          const perTopic = Math.ceil(numQuestions / topicList.length);
+          const questionsResult = await pool.query(quizQuestionsQuery(mode), [userId, topicList, perTopic, numQuestions]);
+
+          if (questionsResult.rows.length > 0) {
+              const formattedQuestions = formatQuizQuestions(questionsResult.rows);
+
+              const client = await pool.connect();
+              try {
+                  await client.query('BEGIN');
+                  const sessionId = await createQuizSession(client, userId, topicList, mode, formattedQuestions);
+                  await client.query('COMMIT');
+                  return res.status(201).json({ sessionId, mode, questions: formattedQuestions });
+              } catch (e) {
+                  await client.query('ROLLBACK');
+                  throw e;
+              } finally {
+                  client.release();
+              }
+          }
+
+          next(new ApiError(404, 'No questions found for the selected topics.'));
+
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // The follow-up material linked to a missed question (see remediation.js). Related questions are
+  // served like quiz questions, without their answers.
+  const linkedRemediation = ({ flashcards, scenarioNodes, relatedQuestions }) => ({
+      flashcards,
+      scenarioNodes,
+      relatedQuestions: formatQuizQuestions(relatedQuestions)
+  });
+
+  app.post('/api/quizzes/:sessionId/answers', authenticateToken, validate({
+      params: { sessionId: id() }, body: { questionId: id(), answer: optionText() }
+  }), async (req, res, next) => {
+      const { sessionId } = req.params;
+      const { questionId, answer } = req.body;
+      const userId = req.user.userId;
+
+      try {
+          const sessionResult = await pool.query(
+              'SELECT status FROM quiz_sessions WHERE session_id = $1 AND user_id = $2',
+              [sessionId, userId]
+          );
+          const session = sessionResult.rows[0];
+          if (!session) return next(new ApiError(404, 'Quiz session not found.'));
+          if (session.status !== 'in_progress') return next(new ApiError(409, 'This quiz has already been submitted.'));
+
+          const questionResult = await pool.query(`
+              SELECT q.question_id, q.explanation, q.eli5_explanation
+              FROM quiz_session_questions sq
+              JOIN questions q ON q.question_id = sq.question_id
+              WHERE sq.session_id = $1 AND sq.question_id = $2
+          `, [sessionId, questionId]);
+          const question = questionResult.rows[0];
+          if (!question) return next(new ApiError(404, 'Question is not part of this quiz.'));
+
+          const optionsResult = await pool.query(
+              'SELECT option_id, option_text, is_correct FROM question_options WHERE question_id = $1',
+              [questionId]
+          );
+          const selected = optionsResult.rows.find(opt => opt.option_text === answer);
+          const correct = optionsResult.rows.find(opt => opt.is_correct);
+          const isCorrect = Boolean(selected && selected.is_correct);
+
+          const attemptResult = await pool.query(`
+              INSERT INTO quiz_attempts (session_id, user_id, question_id, selected_option_id, is_correct)
+              VALUES ($1, $2, $3, $4, $5)
+              ON CONFLICT (session_id, question_id) DO NOTHING
+              RETURNING attempt_id
+          `, [sessionId, userId, questionId, selected ? selected.option_id : null, isCorrect]);
+          if (attemptResult.rows.length === 0) return next(new ApiError(409, 'This question has already been answered.'));
+
+          // A miss also brings back the material linked to the question, so the learner can retry straight away.
+          const remediation = await loadRemediation(pool, questionId, { includeLinks: !isCorrect });
+          res.json({
+              correct: isCorrect,
+              answer: correct ? correct.option_text : null,
+              explanation: question.explanation,
+              eli5: question.eli5_explanation,
+              explanations: remediation.explanations,
+              references: remediation.references,
+              remediation: isCorrect ? null : linkedRemediation(remediation)
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Map(topicId -> topic name), for reporting mastery that is stored by id.
+  const topicNames = async (db, topicIds) => {
+      const result = await db.query('SELECT topic_id, topic_name FROM topics WHERE topic_id = ANY($1)', [topicIds]);
+      return new Map(result.rows.map(row => [row.topic_id, row.topic_name]));
+  };
+
+  // Grades a session, awards points and applies the answers to mastery. Shared by live submission and
+  // offline sync, where `at` is when the quiz was finished on the device and points are capped
+  // (`uploaded`, see uploadedQuizPoints). Run inside a transaction.
+  const finalizeQuizSession = async (client, userId, sessionId, at = new Date(), { uploaded = false } = {}) => {
+      // Unanswered questions count against the score. Mixed quizzes are tallied per topic.
+      const tallyResult = await client.query(`
+          SELECT t.topic_name,
+                 COUNT(*)::int as total_questions,
+                 COUNT(*) FILTER (WHERE a.is_correct)::int as correct_answers
+          FROM quiz_session_questions sq
+          JOIN questions q ON q.question_id = sq.question_id
+          JOIN topics t ON t.topic_id = q.topic_id
+          LEFT JOIN quiz_attempts a ON a.session_id = sq.session_id AND a.question_id = sq.question_id
+          WHERE sq.session_id = $1
+          GROUP BY t.topic_name
+      `, [sessionId]);
+      const totalQuestions = tallyResult.rows.reduce((sum, row) => sum + row.total_questions, 0);
+      const correctAnswers = tallyResult.rows.reduce((sum, row) => sum + row.correct_answers, 0);
+      const score = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
+
+      const pointsEarned = uploaded
+          ? await uploadedQuizPoints(client, userId, sessionId, at)
+          : (correctAnswers * 10) + (score === 100 ? 50 : 0);
+      await awardPoints(client, userId, pointsEarned, uploaded ? 'offline_quiz' : 'quiz', at);
+
+      // Mastery is rated answer by answer, so it can fall after a poor quiz (see mastery.js).
+      // Each answer counts towards every topic the question is tagged with.
+      const evidence = await quizSessionEvidence(client, sessionId);
+      const names = await topicNames(client, [...evidence.keys()]);
+      const mastery = {};
+      for (const [topicId, items] of evidence) {
+          mastery[names.get(topicId)] = await recordMastery(client, userId, topicId, items, at);
+      }
+
+      await client.query(
+          `UPDATE quiz_sessions SET status = 'submitted', score = $1, points_earned = $2, submitted_at = $3 WHERE session_id = $4`,
+          [Math.round(score), pointsEarned, at, sessionId]
+      );
+      return { correctAnswers, totalQuestions, score: Math.round(score), pointsEarned, mastery };
+  };
+
+  app.post('/api/quizzes/submit', authenticateToken, validate({ body: { sessionId: id() } }), async (req, res, next) => {
+      const { sessionId } = req.body;
+      const userId = req.user.userId;
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+
+          const sessionResult = await client.query(
+              'SELECT status FROM quiz_sessions WHERE session_id = $1 AND user_id = $2 FOR UPDATE',
+              [sessionId, userId]
+          );
+          const session = sessionResult.rows[0];
+          if (!session) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Quiz session not found.'));
+          }
+          if (session.status !== 'in_progress') {
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'This quiz has already been submitted.'));
+          }
+
+          const result = await finalizeQuizSession(client, userId, sessionId);
+          await rebalanceStudyPlan(client, userId);
+
+          const progress = await updateProgression(client, userId, requestTimezone(req));
+          const newAchievements = await evaluateAchievements(client, userId);
+
+          await client.query('COMMIT');
+          res.status(200).json({
+              message: 'Progress saved successfully.',
+              ...result,
+              progress,
+              newAchievements
+          });
+
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // --- REMEDIATION ---
+  // Explanation tiers, references and linked practice for a question the learner has already answered,
+  // in a quiz or a finished mock exam, so the answer is not given away beforehand.
+
+  const hasAnsweredQuestion = async (db, userId, questionId) => {
+      const result = await db.query(`
+          SELECT EXISTS (SELECT 1 FROM quiz_attempts WHERE user_id = $1 AND question_id = $2)
+              OR EXISTS (
+                  SELECT 1 FROM mock_exam_items i JOIN mock_exams e ON e.exam_id = i.exam_id
+                  WHERE e.user_id = $1 AND e.status = 'completed' AND i.question_id = $2
+              ) as answered
+      `, [userId, questionId]);
+      return result.rows[0].answered;
+  };
+
+  app.get('/api/questions/:id/remediation', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const remediation = await hasAnsweredQuestion(pool, req.user.userId, req.params.id)
+              ? await loadRemediation(pool, req.params.id)
+              : null;
+          if (!remediation) return next(new ApiError(404, 'Question not found.'));
+
+          res.json({
+              explanations: remediation.explanations,
+              references: remediation.references,
+              ...linkedRemediation(remediation)
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Starts a quiz over the questions linked to a missed one, for an immediate retry of the concept.
+  app.post('/api/questions/:id/remediation/quiz', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      const userId = req.user.userId;
+
+      try {
+          const remediation = await hasAnsweredQuestion(pool, userId, req.params.id)
+              ? await loadRemediation(pool, req.params.id)
+              : null;
+          if (!remediation) return next(new ApiError(404, 'Question not found.'));
+          const questions = formatQuizQuestions(remediation.relatedQuestions);
+          if (questions.length === 0) return next(new ApiError(404, 'No related questions are linked to this question.'));
+
+          const client = await pool.connect();
+          try {
+              await client.query('BEGIN');
+              const topicList = [...new Set(questions.map(question => question.topic))];
+              const sessionId = await createQuizSession(client, userId, topicList, 'remediation', questions);
+              await client.query('COMMIT');
+              res.status(201).json({ sessionId, mode: 'remediation', questions });
+          } catch (e) {
+              await client.query('ROLLBACK');
+              throw e;
+          } finally {
+              client.release();
+          }
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- MOCK EXAM ROUTES ---
+
+  // Modelled on the NBHWC certifying exam: 150 items in a single timed sitting.
+  const MOCK_EXAM_QUESTIONS = 150;
+  const MOCK_EXAM_TIME_LIMIT_MINUTES = 210;
+  // Share of the exam per content domain. Topics missing from the blueprint get a small default share.
+  const MOCK_EXAM_BLUEPRINT = {
+      'Coaching Structure': 0.17,
+      'Coaching Process': 0.45,
+      'Health & Wellness': 0.24,
+      'Ethics/Legal': 0.14
+  };
+  const MOCK_EXAM_DEFAULT_WEIGHT = 0.05;
+  // Joins `root` to the top-level topic (domain) above the topic id in `column`. The blueprint, readiness
+  // and exam reports work per domain, taking in everything filed below it.
+  const joinDomain = (column) => `
+      JOIN topic_closure dc ON dc.topic_id = ${column}
+      JOIN topics root ON root.topic_id = dc.ancestor_id AND root.parent_id IS NULL`;
+
+  // Splits the exam length across domains by blueprint weight (largest remainder), capped by what each topic has.
+  const allocateMockExam = (topics, totalQuestions) => {
+      const weights = topics.map(t => MOCK_EXAM_BLUEPRINT[t.topic_name] ?? MOCK_EXAM_DEFAULT_WEIGHT);
+      const weightSum = weights.reduce((sum, w) => sum + w, 0);
+      const target = Math.min(totalQuestions, topics.reduce((sum, t) => sum + t.available, 0));
+      const exact = topics.map((t, i) => target * weights[i] / weightSum);
+      const counts = exact.map((value, i) => Math.min(Math.floor(value), topics[i].available));
+
+      let remaining = target - counts.reduce((sum, n) => sum + n, 0);
+      const order = exact.map((value, i) => i).sort((a, b) => (exact[b] % 1) - (exact[a] % 1));
+      while (remaining > 0) {
+          let placed = false;
+          for (const i of order) {
+              if (remaining === 0) break;
+              if (counts[i] < topics[i].available) {
+                  counts[i] += 1;
+                  remaining -= 1;
+                  placed = true;
+              }
+          }
+          if (!placed) break;
+      }
+      return topics.map((t, i) => ({ topicId: t.topic_id, count: counts[i] })).filter(a => a.count > 0);
+  };
+
+  // Grades every item, stores the per-topic report and closes the exam. Expects an open transaction.
+  const finishMockExam = async (client, examId) => {
+      await client.query(`
+          UPDATE mock_exam_items i
+          SET is_correct = COALESCE((SELECT o.is_correct FROM question_options o WHERE o.option_id = i.selected_option_id), false)
+          WHERE i.exam_id = $1
+      `, [examId]);
+
+      const topicResult = await client.query(`
+          SELECT root.topic_name as topic,
+                 COUNT(*)::int as total,
+                 COUNT(*) FILTER (WHERE i.is_correct)::int as correct,
+                 COUNT(*) FILTER (WHERE i.selected_option_id IS NULL)::int as unanswered,
+                 COUNT(*) FILTER (WHERE i.flagged)::int as flagged
+          FROM mock_exam_items i
+          JOIN questions q ON q.question_id = i.question_id
+          ${joinDomain('q.topic_id')}
+          WHERE i.exam_id = $1
+          GROUP BY root.topic_name
+          ORDER BY root.topic_name
+      `, [examId]);
+
+      const byTopic = topicResult.rows.map(row => ({ ...row, percent: Math.round(row.correct / row.total * 100) }));
+      const totalQuestions = byTopic.reduce((sum, row) => sum + row.total, 0);
+      const correctAnswers = byTopic.reduce((sum, row) => sum + row.correct, 0);
+      const score = totalQuestions > 0 ? Math.round(correctAnswers / totalQuestions * 100) : 0;
+      const report = {
+          score,
+          correctAnswers,
+          totalQuestions,
+          unanswered: byTopic.reduce((sum, row) => sum + row.unanswered, 0),
+          flagged: byTopic.reduce((sum, row) => sum + row.flagged, 0),
+          byTopic
+      };
+
+      await client.query(
+          `UPDATE mock_exams SET status = 'completed', completed_at = CURRENT_TIMESTAMP, score = $1, report = $2 WHERE exam_id = $3`,
+          [score, report, examId]
+      );
+      return report;
+  };
+
+  // Loads the user's exam for update, closing it first if its time limit has passed.
+  const lockMockExam = async (client, examId, userId) => {
+      const examResult = await client.query(
+          'SELECT exam_id, status, expires_at, expires_at < CURRENT_TIMESTAMP as expired, report FROM mock_exams WHERE exam_id = $1 AND user_id = $2 FOR UPDATE',
+          [examId, userId]
+      );
+      const exam = examResult.rows[0];
+      if (exam && exam.status === 'in_progress' && exam.expired) {
+          exam.report = await finishMockExam(client, examId);
+          exam.status = 'completed';
+      }
+      return exam;
+  };
+
+  app.post('/api/mock-exams', authenticateToken, async (req, res, next) => {
+      const userId = req.user.userId;
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+
+          const openResult = await client.query(
+              `SELECT exam_id FROM mock_exams WHERE user_id = $1 AND status = 'in_progress' AND expires_at > CURRENT_TIMESTAMP`,
+              [userId]
+          );
+          if (openResult.rows.length > 0) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'You already have a mock exam in progress.', 'MOCK_EXAM_IN_PROGRESS', { examId: openResult.rows[0].exam_id }));
+          }
+
+          const topicsResult = await client.query(`
+              SELECT root.topic_id, root.topic_name, COUNT(q.question_id)::int as available
+              FROM questions q
+              JOIN topics t ON t.topic_id = q.topic_id
+              ${joinDomain('q.topic_id')}
+              WHERE t.retired_at IS NULL AND root.retired_at IS NULL AND q.retired_at IS NULL
+                AND EXISTS (SELECT 1 FROM question_options o WHERE o.question_id = q.question_id AND o.is_correct)
+              GROUP BY root.topic_id, root.topic_name
+          `);
+          const allocation = allocateMockExam(topicsResult.rows, MOCK_EXAM_QUESTIONS);
+          if (allocation.length === 0) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'No questions are available for a mock exam.'));
+          }
+
+          const examResult = await client.query(
+              `INSERT INTO mock_exams (user_id, expires_at) VALUES ($1, CURRENT_TIMESTAMP + make_interval(mins => $2)) RETURNING exam_id, started_at, expires_at`,
+              [userId, MOCK_EXAM_TIME_LIMIT_MINUTES]
+          );
+          const exam = examResult.rows[0];
+
+          await client.query(`
+              INSERT INTO mock_exam_items (exam_id, position, question_id)
+              SELECT $1, ROW_NUMBER() OVER (ORDER BY random()), picked.question_id
+              FROM (
+                  SELECT q.question_id, quota.n,
+                         ROW_NUMBER() OVER (PARTITION BY root.topic_id ORDER BY random()) as rank
+                  FROM questions q
+                  JOIN topics t ON t.topic_id = q.topic_id
+                  ${joinDomain('q.topic_id')}
+                  JOIN unnest($2::int[], $3::int[]) as quota(topic_id, n) ON quota.topic_id = root.topic_id
+                  WHERE q.retired_at IS NULL AND t.retired_at IS NULL AND EXISTS (SELECT 1 FROM question_options o WHERE o.question_id = q.question_id AND o.is_correct)
+              ) picked
+              WHERE picked.rank <= picked.n
+          `, [exam.exam_id, allocation.map(a => a.topicId), allocation.map(a => a.count)]);
+
+          await client.query('COMMIT');
+          res.status(201).json({
+              examId: exam.exam_id,
+              startedAt: exam.started_at,
+              expiresAt: exam.expires_at,
+              timeLimitMinutes: MOCK_EXAM_TIME_LIMIT_MINUTES,
+              totalQuestions: allocation.reduce((sum, a) => sum + a.count, 0)
+          });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  app.get('/api/mock-exams', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query(`
+              SELECT exam_id as id, status, started_at as "startedAt", expires_at as "expiresAt", completed_at as "completedAt", score,
+                     report->'byTopic' as "byTopic"
+              FROM mock_exams WHERE user_id = $1
+              ORDER BY started_at DESC
+          `, [req.user.userId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/mock-exams/:examId', authenticateToken, validate({ params: { examId: id() } }), async (req, res, next) => {
+      const { examId } = req.params;
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const exam = await lockMockExam(client, examId, req.user.userId);
+          if (!exam) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Mock exam not found.'));
+          }
+
+          // Answers stay hidden until the exam is over; afterwards each item shows the correct option.
+          const completed = exam.status === 'completed';
+          const itemsResult = await client.query(`
+              SELECT i.position, i.question_id as id, t.topic_name as topic, q.question_text as question, i.flagged,
+                     sel.option_text as "selectedAnswer",
+                     (SELECT json_agg(o.option_text ORDER BY o.option_id) FROM question_options o WHERE o.question_id = q.question_id) as options,
+                     CASE WHEN $2 THEN i.is_correct END as correct,
+                     CASE WHEN $2 THEN (SELECT o.option_text FROM question_options o WHERE o.question_id = q.question_id AND o.is_correct LIMIT 1) END as answer,
+                     CASE WHEN $2 THEN q.explanation END as explanation
+              FROM mock_exam_items i
+              JOIN questions q ON q.question_id = i.question_id
+              JOIN topics t ON t.topic_id = q.topic_id
+              LEFT JOIN question_options sel ON sel.option_id = i.selected_option_id
+              WHERE i.exam_id = $1
+              ORDER BY i.position
+          `, [examId, completed]);
+          await client.query('COMMIT');
+
+          res.json({
+              examId: exam.exam_id,
+              status: exam.status,
+              expiresAt: exam.expires_at,
+              items: itemsResult.rows,
+              report: completed ? exam.report : null
+          });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  app.put('/api/mock-exams/:examId/items/:position', authenticateToken, validate({
+      params: { examId: id(), position: integer({ min: 1, max: MOCK_EXAM_QUESTIONS }) },
+      body: { answer: optional(nullable(optionText())), flagged: optional(boolean()) }
+  }), async (req, res, next) => {
+      const { examId, position } = req.params;
+      const { answer, flagged } = req.body;
+
+      if (answer === undefined && flagged === undefined) {
+          return next(new ApiError(400, 'Provide an answer, a flagged value, or both.'));
+      }
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const exam = await lockMockExam(client, examId, req.user.userId);
+          if (!exam) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Mock exam not found.'));
+          }
+          if (exam.status !== 'in_progress') {
+              await client.query('COMMIT');
+              return next(new ApiError(409, 'This mock exam has ended.', 'MOCK_EXAM_ENDED', { report: exam.report }));
+          }
+
+          const itemResult = await client.query('SELECT question_id FROM mock_exam_items WHERE exam_id = $1 AND position = $2', [examId, position]);
+          const item = itemResult.rows[0];
+          if (!item) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Mock exam item not found.'));
+          }
+
+          if (answer !== undefined) {
+              // A null answer clears the response so the item can be revisited later.
+              let optionId = null;
+              if (answer !== null) {
+                  const optionResult = await client.query(
+                      'SELECT option_id FROM question_options WHERE question_id = $1 AND option_text = $2',
+                      [item.question_id, answer]
+                  );
+                  if (optionResult.rows.length === 0) {
+                      await client.query('ROLLBACK');
+                      return next(new ApiError(400, 'Answer is not one of the options for this question.'));
+                  }
+                  optionId = optionResult.rows[0].option_id;
+              }
+              await client.query(
+                  'UPDATE mock_exam_items SET selected_option_id = $1, answered_at = CURRENT_TIMESTAMP WHERE exam_id = $2 AND position = $3',
+                  [optionId, examId, position]
+              );
+          }
+          if (flagged !== undefined) {
+              await client.query('UPDATE mock_exam_items SET flagged = $1 WHERE exam_id = $2 AND position = $3', [Boolean(flagged), examId, position]);
+          }
+
+          await client.query('COMMIT');
+          res.json({ message: 'Response saved.' });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  app.post('/api/mock-exams/:examId/finish', authenticateToken, validate({ params: { examId: id() } }), async (req, res, next) => {
+      const { examId } = req.params;
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const exam = await lockMockExam(client, examId, req.user.userId);
+          if (!exam) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Mock exam not found.'));
+          }
+          const wasInProgress = exam.status === 'in_progress';
+          const report = wasInProgress ? await finishMockExam(client, examId) : exam.report;
+          const progress = wasInProgress ? await updateProgression(client, req.user.userId, requestTimezone(req)) : null;
+          const newAchievements = wasInProgress ? await evaluateAchievements(client, req.user.userId) : [];
+          await client.query('COMMIT');
+          res.json({ ...report, progress, newAchievements });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // --- PROGRESSION (STREAKS, LEVELS, READINESS) ---
+
+  // Points needed to reach each level; level N starts at LEVEL_THRESHOLDS[N - 1].
+  const LEVEL_THRESHOLDS = [0, 100, 250, 500, 1000, 2000, 3500, 5500, 8000, 11000];
+
+  // Adds to the user's total and records the award, so leaderboards can rank points by period.
+  // `at` dates the award when the activity happened earlier (offline sync); it defaults to now.
+  const awardPoints = async (db, userId, points, source, at = null) => {
+      if (!points) return;
+      await db.query('UPDATE user_stats SET points = points + $1 WHERE user_id = $2', [points, userId]);
+      await db.query(
+          'INSERT INTO point_events (user_id, points, source, earned_at) VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP))',
+          [userId, points, source, at]
+      );
+  };
+
+  const levelForPoints = (points) => LEVEL_THRESHOLDS.filter(threshold => points >= threshold).length;
+
+  const isValidTimezone = (timezone) => {
+      try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+          return true;
+      } catch (e) {
+          return false;
+      }
+  };
+
+  // Clients send their IANA timezone (e.g. "America/Chicago") so streak days follow the user's calendar.
+  const requestTimezone = (req) => {
+      const timezone = req.get('X-Timezone');
+      return timezone && isValidTimezone(timezone) ? timezone : null;
+  };
+
+  // The rolled-up mastery of each top-level topic (exam domain), given Map(topicId -> mastery) for
+  // the topics the user has practised.
+  const domainMastery = (nodes, own) => {
+      const rolled = rollUpMastery(nodes, own);
+      return topLevelNodes(nodes).map(node => ({ name: node.name, mastery: rolled.get(node.id) }));
+  };
+
+  // Readiness is domain mastery averaged over the domains, weighted by the exam blueprint.
+  // domains: [{ name, mastery }], as from domainMastery().
+  const blueprintReadiness = (domains) => {
+      let weightedMastery = 0;
+      let totalWeight = 0;
+      for (const domain of domains) {
+          const weight = MOCK_EXAM_BLUEPRINT[domain.name] ?? MOCK_EXAM_DEFAULT_WEIGHT;
+          weightedMastery += domain.mastery * weight;
+          totalWeight += weight;
+      }
+      return totalWeight > 0 ? Math.round(weightedMastery / totalWeight) : 0;
+  };
+
+  // Recomputes streak, level and readiness after any study activity. `db` may be the pool or a client in a transaction.
+  // `at` is when the activity happened if not now (offline sync). Activity older than the last study day
+  // leaves the streak alone; the streak only ever moves forward in time.
+  const updateProgression = async (db, userId, timezone, at = null) => {
+      const streakResult = await db.query(`
+          WITH local AS (
+              SELECT user_id, COALESCE($2, timezone) as timezone,
+                     (COALESCE($3, CURRENT_TIMESTAMP) AT TIME ZONE COALESCE($2, timezone))::date as today
+              FROM user_stats WHERE user_id = $1
+          )
+          UPDATE user_stats s
+          SET timezone = local.timezone,
+              current_streak = CASE
+                  WHEN s.last_study_date >= local.today THEN s.current_streak
+                  WHEN s.last_study_date = local.today - 1 THEN s.current_streak + 1
+                  ELSE 1
+              END,
+              last_study_date = GREATEST(s.last_study_date, local.today)
+          FROM local
+          WHERE s.user_id = local.user_id
+          RETURNING s.points, s.current_streak
+      `, [userId, timezone, at]);
+      const stats = streakResult.rows[0];
+      if (!stats) return null;
+
+      await refreshMasteryDecay(db, userId);
+      const [nodes, own] = await Promise.all([loadTaxonomy(db), loadOwnMastery(db, userId)]);
+      const readiness = blueprintReadiness(domainMastery(nodes, own));
+      const level = levelForPoints(stats.points);
+
+      await db.query('UPDATE user_stats SET level = $1, readiness = $2 WHERE user_id = $3', [level, readiness, userId]);
+
+      return { points: stats.points, currentStreak: stats.current_streak, level, readiness };
+  };
+
+  // --- ACHIEVEMENTS ---
+
+  // Each achievement unlocks once the named metric reaches its target. Metrics come from achievementMetrics();
+  // a string target names another metric, for goals that grow with the content library.
+  const ACHIEVEMENTS = [
+      { id: 'first_quiz', title: 'First Steps', description: 'Complete your first quiz.', metric: 'quizzesCompleted', target: 1 },
+      { id: 'quiz_regular', title: 'Quiz Regular', description: 'Complete 25 quizzes.', metric: 'quizzesCompleted', target: 25 },
+      { id: 'perfect_quiz', title: 'Flawless', description: 'Score 100% on a quiz.', metric: 'perfectQuizzes', target: 1 },
+      { id: 'streak_3', title: 'Warming Up', description: 'Study 3 days in a row.', metric: 'currentStreak', target: 3 },
+      { id: 'streak_7', title: 'Week Strong', description: 'Study 7 days in a row.', metric: 'currentStreak', target: 7 },
+      { id: 'topic_master', title: 'Topic Master', description: 'Reach 100% mastery in a topic.', metric: 'bestTopicMastery', target: 100 },
+      { id: 'flashcard_explorer', title: 'Card Explorer', description: 'Review 50 different flashcards.', metric: 'flashcardsReviewed', target: 50 },
+      { id: 'scenarios_positive', title: 'Coaching Natural', description: 'Reach the positive ending of every scenario.', metric: 'positiveScenarios', target: 'scenarioCount' },
+      { id: 'mock_exam_complete', title: 'Dress Rehearsal', description: 'Finish a full mock exam.', metric: 'mockExamsCompleted', target: 1 },
+      { id: 'level_5', title: 'Rising Coach', description: 'Reach level 5.', metric: 'level', target: 5 }
+  ];
+
+  const achievementMetrics = async (db, userId) => {
+      const result = await db.query(`
+          SELECT
+              (SELECT COUNT(*) FROM quiz_sessions WHERE user_id = $1 AND status = 'submitted')::int as "quizzesCompleted",
+              (SELECT COUNT(*) FROM quiz_sessions WHERE user_id = $1 AND status = 'submitted' AND score = 100)::int as "perfectQuizzes",
+              (SELECT COALESCE(MAX(current_streak), 0) FROM user_stats WHERE user_id = $1)::int as "currentStreak",
+              (SELECT COALESCE(MAX(mastery_score), 0) FROM user_mastery WHERE user_id = $1)::int as "bestTopicMastery",
+              (SELECT COUNT(*) FROM flashcard_reviews WHERE user_id = $1)::int as "flashcardsReviewed",
+              (SELECT COUNT(*) FROM mock_exams WHERE user_id = $1 AND status = 'completed')::int as "mockExamsCompleted",
+              (SELECT COALESCE(MAX(level), 1) FROM user_stats WHERE user_id = $1)::int as "level",
+              (SELECT COUNT(DISTINCT scenario_id) FROM scenario_runs WHERE user_id = $1 AND outcome = 'positive')::int as "positiveScenarios",
+              (SELECT COUNT(*) FROM scenarios WHERE retired_at IS NULL)::int as "scenarioCount"
+      `, [userId]);
+      return result.rows[0];
+  };
+
+  const achievementTarget = (achievement, metrics) => (
+      typeof achievement.target === 'string' ? metrics[achievement.target] : achievement.target
+  );
+
+  // Unlocks every achievement whose rule is now met and returns the ones unlocked by this call.
+  const evaluateAchievements = async (db, userId) => {
+      const [metrics, unlockedResult] = await Promise.all([
+          achievementMetrics(db, userId),
+          db.query('SELECT achievement_id FROM user_achievements WHERE user_id = $1', [userId])
+      ]);
+      const unlocked = new Set(unlockedResult.rows.map(row => row.achievement_id));
+
+      const newlyUnlocked = [];
+      for (const achievement of ACHIEVEMENTS) {
+          const target = achievementTarget(achievement, metrics);
+          if (unlocked.has(achievement.id) || target <= 0 || metrics[achievement.metric] < target) continue;
+          const insertResult = await db.query(
+              'INSERT INTO user_achievements (user_id, achievement_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING achievement_id',
+              [userId, achievement.id]
+          );
+          if (insertResult.rows.length > 0) {
+              newlyUnlocked.push({ id: achievement.id, title: achievement.title, description: achievement.description });
+          }
+      }
+      return newlyUnlocked;
+  };
+
+  app.get('/api/achievements', authenticateToken, async (req, res, next) => {
+      const userId = req.user.userId;
+      try {
+          const [metrics, unlockedResult] = await Promise.all([
+              achievementMetrics(pool, userId),
+              pool.query('SELECT achievement_id, unlocked_at FROM user_achievements WHERE user_id = $1', [userId])
+          ]);
+          const unlockedAt = new Map(unlockedResult.rows.map(row => [row.achievement_id, row.unlocked_at]));
+
+          res.json(ACHIEVEMENTS.map(achievement => {
+              const target = achievementTarget(achievement, metrics);
+              return {
+                  id: achievement.id,
+                  title: achievement.title,
+                  description: achievement.description,
+                  unlocked: unlockedAt.has(achievement.id),
+                  unlockedAt: unlockedAt.get(achievement.id) || null,
+                  progress: {
+                      current: Math.min(metrics[achievement.metric], target),
+                      target
+                  }
+              };
+          }));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/analytics/mastery-trend', authenticateToken, validate({ query: { topic: string() } }), async (req, res, next) => {
+      const { topic } = req.query;
+      const userId = req.user.userId;
+
+      try {
+          const result = await pool.query(`
+              SELECT h.mastery_score, h.recorded_at FROM user_mastery_history h
+              JOIN topics t ON t.topic_id = h.topic_id
+              WHERE h.user_id = $1 AND t.topic_name = $2
+              ORDER BY h.recorded_at ASC
+          `, [userId, topic]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- ANALYTICS ---
+  // Aggregations run in SQL over the user's activity tables, in the user's timezone.
+  // List endpoints take ?limit=&offset= and answer { items, total, limit, offset }.
+
+  const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+  const ANALYTICS_DEFAULT_DAYS = 90;
+  const HEATMAP_DAYS = 365;
+  const ANALYTICS_PAGE_SIZE = 50;
+  const ANALYTICS_MAX_PAGE_SIZE = 200;
+  // Activity with gaps shorter than this counts as one sitting when measuring study time.
+  const STUDY_SESSION_GAP = '10 minutes';
+  const READINESS_TARGET = 80;
+  const READINESS_FORECAST_LOOKBACK_DAYS = 28;
+
+  // Every timestamped study action, as (occurred_at, activity). $1 is the user id.
+  const ACTIVITY_EVENTS_SQL = `
+      SELECT answered_at as occurred_at, 'quiz' as activity FROM quiz_attempts WHERE user_id = $1
+      UNION ALL
+      SELECT i.answered_at, 'mock_exam' FROM mock_exam_items i JOIN mock_exams e ON e.exam_id = i.exam_id
+      WHERE e.user_id = $1 AND i.answered_at IS NOT NULL
+      UNION ALL
+      SELECT reviewed_at, 'flashcards' FROM flashcard_review_log WHERE user_id = $1
+      UNION ALL
+      SELECT started_at, 'scenario' FROM scenario_runs WHERE user_id = $1
+      UNION ALL
+      SELECT completed_at, 'scenario' FROM scenario_runs WHERE user_id = $1 AND completed_at IS NOT NULL
+      UNION ALL
+      SELECT created_at, 'puzzle' FROM puzzle_attempts WHERE user_id = $1
+  `;
+
+  // Every graded answer, from quizzes and finished mock exams. $1 is the user id.
+  const GRADED_ANSWERS_SQL = `
+      SELECT a.answered_at, a.question_id, a.is_correct FROM quiz_attempts a WHERE a.user_id = $1
+      UNION ALL
+      SELECT i.answered_at, i.question_id, i.is_correct FROM mock_exam_items i JOIN mock_exams e ON e.exam_id = i.exam_id
+      WHERE e.user_id = $1 AND e.status = 'completed' AND i.answered_at IS NOT NULL
+  `;
+
+  // The query parameters shared by the analytics routes.
+  const ANALYTICS_QUERY = {
+      from: optional(date()),
+      to: optional(date()),
+      bucket: optional(oneOf(ANALYTICS_BUCKETS), 'day'),
+      topic: optional(string()),
+      limit: optional(integer({ min: 1, max: ANALYTICS_MAX_PAGE_SIZE }), ANALYTICS_PAGE_SIZE),
+      offset: optional(integer({ min: 0 }), 0)
+  };
+
+  // Resolves the validated ANALYTICS_QUERY to { error } or { timezone, from, to, bucket, limit, offset }
+  // with dates as YYYY-MM-DD in the user's timezone.
+  // Without ?from= the range covers `defaultDays` up to today, or all history when that is null.
+  const analyticsParams = async (req, defaultDays = ANALYTICS_DEFAULT_DAYS) => {
+      const { from, to, bucket, limit, offset } = req.query;
+      const statsResult = await pool.query('SELECT timezone FROM user_stats WHERE user_id = $1', [req.user.userId]);
+      const timezone = requestTimezone(req) || statsResult.rows[0]?.timezone || 'UTC';
+      const end = to || await userToday(pool, req.user.userId, timezone);
+      const start = from || (defaultDays ? addDays(end, -(defaultDays - 1)) : null);
+      if (start && start > end) return { error: 'from must not be after to.' };
+
+      return { timezone, from: start, to: end, bucket, limit, offset };
+  };
+
+  const pageOf = (rows, params) => ({
+      items: rows.map(({ total_count, ...row }) => row),
+      total: rows[0]?.total_count || 0,
+      limit: params.limit,
+      offset: params.offset
+  });
+
+  // Correct answers out of graded answers, per topic and period.
+  app.get('/api/analytics/accuracy', authenticateToken, validate({ query: ANALYTICS_QUERY }), async (req, res, next) => {
+      try {
+          const params = await analyticsParams(req);
+          if (params.error) return next(new ApiError(400, params.error));
+
+          const result = await pool.query(`
+              SELECT to_char(date_trunc($2, g.answered_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') as period,
+                     t.topic_name as topic,
+                     COUNT(*)::int as answered,
+                     COUNT(*) FILTER (WHERE g.is_correct)::int as correct,
+                     ROUND(100.0 * COUNT(*) FILTER (WHERE g.is_correct) / COUNT(*))::int as accuracy,
+                     COUNT(*) OVER ()::int as total_count
+              FROM (${GRADED_ANSWERS_SQL}) g
+              JOIN questions q ON q.question_id = g.question_id
+              JOIN topics t ON t.topic_id = q.topic_id
+              WHERE (g.answered_at AT TIME ZONE $3)::date BETWEEN $4 AND $5
+                AND ($6::text IS NULL OR t.topic_name = $6)
+              GROUP BY 1, 2
+              ORDER BY 1 DESC, 2
+              LIMIT $7 OFFSET $8
+          `, [req.user.userId, params.bucket, params.timezone, params.from, params.to, req.query.topic || null, params.limit, params.offset]);
+
+          res.json({ bucket: params.bucket, from: params.from, to: params.to, ...pageOf(result.rows, params) });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Questions the user gets wrong most, across all time unless from/to are given.
+  app.get('/api/analytics/missed-questions', authenticateToken, validate({ query: ANALYTICS_QUERY }), async (req, res, next) => {
+      try {
+          const params = await analyticsParams(req, null);
+          if (params.error) return next(new ApiError(400, params.error));
+
+          const result = await pool.query(`
+              SELECT q.question_id as "questionId", q.question_text as question, t.topic_name as topic,
+                     COUNT(*)::int as answered,
+                     COUNT(*) FILTER (WHERE NOT g.is_correct)::int as missed,
+                     ROUND(100.0 * COUNT(*) FILTER (WHERE NOT g.is_correct) / COUNT(*))::int as "missRate",
+                     MAX(g.answered_at) FILTER (WHERE NOT g.is_correct) as "lastMissedAt",
+                     COUNT(*) OVER ()::int as total_count
+              FROM (${GRADED_ANSWERS_SQL}) g
+              JOIN questions q ON q.question_id = g.question_id
+              JOIN topics t ON t.topic_id = q.topic_id
+              WHERE ($2::date IS NULL OR (g.answered_at AT TIME ZONE $4)::date >= $2)
+                AND (g.answered_at AT TIME ZONE $4)::date <= $3
+                AND ($5::text IS NULL OR t.topic_name = $5)
+              GROUP BY q.question_id, t.topic_name
+              HAVING COUNT(*) FILTER (WHERE NOT g.is_correct) > 0
+              ORDER BY missed DESC, "missRate" DESC, "lastMissedAt" DESC
+              LIMIT $6 OFFSET $7
+          `, [req.user.userId, params.from, params.to, params.timezone, req.query.topic || null, params.limit, params.offset]);
+
+          res.json(pageOf(result.rows, params));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Minutes studied per period. Consecutive actions form a sitting until a gap of STUDY_SESSION_GAP;
+  // a sitting lasts from its first to its last action, plus a minute for that last action.
+  app.get('/api/analytics/study-time', authenticateToken, validate({ query: ANALYTICS_QUERY }), async (req, res, next) => {
+      try {
+          const params = await analyticsParams(req);
+          if (params.error) return next(new ApiError(400, params.error));
+
+          const result = await pool.query(`
+              WITH events AS (
+                  SELECT occurred_at FROM (${ACTIVITY_EVENTS_SQL}) e
+                  WHERE (occurred_at AT TIME ZONE $3)::date BETWEEN $4 AND $5
+              ), marked AS (
+                  SELECT occurred_at,
+                         CASE WHEN occurred_at - LAG(occurred_at) OVER (ORDER BY occurred_at) <= INTERVAL '${STUDY_SESSION_GAP}' THEN 0 ELSE 1 END as starts_sitting
+                  FROM events
+              ), numbered AS (
+                  SELECT occurred_at, SUM(starts_sitting) OVER (ORDER BY occurred_at) as sitting FROM marked
+              ), sittings AS (
+                  SELECT MIN(occurred_at) as started_at, MAX(occurred_at) as ended_at FROM numbered GROUP BY sitting
+              )
+              SELECT to_char(date_trunc($2, started_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') as period,
+                     ROUND(SUM(EXTRACT(EPOCH FROM ended_at - started_at) / 60 + 1))::int as minutes,
+                     COUNT(*)::int as sittings,
+                     COUNT(*) OVER ()::int as total_count
+              FROM sittings
+              GROUP BY 1
+              ORDER BY 1 DESC
+              LIMIT $6 OFFSET $7
+          `, [req.user.userId, params.bucket, params.timezone, params.from, params.to, params.limit, params.offset]);
+
+          res.json({ bucket: params.bucket, from: params.from, to: params.to, ...pageOf(result.rows, params) });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Actions per calendar day, for a contribution-style heatmap. Covers a year by default; days
+  // without activity are included with a count of zero.
+  app.get('/api/analytics/heatmap', authenticateToken, validate({ query: ANALYTICS_QUERY }), async (req, res, next) => {
+      try {
+          const params = await analyticsParams(req, HEATMAP_DAYS);
+          if (params.error) return next(new ApiError(400, params.error));
+          if (daysBetween(params.from, params.to) >= HEATMAP_DAYS + 1) {
+              return next(new ApiError(400, `A heatmap covers at most ${HEATMAP_DAYS + 1} days.`));
+          }
+
+          const result = await pool.query(`
+              WITH per_activity AS (
+                  SELECT (occurred_at AT TIME ZONE $2)::date as day, activity, COUNT(*)::int as count
+                  FROM (${ACTIVITY_EVENTS_SQL}) e
+                  WHERE (occurred_at AT TIME ZONE $2)::date BETWEEN $3 AND $4
+                  GROUP BY 1, 2
+              ), counts AS (
+                  SELECT day, SUM(count)::int as count, jsonb_object_agg(activity, count) as activities
+                  FROM per_activity GROUP BY day
+              )
+              SELECT to_char(d.day, 'YYYY-MM-DD') as date, COALESCE(c.count, 0) as count, COALESCE(c.activities, '{}'::jsonb) as activities
+              FROM generate_series($3::date, $4::date, INTERVAL '1 day') as d(day)
+              LEFT JOIN counts c ON c.day = d.day::date
+              ORDER BY d.day
+          `, [req.user.userId, params.timezone, params.from, params.to]);
+
+          res.json({ from: params.from, to: params.to, days: result.rows });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Projects blueprint-weighted readiness to the exam date from its trend over the last few weeks.
+  // The exam date comes from ?examDate= or the user's study plan.
+  app.get('/api/analytics/readiness-forecast', authenticateToken, validate({ query: { examDate: optional(date()) } }), async (req, res, next) => {
+      const userId = req.user.userId;
+      try {
+          const timezone = requestTimezone(req);
+          const today = await userToday(pool, userId, timezone);
+          let examDate = req.query.examDate;
+          if (examDate === undefined) {
+              const planResult = await pool.query('SELECT settings FROM user_study_plans WHERE user_id = $1', [userId]);
+              examDate = planResult.rows[0]?.settings?.examDate;
+          }
+          if (!examDate) return next(new ApiError(400, 'An examDate (YYYY-MM-DD) is required, either in the query or in your study plan.'));
+
+          // Each practised topic's mastery as of the end of each day, from the last history entry up to that day.
+          const [nodes, historyResult] = await Promise.all([
+              loadTaxonomy(pool),
+              pool.query(`
+                  SELECT to_char(d.day, 'YYYY-MM-DD') as day, p.topic_id, latest.mastery_score
+                  FROM generate_series($2::date - $3::int, $2::date, INTERVAL '1 day') as d(day)
+                  CROSS JOIN (SELECT DISTINCT topic_id FROM user_mastery_history WHERE user_id = $1) p
+                  JOIN user_stats s ON s.user_id = $1
+                  JOIN LATERAL (
+                      SELECT h.mastery_score FROM user_mastery_history h
+                      WHERE h.user_id = $1 AND h.topic_id = p.topic_id
+                        AND (h.recorded_at AT TIME ZONE COALESCE($4, s.timezone))::date <= d.day
+                      ORDER BY h.recorded_at DESC LIMIT 1
+                  ) latest ON true
+              `, [userId, today, READINESS_FORECAST_LOOKBACK_DAYS - 1, timezone])
+          ]);
+
+          const byDay = new Map();
+          for (let back = READINESS_FORECAST_LOOKBACK_DAYS - 1; back >= 0; back--) byDay.set(addDays(today, -back), new Map());
+          for (const row of historyResult.rows) byDay.get(row.day)?.set(row.topic_id, row.mastery_score);
+          const history = [...byDay].map(([date, own]) => ({ date, readiness: blueprintReadiness(domainMastery(nodes, own)) }));
+
+          // Least-squares slope of readiness per day.
+          const n = history.length;
+          const meanX = (n - 1) / 2;
+          const meanY = history.reduce((sum, point) => sum + point.readiness, 0) / (n || 1);
+          let covariance = 0;
+          let variance = 0;
+          history.forEach((point, x) => {
+              covariance += (x - meanX) * (point.readiness - meanY);
+              variance += (x - meanX) ** 2;
+          });
+          const dailyChange = variance > 0 ? covariance / variance : 0;
+
+          const currentReadiness = n > 0 ? history[n - 1].readiness : 0;
+          const daysUntilExam = daysBetween(today, examDate);
+          const projectedReadiness = Math.max(0, Math.min(100, Math.round(currentReadiness + dailyChange * Math.max(0, daysUntilExam))));
+          let projectedReadyDate = null;
+          if (currentReadiness >= READINESS_TARGET) projectedReadyDate = today;
+          else if (dailyChange > 0) projectedReadyDate = addDays(today, Math.ceil((READINESS_TARGET - currentReadiness) / dailyChange));
+
+          res.json({
+              examDate,
+              daysUntilExam,
+              target: READINESS_TARGET,
+              currentReadiness,
+              dailyChange: Math.round(dailyChange * 100) / 100,
+              projectedReadiness,
+              projectedReadyDate,
+              onTrack: projectedReadiness >= READINESS_TARGET,
+              history
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- HISTORY EXPORT ---
+
+  const EXPORT_FORMATS = ['json', 'csv'];
+  const EXPORT_CSV_COLUMNS = ['occurredAt', 'activity', 'topic', 'item', 'response', 'correct', 'score'];
+
+  const csvCell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  // Every record of the user's study history, one list per activity.
+  const loadStudyHistory = async (db, userId) => {
+      const [quizAnswers, mockExamAnswers, flashcardReviews, scenarioRuns, puzzleAttempts, masteryHistory] = await Promise.all([
+          db.query(`
+              SELECT a.answered_at as "occurredAt", a.session_id as "sessionId", t.topic_name as topic,
+                     q.question_text as question, o.option_text as answer, a.is_correct as correct
+              FROM quiz_attempts a
+              JOIN questions q ON q.question_id = a.question_id
+              JOIN topics t ON t.topic_id = q.topic_id
+              LEFT JOIN question_options o ON o.option_id = a.selected_option_id
+              WHERE a.user_id = $1 ORDER BY a.answered_at
+          `, [userId]),
+          db.query(`
+              SELECT i.answered_at as "occurredAt", i.exam_id as "examId", t.topic_name as topic,
+                     q.question_text as question, o.option_text as answer, i.is_correct as correct
+              FROM mock_exam_items i
+              JOIN mock_exams e ON e.exam_id = i.exam_id
+              JOIN questions q ON q.question_id = i.question_id
+              JOIN topics t ON t.topic_id = q.topic_id
+              LEFT JOIN question_options o ON o.option_id = i.selected_option_id
+              WHERE e.user_id = $1 AND i.answered_at IS NOT NULL ORDER BY i.answered_at
+          `, [userId]),
+          db.query(`
+              SELECT l.reviewed_at as "occurredAt", t.topic_name as topic, f.term, l.grade
+              FROM flashcard_review_log l
+              JOIN flashcards f ON f.flashcard_id = l.flashcard_id
+              JOIN topics t ON t.topic_id = f.topic_id
+              WHERE l.user_id = $1 ORDER BY l.reviewed_at
+          `, [userId]),
+          db.query(`
+              SELECT r.started_at as "occurredAt", r.completed_at as "completedAt", s.title as scenario,
+                     r.status, r.outcome, r.score
+              FROM scenario_runs r JOIN scenarios s ON s.scenario_id = r.scenario_id
+              WHERE r.user_id = $1 ORDER BY r.started_at
+          `, [userId]),
+          db.query(`
+              SELECT a.created_at as "occurredAt", p.title as puzzle, a.puzzle_type as type, a.topic_name as topic,
+                     a.correct, a.total, a.score, a.points_earned as "pointsEarned", a.credited
+              FROM puzzle_attempts a LEFT JOIN puzzles p ON p.puzzle_id = a.puzzle_id
+              WHERE a.user_id = $1 ORDER BY a.created_at
+          `, [userId]),
+          db.query(`
+              SELECT h.recorded_at as "occurredAt", t.topic_name as topic, h.mastery_score as mastery
+              FROM user_mastery_history h JOIN topics t ON t.topic_id = h.topic_id
+              WHERE h.user_id = $1 ORDER BY h.recorded_at
+          `, [userId])
+      ]);
+
+      return {
+          quizAnswers: quizAnswers.rows,
+          mockExamAnswers: mockExamAnswers.rows,
+          flashcardReviews: flashcardReviews.rows,
+          scenarioRuns: scenarioRuns.rows,
+          puzzleAttempts: puzzleAttempts.rows,
+          masteryHistory: masteryHistory.rows
+      };
+  };
+
+  // Flattens the history into one chronological table with shared columns.
+  const studyHistoryRows = (history) => [
+      ...history.quizAnswers.map(row => ({ ...row, activity: 'quiz_answer', item: row.question, response: row.answer, score: null })),
+      ...history.mockExamAnswers.map(row => ({ ...row, activity: 'mock_exam_answer', item: row.question, response: row.answer, score: null })),
+      ...history.flashcardReviews.map(row => ({ ...row, activity: 'flashcard_review', item: row.term, response: row.grade, correct: null, score: null })),
+      ...history.scenarioRuns.map(row => ({ ...row, activity: 'scenario_run', topic: null, item: row.scenario, response: row.outcome || row.status, correct: null })),
+      ...history.puzzleAttempts.map(row => ({ ...row, activity: 'puzzle_attempt', item: row.puzzle, response: `${row.correct}/${row.total}`, correct: row.correct === row.total })),
+      ...history.masteryHistory.map(row => ({ ...row, activity: 'mastery_change', item: null, response: null, correct: null, score: row.mastery }))
+  ].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  app.get('/api/analytics/export', authenticateToken, validate({ query: { format: optional(oneOf(EXPORT_FORMATS), 'json') } }), async (req, res, next) => {
+      const { format } = req.query;
+
+      try {
+          const history = await loadStudyHistory(pool, req.user.userId);
+          res.set('Content-Disposition', `attachment; filename="nbhwc-study-history.${format}"`);
+          if (format === 'json') return res.json({ exportedAt: new Date().toISOString(), ...history });
+
+          const lines = [EXPORT_CSV_COLUMNS.join(',')];
+          for (const row of studyHistoryRows(history)) {
+              lines.push(EXPORT_CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+          }
+          res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/flashcards/decks', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT DISTINCT t.topic_name as name, t.topic_id as id FROM topics t JOIN flashcards f ON t.topic_id = f.topic_id WHERE t.retired_at IS NULL AND f.retired_at IS NULL ORDER BY t.topic_name');
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/flashcards/decks/:deckId', authenticateToken, validate({ params: { deckId: id() } }), async (req, res, next) => {
+      try {
+          const { deckId } = req.params;
+          const result = await pool.query('SELECT flashcard_id as id, term, definition FROM flashcards WHERE topic_id = $1 AND retired_at IS NULL', [deckId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- FLASHCARD REVIEW ROUTES (SPACED REPETITION) ---
+
+  // Grades map onto the SM-2 quality scale (0-5). Anything below 3 is a lapse.
+  const REVIEW_GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+  const MIN_EASE_FACTOR = 1.3;
+
+  // Classic SM-2: returns the card's next scheduling state from its current one.
+  const scheduleReview = (state, grade) => {
+      const quality = REVIEW_GRADES[grade];
+      let { easeFactor, intervalDays, repetitions, lapses } = state;
+
+      if (quality < 3) {
+          repetitions = 0;
+          intervalDays = 1;
+          lapses += 1;
+      } else {
+          repetitions += 1;
+          if (repetitions === 1) intervalDays = 1;
+          else if (repetitions === 2) intervalDays = 6;
+          else intervalDays = Math.round(intervalDays * easeFactor);
+      }
+
+      easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+      easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+      return { easeFactor, intervalDays, repetitions, lapses };
+  };
+
+  // A card is due when its review date has arrived in the user's timezone ($2, from userToday), or when
+  // the user has never reviewed it.
+  const dueCardsQuery = (extraCondition) => `
+      SELECT f.flashcard_id as id, f.term, f.definition, t.topic_id as "deckId", t.topic_name as deck,
+             r.due_date as "dueDate", r.repetitions
+      FROM flashcards f
+      JOIN topics t ON f.topic_id = t.topic_id
+      LEFT JOIN flashcard_reviews r ON r.flashcard_id = f.flashcard_id AND r.user_id = $1
+      WHERE f.retired_at IS NULL AND t.retired_at IS NULL
+        AND (r.due_date IS NULL OR r.due_date <= $2::date) ${extraCondition}
+      ORDER BY r.due_date ASC NULLS LAST, f.flashcard_id ASC;
+  `;
+
+  // Schedules the card's next review and logs this one. `at` is when the review happened if not now
+  // (offline sync). A review older than the card's latest one is logged but does not reschedule the card,
+  // so whichever device reviewed last decides the due date. Returns null in that case. The due date counts
+  // from the review's date in `timezone`, or the user's saved timezone, so it matches the due queue.
+  const saveFlashcardReview = async (db, userId, cardId, grade, at = null, timezone = null) => {
+      const reviewResult = await db.query(
+          'SELECT ease_factor, interval_days, repetitions, lapses, last_reviewed_at FROM flashcard_reviews WHERE user_id = $1 AND flashcard_id = $2',
+          [userId, cardId]
+      );
+      const current = reviewResult.rows[0];
+      await db.query(
+          'INSERT INTO flashcard_review_log (user_id, flashcard_id, grade, reviewed_at) VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP))',
+          [userId, cardId, grade, at]
+      );
+      if (at && current && current.last_reviewed_at > new Date(at)) return null;
+
+      const next = scheduleReview({
+          easeFactor: current ? Number(current.ease_factor) : 2.5,
+          intervalDays: current ? current.interval_days : 0,
+          repetitions: current ? current.repetitions : 0,
+          lapses: current ? current.lapses : 0
+      }, grade);
+
+      const upsertQuery = `
+          INSERT INTO flashcard_reviews (user_id, flashcard_id, ease_factor, interval_days, repetitions, lapses, due_date, last_reviewed_at)
+          VALUES ($1, $2, $3, $4, $5, $6,
+                  (COALESCE($7, CURRENT_TIMESTAMP) AT TIME ZONE COALESCE($8, (SELECT timezone FROM user_stats WHERE user_id = $1), 'UTC'))::date + $4::int,
+                  COALESCE($7, CURRENT_TIMESTAMP))
+          ON CONFLICT (user_id, flashcard_id) DO UPDATE
+          SET ease_factor = EXCLUDED.ease_factor, interval_days = EXCLUDED.interval_days, repetitions = EXCLUDED.repetitions,
+              lapses = EXCLUDED.lapses, due_date = EXCLUDED.due_date, last_reviewed_at = EXCLUDED.last_reviewed_at
+          RETURNING due_date;
+      `;
+      const saved = await db.query(upsertQuery, [userId, cardId, next.easeFactor, next.intervalDays, next.repetitions, next.lapses, at, timezone]);
+      return { ...next, dueDate: saved.rows[0].due_date };
+  };
+
+  app.post('/api/flashcards/:cardId/review', authenticateToken, validate({
+      params: { cardId: id() }, body: { grade: oneOf(Object.keys(REVIEW_GRADES)) }
+  }), async (req, res, next) => {
+      const { cardId } = req.params;
+      const { grade } = req.body;
+      const userId = req.user.userId;
+
+      try {
+          const cardResult = await pool.query('SELECT flashcard_id FROM flashcards WHERE flashcard_id = $1 AND retired_at IS NULL', [cardId]);
+          if (cardResult.rows.length === 0) return next(new ApiError(404, 'Flashcard not found.'));
+
+          const timezone = requestTimezone(req);
+          const review = await saveFlashcardReview(pool, userId, cardId, grade, null, timezone);
+          const progress = await updateProgression(pool, userId, timezone);
+          const newAchievements = await evaluateAchievements(pool, userId);
+
+          res.json({ ...review, progress, newAchievements });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/flashcards/due', authenticateToken, async (req, res, next) => {
+      try {
+          const today = await userToday(pool, req.user.userId, requestTimezone(req));
+          const result = await pool.query(dueCardsQuery(''), [req.user.userId, today]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/flashcards/decks/:deckId/due', authenticateToken, validate({ params: { deckId: id() } }), async (req, res, next) => {
+      try {
+          const today = await userToday(pool, req.user.userId, requestTimezone(req));
+          const result = await pool.query(dueCardsQuery('AND f.topic_id = $3'), [req.user.userId, today, req.params.deckId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- SCENARIO ROUTES ---
+
+  // What the player sees of a node: its own prompt, feedback and choice texts, never the branches behind them.
+  const scenarioNodeView = async (db, scenarioId, nodeKey) => {
+      const [nodeResult, choicesResult] = await Promise.all([
+          db.query('SELECT node_key, prompt, competency, feedback, score, ending, outcome FROM scenario_nodes WHERE scenario_id = $1 AND node_key = $2', [scenarioId, nodeKey]),
+          db.query('SELECT choice_text FROM scenario_choices WHERE scenario_id = $1 AND node_key = $2 ORDER BY position', [scenarioId, nodeKey])
+      ]);
+      const node = nodeResult.rows[0];
+      if (!node) return null;
+      return {
+          key: node.node_key,
+          prompt: node.prompt,
+          competency: node.competency,
+          feedback: node.feedback,
+          score: node.score,
+          choices: choicesResult.rows.map((choice, index) => ({ index, text: choice.choice_text })),
+          end: node.ending,
+          outcome: node.outcome
+      };
+  };
+
+  // Only the first completed run of a scenario earns points, online or uploaded: a replay follows a path
+  // the player already knows. Callers hold the user's user_stats row lock, so two runs finishing
+  // together cannot both count as the first.
+  const completedScenarioBefore = async (db, userId, scenarioId, runId) => {
+      const result = await db.query(
+          `SELECT 1 FROM scenario_runs WHERE user_id = $1 AND scenario_id = $2 AND status = 'completed' AND run_id <> $3 LIMIT 1`,
+          [userId, scenarioId, runId]
+      );
+      return result.rows.length > 0;
+  };
+
+  app.get('/api/scenarios', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT scenario_id as id, title FROM scenarios WHERE retired_at IS NULL ORDER BY scenario_id');
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/scenarios/:id', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const scenarioResult = await pool.query('SELECT scenario_id as id, title FROM scenarios WHERE scenario_id = $1 AND retired_at IS NULL', [req.params.id]);
+          const scenario = scenarioResult.rows[0];
+          if (!scenario) return next(new ApiError(404, 'Scenario not found'));
+
+          const runsResult = await pool.query(`
+              SELECT run_id as id, status, path, score, outcome, started_at as "startedAt", completed_at as "completedAt"
+              FROM scenario_runs WHERE scenario_id = $1 AND user_id = $2
+              ORDER BY started_at DESC
+          `, [req.params.id, req.user.userId]);
+          res.json({ ...scenario, runs: runsResult.rows });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/scenarios/:id/runs', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const scenarioResult = await pool.query('SELECT scenario_id, start_node FROM scenarios WHERE scenario_id = $1 AND retired_at IS NULL', [req.params.id]);
+          const scenario = scenarioResult.rows[0];
+          if (!scenario) return next(new ApiError(404, 'Scenario not found'));
+
+          const node = await scenarioNodeView(pool, scenario.scenario_id, scenario.start_node);
+          const runResult = await pool.query(
+              'INSERT INTO scenario_runs (user_id, scenario_id, current_node, path, score) VALUES ($1, $2, $3, ARRAY[$3::varchar], $4) RETURNING run_id',
+              [req.user.userId, scenario.scenario_id, scenario.start_node, node.score]
+          );
+          res.status(201).json({ runId: runResult.rows[0].run_id, runScore: node.score, node });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/scenarios/runs/:runId/choices', authenticateToken, validate({
+      params: { runId: id() }, body: { choiceIndex: integer({ min: 0 }) }
+  }), async (req, res, next) => {
+      const { runId } = req.params;
+      const { choiceIndex } = req.body;
+      const userId = req.user.userId;
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+
+          const runResult = await client.query(
+              'SELECT scenario_id, status, current_node FROM scenario_runs WHERE run_id = $1 AND user_id = $2 FOR UPDATE',
+              [runId, userId]
+          );
+          const run = runResult.rows[0];
+          if (!run) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Scenario run not found.'));
+          }
+          if (run.status !== 'in_progress') {
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'This scenario run has already ended.'));
+          }
+
+          const choiceResult = await client.query(
+              'SELECT next_node FROM scenario_choices WHERE scenario_id = $1 AND node_key = $2 AND position = $3',
+              [run.scenario_id, run.current_node, choiceIndex + 1]
+          );
+          if (choiceResult.rows.length === 0) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(400, 'That choice is not available at this point in the scenario.'));
+          }
+
+          const node = await scenarioNodeView(client, run.scenario_id, choiceResult.rows[0].next_node);
+          if (!node) {
+              // The scenario was edited underneath this run.
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'This scenario has changed. Please start it again.'));
+          }
+
+          const completed = Boolean(node.end);
+          const updatedRun = await client.query(`
+              UPDATE scenario_runs
+              SET current_node = $1::text, path = array_append(path, $1::text), score = score + $2,
+                  status = CASE WHEN $3 THEN 'completed' ELSE status END,
+                  outcome = $4,
+                  completed_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP END
+              WHERE run_id = $5
+              RETURNING score
+          `, [node.key, node.score, completed, node.outcome, runId]);
+          const runScore = updatedRun.rows[0].score;
+
+          let pointsEarned = 0;
+          let progress = null;
+          let newAchievements = [];
+          if (completed) {
+              await client.query('SELECT user_id FROM user_stats WHERE user_id = $1 FOR UPDATE', [userId]);
+              pointsEarned = await completedScenarioBefore(client, userId, run.scenario_id, runId) ? 0 : runScore;
+              await awardPoints(client, userId, pointsEarned, 'scenario');
+              progress = await updateProgression(client, userId, requestTimezone(req));
+              newAchievements = await evaluateAchievements(client, userId);
+          }
+
+          await client.query('COMMIT');
+          res.json({ runId: Number(runId), runScore, pointsEarned, completed, node, progress, newAchievements });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // --- ADMIN SCENARIO ROUTES ---
+
+  app.get('/api/admin/scenarios/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const scenario = await loadScenario(pool, req.params.id);
+          if (!scenario) return next(new ApiError(404, 'Scenario not found'));
+          res.json(scenario);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  const writeScenario = async (req, res, next, scenarioId) => {
+      const errors = validateScenario(req.body);
+      if (errors.length > 0) return next(new ApiError(400, 'Scenario is invalid.', 'VALIDATION_FAILED', { errors }));
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          if (scenarioId) {
+              const existing = await client.query('SELECT scenario_id FROM scenarios WHERE scenario_id = $1 FOR UPDATE', [scenarioId]);
+              if (existing.rows.length === 0) {
+                  await client.query('ROLLBACK');
+                  return next(new ApiError(404, 'Scenario not found'));
+              }
+          }
+          const id = await saveScenario(client, req.body, scenarioId);
+          await client.query('COMMIT');
+          res.status(scenarioId ? 200 : 201).json({ id });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          if (error.code === '23505') return next(new ApiError(409, 'A scenario with this slug already exists.'));
+          next(error);
+      } finally {
+          client.release();
+      }
+  };
+
+  app.post('/api/admin/scenarios', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      body: { slug: optional(string({ max: 100 })) }
+  }), async (req, res, next) => {
+      try {
+          const slug = req.body.slug || slugify(req.body.title || '');
+          const existing = await pool.query('SELECT scenario_id FROM scenarios WHERE slug = $1', [slug]);
+          if (existing.rows.length > 0) return next(new ApiError(409, 'A scenario with this slug already exists.'));
+          await writeScenario(req, res, next, null);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.put('/api/admin/scenarios/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() }
+  }), (req, res, next) => writeScenario(req, res, next, req.params.id));
+
+  // --- PUZZLE ROUTES ---
+
+  const shuffle = (items) => {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+  };
+
+  // Length of the longest common subsequence, used for partial credit on ordering puzzles.
+  const longestCommonSubsequence = (a, b) => {
+      const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+      for (let i = 1; i <= a.length; i++) {
+          for (let j = 1; j <= b.length; j++) {
+              lengths[i][j] = a[i - 1] === b[j - 1] ? lengths[i - 1][j - 1] + 1 : Math.max(lengths[i - 1][j], lengths[i][j - 1]);
+          }
+      }
+      return lengths[a.length][b.length];
+  };
+
+  const MAX_PUZZLE_ANSWERS = 200;
+  const puzzleText = () => string({ max: 2000, trim: false });
+
+  // The answer each puzzle type takes, checked once the puzzle is loaded and its type known.
+  const PUZZLE_ATTEMPT_BODIES = {
+      ordering: { order: array(puzzleText(), { max: MAX_PUZZLE_ANSWERS }) },
+      matching: { dealId: id(), matches: array(object({ termId: id(), definition: puzzleText() }), { max: MAX_PUZZLE_ANSWERS }) },
+      categorizing: { placements: mapOf(puzzleText(), { max: MAX_PUZZLE_ANSWERS }) }
+  };
+
+  // Each grader returns { correct, total, solution } for a submission; the solution is only revealed after an attempt.
+  const PUZZLE_GRADERS = {
+      ordering: async (puzzle, body) => ({
+          correct: longestCommonSubsequence(body.order, puzzle.correctOrder),
+          total: puzzle.correctOrder.length,
+          solution: { correctOrder: puzzle.correctOrder }
+      }),
+      // Graded against the cards in the user's deal (`dealId`), each counted once; other cards score nothing.
+      matching: async (puzzle, body, userId) => {
+          const dealResult = await pool.query(
+              'SELECT flashcard_ids FROM puzzle_deals WHERE deal_id = $1 AND user_id = $2 AND puzzle_id = $3',
+              [body.dealId, userId, puzzle.id]
+          );
+          const deal = dealResult.rows[0];
+          if (!deal) throw new ApiError(404, 'Puzzle deal not found.');
+
+          const result = await pool.query(
+              'SELECT flashcard_id, term, definition FROM flashcards WHERE flashcard_id = ANY($1) ORDER BY array_position($1, flashcard_id)',
+              [deal.flashcard_ids]
+          );
+          const cards = new Map(result.rows.map(row => [row.flashcard_id, row]));
+          const matched = new Set();
+          for (const m of body.matches) {
+              if (matched.has(m.termId) || cards.get(m.termId)?.definition !== m.definition) continue;
+              matched.add(m.termId);
+          }
+          return {
+              correct: matched.size,
+              total: deal.flashcard_ids.length,
+              solution: { matches: result.rows.map(row => ({ termId: row.flashcard_id, term: row.term, definition: row.definition })) }
+          };
+      },
+      categorizing: async (puzzle, body) => {
+          const { placements } = body;
+          let correct = 0;
+          let total = 0;
+          for (const [category, items] of Object.entries(puzzle.categories)) {
+              total += items.length;
+              correct += items.filter(item => placements[item] === category).length;
+          }
+          return { correct, total, solution: { categories: puzzle.categories } };
+      }
+  };
+
+  // The user's open deal for a matching puzzle as { dealId, cards }. Viewing the puzzle again shows the same
+  // cards, so reloading adds no rows; a deal is dealt afresh once its attempt is graded or a card is retired.
+  const openPuzzleDeal = async (puzzle, userId) => {
+      const existing = await pool.query('SELECT deal_id, flashcard_ids FROM puzzle_deals WHERE user_id = $1 AND puzzle_id = $2', [userId, puzzle.id]);
+      const deal = existing.rows[0];
+      if (deal) {
+          const cards = await pool.query(`
+              SELECT flashcard_id as id, term, definition FROM flashcards
+              WHERE flashcard_id = ANY($1) AND retired_at IS NULL
+              ORDER BY array_position($1, flashcard_id)
+          `, [deal.flashcard_ids]);
+          if (cards.rows.length === deal.flashcard_ids.length) return { dealId: deal.deal_id, cards: cards.rows };
+          await pool.query('DELETE FROM puzzle_deals WHERE deal_id = $1', [deal.deal_id]);
+      }
+
+      const result = await pool.query(`
+          SELECT f.flashcard_id as id, f.term, f.definition
+          FROM flashcards f JOIN topics t ON t.topic_id = f.topic_id
+          WHERE t.topic_name = $1 AND f.retired_at IS NULL
+          ORDER BY random() LIMIT $2
+      `, [puzzle.topic, puzzle.pairs]);
+      const dealResult = await pool.query(`
+          INSERT INTO puzzle_deals (user_id, puzzle_id, flashcard_ids) VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, puzzle_id) DO NOTHING
+          RETURNING deal_id
+      `, [userId, puzzle.id, result.rows.map(row => row.id)]);
+      // Another request dealt first; show that deal instead.
+      if (dealResult.rows.length === 0) return openPuzzleDeal(puzzle, userId);
+      return { dealId: dealResult.rows[0].deal_id, cards: result.rows };
+  };
+
+  // What the player sees: pieces to arrange, never the answer. A matching puzzle shows the user's open
+  // deal, and the attempt names the deal it answers.
+  const puzzleView = async (puzzle, userId) => {
+      const base = { id: puzzle.id, type: puzzle.type, topic: puzzle.topic, title: puzzle.title };
+      if (puzzle.type === 'ordering') return { ...base, items: puzzle.items };
+      if (puzzle.type === 'categorizing') {
+          return { ...base, categories: Object.keys(puzzle.categories), items: shuffle(Object.values(puzzle.categories).flat()) };
+      }
+      const { dealId, cards } = await openPuzzleDeal(puzzle, userId);
+      return {
+          ...base,
+          dealId,
+          terms: cards.map(card => ({ id: card.id, term: card.term })),
+          definitions: shuffle(cards.map(card => card.definition))
+      };
+  };
+
+  // Puzzle-type specific fields (correctOrder, categories, pairs...) live in the `data` column.
+  const loadPuzzle = async (puzzleId) => {
+      const result = await pool.query(
+          'SELECT puzzle_id, type, topic_name, title, data FROM puzzles WHERE puzzle_id = $1 AND retired_at IS NULL',
+          [puzzleId]
+      );
+      const row = result.rows[0];
+      return row ? { ...row.data, id: row.puzzle_id, type: row.type, topic: row.topic_name, title: row.title } : null;
+  };
+
+  app.get('/api/puzzles', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT puzzle_id as id, type, topic_name as topic, title FROM puzzles WHERE retired_at IS NULL ORDER BY puzzle_id');
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/puzzles/:id', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const puzzle = await loadPuzzle(req.params.id);
+          if (!puzzle) return next(new ApiError(404, 'Puzzle not found'));
+          res.json(await puzzleView(puzzle, req.user.userId));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Only the first attempt at a puzzle earns points and mastery: every attempt reveals the solution, so a
+  // replay proves nothing. Later attempts are recorded and graded without credit.
+  app.post('/api/puzzles/:id/attempts', authenticateToken, validate({ params: { id: id() } }), async (req, res, next) => {
+      const userId = req.user.userId;
+      let puzzle;
+      let body;
+      let grade;
+      try {
+          puzzle = await loadPuzzle(req.params.id);
+          if (!puzzle) return next(new ApiError(404, 'Puzzle not found'));
+          body = checkInput('body', PUZZLE_ATTEMPT_BODIES[puzzle.type], req.body);
+          grade = await PUZZLE_GRADERS[puzzle.type](puzzle, body, userId);
+      } catch (error) {
+          return next(error);
+      }
+      const { correct, total, solution } = grade;
+      const score = total > 0 ? Math.round(correct / total * 100) : 0;
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          // Serializes a user's attempts, so two first attempts sent together cannot both be credited.
+          await client.query('SELECT user_id FROM user_stats WHERE user_id = $1 FOR UPDATE', [userId]);
+          if (puzzle.type === 'matching') {
+              // Grading uses the deal up; an attempt sent twice finds it gone.
+              const used = await client.query('DELETE FROM puzzle_deals WHERE deal_id = $1 AND user_id = $2 RETURNING deal_id', [body.dealId, userId]);
+              if (used.rows.length === 0) {
+                  await client.query('ROLLBACK');
+                  return next(new ApiError(404, 'Puzzle deal not found.'));
+              }
+          }
+          const previous = await client.query('SELECT 1 FROM puzzle_attempts WHERE user_id = $1 AND puzzle_id = $2 LIMIT 1', [userId, puzzle.id]);
+          const credited = previous.rows.length === 0;
+          const pointsEarned = credited ? (correct * 5) + (score === 100 ? 25 : 0) : 0;
+
+          await client.query(`
+              INSERT INTO puzzle_attempts (user_id, puzzle_id, puzzle_type, topic_name, submission, correct, total, score, points_earned, credited)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          `, [userId, puzzle.id, puzzle.type, puzzle.topic, body, correct, total, score, pointsEarned, credited]);
+          if (!credited) {
+              await client.query('COMMIT');
+              return res.json({ correct, total, score, pointsEarned, credited, mastery: {}, solution, progress: null, newAchievements: [] });
+          }
+
+          await awardPoints(client, userId, pointsEarned, 'puzzle');
+          // The attempt counts towards every topic the puzzle is tagged with.
+          const tagsResult = await client.query(`
+              SELECT ct.topic_id, t.topic_name FROM content_tags ct JOIN topics t ON t.topic_id = ct.topic_id
+              WHERE ct.entity_type = 'puzzle' AND ct.entity_id = $1
+          `, [puzzle.id]);
+          const mastery = {};
+          for (const tag of tagsResult.rows) {
+              mastery[tag.topic_name] = await recordMastery(client, userId, tag.topic_id, puzzleEvidence(score));
+          }
+          await rebalanceStudyPlan(client, userId);
+          const progress = await updateProgression(client, userId, requestTimezone(req));
+          const newAchievements = await evaluateAchievements(client, userId);
+          await client.query('COMMIT');
+
+          res.json({ correct, total, score, pointsEarned, credited, mastery, solution, progress, newAchievements });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // --- SEARCH ---
+  // Postgres full-text search over questions, flashcards and scenario prompts. Trigram word
+  // similarity catches misspellings ("motivatonal", "OARZ") that stemming alone would miss.
+
+  const SEARCH_TYPES = ['questions', 'flashcards', 'scenarios'];
+  const MIN_SEARCH_LENGTH = 2;
+  const MAX_SEARCH_LENGTH = 200;
+  const DEFAULT_SEARCH_LIMIT = 10;
+  const MAX_SEARCH_LIMIT = 50;
+  const SEARCH_QUIZ_DEFAULT_QUESTIONS = 10;
+  // Matched words come back wrapped in <mark> for the client to style.
+  const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+  // Full-text matches outrank typo matches: the trigram score only breaks ties and rescues queries
+  // with no full-text hit at all. Headlines are the expensive part, so they are built only for the
+  // rows that make the cut.
+  const SEARCH_QUERIES = {
+      questions: `
+          WITH query AS (SELECT websearch_to_tsquery('english', $1) as tsq), ranked AS (
+              SELECT q.question_id, q.question_text, q.explanation, t.topic_id, t.topic_name,
+                     ts_rank_cd(q.search_vector, query.tsq) + 0.1 * word_similarity($1, q.question_text) as rank
+              FROM questions q JOIN topics t ON t.topic_id = q.topic_id, query
+              WHERE q.retired_at IS NULL AND t.retired_at IS NULL
+                AND (q.search_vector @@ query.tsq OR $1 <% q.question_text)
+                AND ($2::text IS NULL OR t.topic_name = $2)
+              ORDER BY rank DESC, q.question_id
+              LIMIT $3
+          )
+          SELECT r.question_id as id, r.topic_id as "topicId", r.topic_name as topic, r.rank,
+                 ts_headline('english', r.question_text, query.tsq, '${HEADLINE_OPTIONS}') as title,
+                 ts_headline('english', COALESCE(r.explanation, ''), query.tsq, '${HEADLINE_OPTIONS}') as snippet
+          FROM ranked r, query
+          ORDER BY r.rank DESC, r.question_id
+      `,
+      flashcards: `
+          WITH query AS (SELECT websearch_to_tsquery('english', $1) as tsq), ranked AS (
+              SELECT f.flashcard_id, f.term, f.definition, t.topic_id, t.topic_name,
+                     ts_rank_cd(f.search_vector, query.tsq) + 0.1 * GREATEST(word_similarity($1, f.term), word_similarity($1, f.definition)) as rank
+              FROM flashcards f JOIN topics t ON t.topic_id = f.topic_id, query
+              WHERE f.retired_at IS NULL AND t.retired_at IS NULL
+                AND (f.search_vector @@ query.tsq OR $1 <% f.term OR $1 <% f.definition)
+                AND ($2::text IS NULL OR t.topic_name = $2)
+              ORDER BY rank DESC, f.flashcard_id
+              LIMIT $3
+          )
+          SELECT r.flashcard_id as id, r.topic_id as "topicId", r.topic_name as topic, r.rank,
+                 ts_headline('english', r.term, query.tsq, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') as title,
+                 ts_headline('english', r.definition, query.tsq, '${HEADLINE_OPTIONS}') as snippet
+          FROM ranked r, query
+          ORDER BY r.rank DESC, r.flashcard_id
+      `,
+      // Scenarios belong to no topic, so they are grouped by the competency of the matching node.
+      // Only the best-matching node of each scenario is returned.
+      scenarios: `
+          WITH query AS (SELECT websearch_to_tsquery('english', $1) as tsq), best AS (
+              SELECT DISTINCT ON (s.scenario_id) s.scenario_id, s.title, n.node_key, n.competency, n.prompt,
+                     ts_rank_cd(n.search_vector, query.tsq) + 0.1 * word_similarity($1, n.prompt) as rank
+              FROM scenario_nodes n JOIN scenarios s ON s.scenario_id = n.scenario_id, query
+              WHERE s.retired_at IS NULL
+                AND (n.search_vector @@ query.tsq OR $1 <% n.prompt)
+                AND ($2::text IS NULL OR n.competency = $2)
+              ORDER BY s.scenario_id, rank DESC
+          ), ranked AS (
+              SELECT * FROM best ORDER BY rank DESC, scenario_id LIMIT $3
+          )
+          SELECT r.scenario_id as id, r.title, r.node_key as "nodeKey", r.competency as topic, r.rank,
+                 ts_headline('english', r.prompt, query.tsq, '${HEADLINE_OPTIONS}') as snippet
+          FROM ranked r, query
+          ORDER BY r.rank DESC, r.scenario_id
+      `
+  };
+
+  // What the client can do with a result without another lookup.
+  const searchResultAction = {
+      questions: (result) => ({ type: 'quiz', method: 'POST', path: '/api/search/quiz', body: { questionIds: [result.id] } }),
+      flashcards: (result) => ({ type: 'deck', method: 'GET', path: `/api/flashcards/decks/${result.topicId}` }),
+      scenarios: (result) => ({ type: 'scenario', method: 'POST', path: `/api/scenarios/${result.id}/runs` })
+  };
+
+  // Results grouped by content type, then by topic, keeping the best-ranked group first.
+  const groupSearchResults = (type, rows) => {
+      const groups = new Map();
+      for (const row of rows) {
+          const key = row.topic || '';
+          if (!groups.has(key)) {
+              groups.set(key, {
+                  topic: row.topic,
+                  topicId: row.topicId ?? null,
+                  // Starting a deck or quiz for the whole topic, as opposed to a single result.
+                  action: type === 'questions' && row.topic ? { type: 'quiz', method: 'POST', path: '/api/search/quiz', body: { topic: row.topic } }
+                      : type === 'flashcards' ? searchResultAction.flashcards(row)
+                      : null,
+                  results: []
+              });
+          }
+          const { rank, topicId, ...result } = row;
+          groups.get(key).results.push({ ...result, score: Math.round(rank * 1000) / 1000, action: searchResultAction[type](row) });
+      }
+      return [...groups.values()];
+  };
+
+  const searchText = () => string({ min: MIN_SEARCH_LENGTH, max: MAX_SEARCH_LENGTH });
+
+  app.get('/api/search', authenticateToken, validate({
+      query: {
+          q: searchText(),
+          topic: optional(string(), null),
+          types: optional(commaList(oneOf(SEARCH_TYPES), { min: 1, unique: true }), SEARCH_TYPES),
+          limit: optional(integer({ min: 1, max: MAX_SEARCH_LIMIT }), DEFAULT_SEARCH_LIMIT)
+      }
+  }), async (req, res, next) => {
+      const { q, topic, types, limit } = req.query;
+
+      try {
+          const results = await Promise.all(types.map(type => pool.query(SEARCH_QUERIES[type], [q, topic, limit])));
+          const response = { query: q, total: 0, results: {} };
+          types.forEach((type, index) => {
+              response.total += results[index].rows.length;
+              response.results[type] = groupSearchResults(type, results[index].rows);
+          });
+          res.json(response);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Starts a quiz from search: either specific results (`questionIds`) or the best matches for `q`,
+  // optionally within one `topic`. Scored and submitted like any other quiz.
+  app.post('/api/search/quiz', authenticateToken, validate({
+      body: {
+          questionIds: optional(array(id(), { max: MAX_SEARCH_LIMIT, unique: true })),
+          q: optional(searchText()),
+          topic: optional(nullable(string()), null),
+          questions: optional(integer({ min: 1, max: MAX_SEARCH_LIMIT }), SEARCH_QUIZ_DEFAULT_QUESTIONS)
+      }
+  }), async (req, res, next) => {
+      const { questionIds, q, topic, questions: count } = req.body;
+      const userId = req.user.userId;
+
+      const byIds = questionIds !== undefined && questionIds.length > 0;
+      if (!byIds && !q && !topic) {
+          return next(new ApiError(400, 'Provide questionIds, search text or a topic.'));
+      }
+
+      try {
+          let ids = byIds ? questionIds : null;
+          if (!ids && q) {
+              const matches = await pool.query(SEARCH_QUERIES.questions, [q, topic, count]);
+              ids = matches.rows.map(row => row.id);
+          }
+
+          // Without search text, a topic result starts an ordinary quiz over that topic.
+          const questionsResult = await pool.query(`
+              SELECT q.question_id, q.question_text, t.topic_name,
+                     (SELECT json_agg(o) FROM (SELECT option_text, is_correct FROM question_options WHERE question_id = q.question_id ORDER BY random()) o) as options
+              FROM questions q JOIN topics t ON t.topic_id = q.topic_id
+              WHERE q.retired_at IS NULL AND t.retired_at IS NULL
+                AND ($1::int[] IS NULL OR q.question_id = ANY($1))
+                AND ($2::text IS NULL OR t.topic_name = $2)
+              ORDER BY ${ids ? 'array_position($1, q.question_id)' : 'random()'}
+              LIMIT $3
+          `, [ids, topic, ids ? ids.length : count]);
+          const questions = formatQuizQuestions(questionsResult.rows);
+          if (questions.length === 0) return next(new ApiError(404, 'No questions matched.'));
+
+          const client = await pool.connect();
+          try {
+              await client.query('BEGIN');
+              const topicList = [...new Set(questions.map(question => question.topic))];
+              const sessionId = await createQuizSession(client, userId, topicList, 'search', questions);
+              await client.query('COMMIT');
+              res.status(201).json({ sessionId, mode: 'search', questions });
+          } catch (e) {
+              await client.query('ROLLBACK');
+              throw e;
+          } finally {
+              client.release();
+          }
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- OFFLINE SYNC ---
+  // Mobile clients download content per topic while online, study offline, and upload what they did
+  // as a batch of operations, each with the time it happened on the device and a client-chosen
+  // idempotency key. Uploads are applied in timestamp order and are safe to retry. Quizzes and
+  // scenario runs are started online before the device goes offline, so every upload finishes
+  // something the server issued.
+
+  const SYNC_OPERATION_TYPES = ['quiz', 'flashcard_review', 'scenario_completion'];
+  const MAX_SYNC_OPERATIONS = 500;
+  const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+  const MAX_OFFLINE_QUIZ_ANSWERS = MOCK_EXAM_QUESTIONS;
+  const MAX_SCENARIO_CHOICES = 100;
+  // Uploaded work is graded here but cannot be watched being done, so what it earns is capped: a question
+  // earns points the first time it is answered correctly, a scenario the first time it is completed, and
+  // uploads earn at most this much per (UTC) day.
+  const UPLOADED_POINTS_PER_QUESTION = 10;
+  const MAX_UPLOADED_POINTS_PER_DAY = 300;
+  const UPLOADED_POINT_SOURCES = ['offline_quiz', 'offline_scenario'];
+  // Device clocks drift; anything further in the future than this is refused rather than trusted.
+  const SYNC_CLOCK_SKEW_MINUTES = 5;
+  // Work recorded longer ago than this is logged but not applied, so a backdated upload cannot fill in
+  // missed streak days or add points to past weeks. Quizzes and runs can also not predate their start.
+  const SYNC_MAX_AGE_DAYS = 7;
+
+  // A hash of everything a client stores for the topic, so any edit, retirement or new item changes it.
+  const TOPIC_VERSIONS_QUERY = `
+      SELECT t.topic_id, t.topic_name, md5(
+          COALESCE((
+              SELECT json_agg(json_build_array(q.question_id, q.question_text, q.difficulty,
+                  (SELECT json_agg(json_build_array(o.option_id, o.option_text) ORDER BY o.option_id)
+                   FROM question_options o WHERE o.question_id = q.question_id)) ORDER BY q.question_id)
+              FROM questions q WHERE q.topic_id = t.topic_id AND q.retired_at IS NULL
+          )::text, '') || COALESCE((
+              SELECT json_agg(json_build_array(f.flashcard_id, f.term, f.definition) ORDER BY f.flashcard_id)
+              FROM flashcards f WHERE f.topic_id = t.topic_id AND f.retired_at IS NULL
+          )::text, '')
+      ) as version
+      FROM topics t
+      WHERE t.retired_at IS NULL
+      ORDER BY t.topic_name
+  `;
+
+  // "3:ab12…,7:cd34…,scenarios:ef56…" -> Map(id -> version)
+  const parseKnownVersions = (known) => new Map(String(known || '').split(',').filter(Boolean).map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return [entry.slice(0, separator), entry.slice(separator + 1)];
+  }));
+
+  // What an offline client may hold of a scenario: enough to play it, nothing that grades it. Nodes are
+  // numbered rather than keyed, since keys such as "bad_advice" give the game away, and carry no score,
+  // feedback or outcome. Endings are only marked as such: their text is the verdict on the run, so the
+  // client learns it from the upload, which is graded on the server.
+  const offlineScenario = (scenario) => {
+      const keys = Object.keys(scenario.nodes).sort();
+      const index = new Map(keys.map((key, i) => [key, i]));
+      return {
+          id: scenario.id,
+          title: scenario.title,
+          startNode: index.get(scenario.startNode),
+          nodes: keys.map(key => {
+              const node = scenario.nodes[key];
+              if (node.end) return { end: true, choices: [] };
+              return {
+                  prompt: node.prompt,
+                  competency: node.competency,
+                  end: false,
+                  choices: node.choices.map(choice => ({ text: choice.text, nextNode: index.get(choice.nextNode) }))
+              };
+          })
+      };
+  };
+
+  // Returns every active topic with its version, and full content only for topics whose version the
+  // client does not already have (`known`). Topics missing from the response have been retired and
+  // should be dropped. Questions come without their answers or explanations, with options in a fixed
+  // order that says nothing about which is correct; offline work is graded when it is uploaded.
+  // Express adds an ETag, so an unchanged response comes back as 304.
+  app.get('/api/sync/content', authenticateToken, validate({ query: { known: optional(string({ min: 0, max: 20000 })) } }), async (req, res, next) => {
+      const known = parseKnownVersions(req.query.known);
+
+      try {
+          const versionsResult = await pool.query(TOPIC_VERSIONS_QUERY);
+          const changedIds = versionsResult.rows.filter(row => known.get(String(row.topic_id)) !== row.version).map(row => row.topic_id);
+
+          const [questionsResult, flashcardsResult, scenariosResult] = await Promise.all([
+              pool.query(`
+                  SELECT q.question_id as id, q.topic_id, q.question_text as question, q.difficulty,
+                         (SELECT json_agg(json_build_object('id', o.option_id, 'text', o.option_text) ORDER BY o.option_text, o.option_id)
+                          FROM question_options o WHERE o.question_id = q.question_id) as options
+                  FROM questions q
+                  WHERE q.topic_id = ANY($1) AND q.retired_at IS NULL
+                  ORDER BY q.question_id
+              `, [changedIds]),
+              pool.query(
+                  'SELECT flashcard_id as id, topic_id, term, definition FROM flashcards WHERE topic_id = ANY($1) AND retired_at IS NULL ORDER BY flashcard_id',
+                  [changedIds]
+              ),
+              pool.query('SELECT scenario_id FROM scenarios WHERE retired_at IS NULL ORDER BY scenario_id')
+          ]);
+
+          const topics = versionsResult.rows.map(row => {
+              const topic = { topicId: row.topic_id, topic: row.topic_name, version: row.version, changed: changedIds.includes(row.topic_id) };
+              if (topic.changed) {
+                  topic.questions = questionsResult.rows.filter(q => q.topic_id === row.topic_id).map(({ topic_id, ...q }) => q);
+                  topic.flashcards = flashcardsResult.rows.filter(f => f.topic_id === row.topic_id).map(({ topic_id, ...f }) => f);
+              }
+              return topic;
+          });
+
+          // Scenarios are few and belong to no topic, so they travel as a single versioned bundle.
+          const scenarioItems = [];
+          for (const { scenario_id: scenarioId } of scenariosResult.rows) {
+              scenarioItems.push(offlineScenario(await loadScenario(pool, scenarioId)));
+          }
+          const scenariosVersion = crypto.createHash('md5').update(JSON.stringify(scenarioItems)).digest('hex');
+          const scenarios = { version: scenariosVersion, changed: known.get('scenarios') !== scenariosVersion };
+          if (scenarios.changed) scenarios.items = scenarioItems;
+
+          res.json({ generatedAt: new Date().toISOString(), topics, scenarios });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Caps points earned by uploads at what is left of the day's allowance. Penalties pass through.
+  const withinUploadAllowance = async (client, userId, points, at) => {
+      if (points <= 0) return points;
+      const result = await client.query(`
+          SELECT COALESCE(SUM(points), 0)::int as earned FROM point_events
+          WHERE user_id = $1 AND source = ANY($2)
+            AND earned_at >= date_trunc('day', $3::timestamptz, 'UTC') AND earned_at < date_trunc('day', $3::timestamptz, 'UTC') + INTERVAL '1 day'
+      `, [userId, UPLOADED_POINT_SOURCES, at]);
+      return Math.max(0, Math.min(points, MAX_UPLOADED_POINTS_PER_DAY - result.rows[0].earned));
+  };
+
+  // Points for an uploaded quiz: only questions the user has never answered correctly before count,
+  // there is no perfect-score bonus, and the total is capped by the day's allowance.
+  const uploadedQuizPoints = async (client, userId, sessionId, at) => {
+      const result = await client.query(`
+          SELECT COUNT(*)::int as count FROM quiz_attempts a
+          WHERE a.session_id = $1 AND a.is_correct
+            AND NOT EXISTS (
+                SELECT 1 FROM quiz_attempts earlier
+                WHERE earlier.user_id = a.user_id AND earlier.question_id = a.question_id
+                  AND earlier.is_correct AND earlier.session_id <> a.session_id
+            )
+      `, [sessionId]);
+      return withinUploadAllowance(client, userId, result.rows[0].count * UPLOADED_POINTS_PER_QUESTION, at);
+  };
+
+  const isIntegerList = (list, max) => Array.isArray(list) && list.length > 0 && list.length <= max && list.every(Number.isInteger);
+
+  // Returns what is wrong with an uploaded operation's shape, or null if it can be applied.
+  const syncOperationError = (op, now) => {
+      if (!op || typeof op !== 'object') return 'Each operation must be an object.';
+      if (typeof op.key !== 'string' || op.key.length === 0 || op.key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+          return `key must be a string of 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters.`;
+      }
+      if (!SYNC_OPERATION_TYPES.includes(op.type)) return `type must be one of: ${SYNC_OPERATION_TYPES.join(', ')}.`;
+      const recordedAt = new Date(op.recordedAt);
+      if (typeof op.recordedAt !== 'string' || Number.isNaN(recordedAt.getTime())) return 'recordedAt must be an ISO 8601 timestamp.';
+      if (recordedAt - now > SYNC_CLOCK_SKEW_MINUTES * 60 * 1000) return 'recordedAt is in the future.';
+
+      if (op.type === 'quiz') {
+          if (!Number.isInteger(op.sessionId)) return 'sessionId is required.';
+          if (!Array.isArray(op.answers) || op.answers.length === 0 || op.answers.length > MAX_OFFLINE_QUIZ_ANSWERS) {
+              return `answers must list 1 to ${MAX_OFFLINE_QUIZ_ANSWERS} answers.`;
+          }
+          if (op.answers.some(a => !a || !Number.isInteger(a.questionId) || (a.answer != null && typeof a.answer !== 'string'))) {
+              return 'Each answer needs a questionId and the chosen answer text (or null if skipped).';
+          }
+          if (new Set(op.answers.map(a => a.questionId)).size !== op.answers.length) return 'A question may only be answered once per quiz.';
+          if (op.answers.some(a => a.answeredAt != null && Number.isNaN(new Date(a.answeredAt).getTime()))) return 'answeredAt must be an ISO 8601 timestamp.';
+      } else if (op.type === 'flashcard_review') {
+          if (!Number.isInteger(op.flashcardId)) return 'flashcardId is required.';
+          if (!(op.grade in REVIEW_GRADES)) return `grade must be one of: ${Object.keys(REVIEW_GRADES).join(', ')}.`;
+      } else if (!Number.isInteger(op.runId)) {
+          return 'runId is required.';
+      } else if (!isIntegerList(op.choices, MAX_SCENARIO_CHOICES) || op.choices.some(choice => choice < 0)) {
+          return `choices must list 1 to ${MAX_SCENARIO_CHOICES} choice indexes.`;
+      }
+      return null;
+  };
+
+  // Each applier writes one operation and returns { status: 'applied', result } or, when the server's
+  // content no longer allows it, { status: 'rejected', error } without writing anything.
+  const SYNC_APPLIERS = {
+      // An offline quiz answers a session the server issued (POST /api/quizzes) while the device was online,
+      // and is then submitted like a live one. Answers to questions outside that session are skipped.
+      quiz: async (client, userId, op, at) => {
+          const sessionResult = await client.query(
+              'SELECT status, created_at FROM quiz_sessions WHERE session_id = $1 AND user_id = $2 FOR UPDATE',
+              [op.sessionId, userId]
+          );
+          const session = sessionResult.rows[0];
+          if (!session) return { status: 'rejected', error: 'Quiz session not found.' };
+          if (session.status !== 'in_progress') return { status: 'rejected', error: 'This quiz has already been submitted.' };
+          if (at < session.created_at) return { status: 'rejected', error: 'recordedAt is before the quiz was started.' };
+
+          const questionsResult = await client.query(`
+              SELECT sq.question_id,
+                     (SELECT json_agg(json_build_object('option_id', o.option_id, 'option_text', o.option_text, 'is_correct', o.is_correct))
+                      FROM question_options o WHERE o.question_id = sq.question_id) as options
+              FROM quiz_session_questions sq
+              WHERE sq.session_id = $1
+          `, [op.sessionId]);
+          const questions = new Map(questionsResult.rows.map(q => [q.question_id, q]));
+
+          // An answer time outside the session (or none) is replaced by the time the quiz was finished.
+          const answeredAt = (answer) => {
+              const time = answer.answeredAt ? new Date(answer.answeredAt) : at;
+              return time >= session.created_at && time <= at ? time : at;
+          };
+          for (const answer of op.answers) {
+              const question = questions.get(answer.questionId);
+              if (!question || answer.answer == null) continue;
+              const selected = (question.options || []).find(opt => opt.option_text === answer.answer);
+              // A question already answered online keeps that answer.
+              await client.query(`
+                  INSERT INTO quiz_attempts (session_id, user_id, question_id, selected_option_id, is_correct, answered_at)
+                  VALUES ($1, $2, $3, $4, $5, $6)
+                  ON CONFLICT (session_id, question_id) DO NOTHING
+              `, [op.sessionId, userId, answer.questionId, selected ? selected.option_id : null, Boolean(selected && selected.is_correct), answeredAt(answer)]);
+          }
+
+          const result = await finalizeQuizSession(client, userId, op.sessionId, at, { uploaded: true });
+          const skipped = op.answers.map(a => a.questionId).filter(id => !questions.has(id));
+          return { status: 'applied', result: { sessionId: op.sessionId, ...result, skippedQuestionIds: skipped } };
+      },
+
+      flashcard_review: async (client, userId, op, at, timezone) => {
+          const cardResult = await client.query('SELECT flashcard_id FROM flashcards WHERE flashcard_id = $1 AND retired_at IS NULL', [op.flashcardId]);
+          if (cardResult.rows.length === 0) return { status: 'rejected', error: 'Flashcard not found.' };
+
+          const review = await saveFlashcardReview(client, userId, op.flashcardId, op.grade, at, timezone);
+          // A newer review from another device already decided the schedule.
+          return { status: 'applied', result: review ? { rescheduled: true, ...review } : { rescheduled: false } };
+      },
+
+      // An offline run finishes a run the server started (POST /api/scenarios/:id/runs). The choices are
+      // replayed from where the run stands against the current scenario, so a run made on an outdated copy
+      // is refused. Only the first completed run of a scenario earns points.
+      scenario_completion: async (client, userId, op, at) => {
+          const runResult = await client.query(`
+              SELECT r.scenario_id, r.status, r.current_node, r.started_at, s.retired_at
+              FROM scenario_runs r JOIN scenarios s ON s.scenario_id = r.scenario_id
+              WHERE r.run_id = $1 AND r.user_id = $2
+              FOR UPDATE OF r
+          `, [op.runId, userId]);
+          const run = runResult.rows[0];
+          if (!run || run.retired_at) return { status: 'rejected', error: 'Scenario run not found.' };
+          if (run.status !== 'in_progress') return { status: 'rejected', error: 'This scenario run has already ended.' };
+          if (at < run.started_at) return { status: 'rejected', error: 'recordedAt is before the run was started.' };
+
+          const scenario = await loadScenario(client, run.scenario_id);
+          const changed = { status: 'rejected', error: 'This scenario has changed since it was downloaded.' };
+          let key = run.current_node;
+          let node = scenario.nodes[key];
+          if (!node) return changed;
+          const path = [];
+          let scoreGained = 0;
+          for (const choiceIndex of op.choices) {
+              const choice = !node.end && node.choices[choiceIndex];
+              if (!choice || !scenario.nodes[choice.nextNode]) return changed;
+              key = choice.nextNode;
+              node = scenario.nodes[key];
+              path.push(key);
+              scoreGained += node.score;
+          }
+          if (!node.end) return { status: 'rejected', error: 'The run did not reach an ending.' };
+
+          const updatedRun = await client.query(`
+              UPDATE scenario_runs
+              SET status = 'completed', current_node = $1, path = path || $2::varchar[], score = score + $3, outcome = $4, completed_at = $5
+              WHERE run_id = $6
+              RETURNING score
+          `, [key, path, scoreGained, node.outcome, at, op.runId]);
+          const runScore = updatedRun.rows[0].score;
+
+          const pointsEarned = await completedScenarioBefore(client, userId, run.scenario_id, op.runId)
+              ? 0 : await withinUploadAllowance(client, userId, runScore, at);
+          await awardPoints(client, userId, pointsEarned, 'offline_scenario', at);
+          return { status: 'applied', result: { runId: op.runId, runScore, pointsEarned, outcome: node.outcome, ending: node.end } };
+      }
+  };
+
+  // Orders operations by when they happened; ties break on type and then key so the outcome never
+  // depends on the order the client happened to send them in.
+  const compareSyncOperations = (a, b) => (new Date(a.recordedAt) - new Date(b.recordedAt))
+      || (SYNC_OPERATION_TYPES.indexOf(a.type) - SYNC_OPERATION_TYPES.indexOf(b.type))
+      || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+  // Applies a batch of offline operations. Each result has a status:
+  //   applied   - written now
+  //   duplicate - this key was seen before; the original status and result are returned
+  //   rejected  - valid, but conflicts with the server's content (stored, so retries agree)
+  //   stale     - recorded more than SYNC_MAX_AGE_DAYS ago; logged and stored, but never applied
+  //   invalid   - malformed; not stored, so it can be corrected and resent under the same key
+  // Activity recorded earlier than what the server already has never rewinds newer state: streaks
+  // and last-practised times only move forward, and the most recent flashcard review sets the schedule.
+  app.post('/api/sync/uploads', authenticateToken, validate({ body: { operations: array(any(), { min: 1, max: MAX_SYNC_OPERATIONS }) } }), async (req, res, next) => {
+      const { operations } = req.body;
+      const userId = req.user.userId;
+
+      const now = new Date();
+      const oldestApplied = new Date(now.getTime() - SYNC_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+      const results = [];
+      const valid = [];
+      for (const op of operations) {
+          const error = syncOperationError(op, now);
+          if (error) results.push({ key: op && typeof op.key === 'string' ? op.key : null, status: 'invalid', error });
+          else valid.push(op);
+      }
+      valid.sort(compareSyncOperations);
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          // One sync at a time per user, so two uploads of the same backlog cannot both apply it.
+          await client.query('SELECT user_id FROM user_stats WHERE user_id = $1 FOR UPDATE', [userId]);
+
+          const seenResult = await client.query(
+              'SELECT idempotency_key, status, result FROM sync_operations WHERE user_id = $1 AND idempotency_key = ANY($2)',
+              [userId, valid.map(op => op.key)]
+          );
+          const seen = new Map(seenResult.rows.map(row => [row.idempotency_key, row]));
+
+          const timezone = requestTimezone(req);
+          let progress = null;
+          let applied = 0;
+          for (const op of valid) {
+              const previous = seen.get(op.key);
+              if (previous) {
+                  results.push({ key: op.key, type: op.type, status: 'duplicate', originalStatus: previous.status, ...previous.result });
+                  continue;
+              }
+
+              const at = new Date(op.recordedAt);
+              let outcome;
+              if (at < oldestApplied) {
+                  req.log.warn('stale sync operation not applied', { key: op.key, type: op.type, recordedAt: op.recordedAt });
+                  outcome = { status: 'stale', error: `Work recorded more than ${SYNC_MAX_AGE_DAYS} days ago is not applied.` };
+              } else {
+                  await client.query('SAVEPOINT sync_operation');
+                  try {
+                      outcome = await SYNC_APPLIERS[op.type](client, userId, op, at, timezone);
+                      if (outcome.status === 'applied') {
+                          progress = await updateProgression(client, userId, timezone, at);
+                          applied++;
+                      }
+                  } catch (e) {
+                      // Integrity violations (content deleted mid-sync) reject just this operation.
+                      if (!String(e.code).startsWith('23')) throw e;
+                      await client.query('ROLLBACK TO SAVEPOINT sync_operation');
+                      outcome = { status: 'rejected', error: 'This operation conflicts with the current content.' };
+                  }
+              }
+
+              const stored = outcome.status === 'applied' ? { result: outcome.result } : { error: outcome.error };
+              await client.query(
+                  'INSERT INTO sync_operations (user_id, idempotency_key, operation_type, recorded_at, status, result) VALUES ($1, $2, $3, $4, $5, $6)',
+                  [userId, op.key, op.type, at, outcome.status, stored]
+              );
+              seen.set(op.key, { status: outcome.status, result: stored });
+              results.push({ key: op.key, type: op.type, status: outcome.status, ...stored });
+          }
+
+          let newAchievements = [];
+          if (applied > 0) {
+              await rebalanceStudyPlan(client, userId);
+              newAchievements = await evaluateAchievements(client, userId);
+          }
+          await client.query('COMMIT');
+          res.json({ applied, results, progress, newAchievements });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // --- STUDY GROUPS ---
+  // Anyone can start a group and becomes its instructor; others join with the invite code.
+  // Instructors manage members, run challenges and see every member's mastery.
+
+  const GROUP_ROLES = ['member', 'instructor'];
+  const LEADERBOARD_RANGES = ['weekly', 'all-time'];
+  // No 0/O or 1/I, so codes survive being read aloud or copied by hand.
+  const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const INVITE_CODE_LENGTH = 8;
+  const MAX_CHALLENGE_QUESTIONS = 50;
+  const DEFAULT_CHALLENGE_QUESTIONS = 10;
+
+  const newInviteCode = () => Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+
+  // Loads the caller's role in :groupId, optionally requiring one of `roles`.
+  // Non-members get a 404 so group ids reveal nothing.
+  const requireGroupMember = (...roles) => async (req, res, next) => {
+      try {
+          const result = await pool.query('SELECT role FROM study_group_members WHERE group_id = $1 AND user_id = $2', [req.params.groupId, req.user.userId]);
+          const membership = result.rows[0];
+          if (!membership) return next(new ApiError(404, 'Study group not found.'));
+          if (roles.length > 0 && !roles.includes(membership.role)) return next(new ApiError(403, 'Only group instructors can do this.'));
+          req.groupRole = membership.role;
+          next();
+      } catch (error) {
+          next(error);
+      }
+  };
+
+  // A group must keep an instructor while it has members. Run inside a transaction: the group's member rows
+  // stay locked until it ends, so two instructors stepping down at once cannot both pass the check.
+  const removesLastInstructor = async (client, groupId, userId) => {
+      const result = await client.query('SELECT user_id, role FROM study_group_members WHERE group_id = $1 FOR UPDATE', [groupId]);
+      const instructors = result.rows.filter(member => member.role === 'instructor');
+      const isInstructor = instructors.some(member => member.user_id === userId);
+      return isInstructor && instructors.length === 1 && result.rows.length > 1;
+  };
+
+  // Members who opted out of leaderboards are left out, except from their own view.
+  const LEADERBOARD_VISIBLE = 'NOT u.leaderboard_opt_out OR u.user_id = $2';
+
+  app.put('/api/user/preferences', authenticateToken, validate({ body: { leaderboardOptOut: boolean() } }), async (req, res, next) => {
+      const { leaderboardOptOut } = req.body;
+
+      try {
+          const result = await pool.query(
+              'UPDATE users SET leaderboard_opt_out = $1 WHERE user_id = $2 RETURNING leaderboard_opt_out as "leaderboardOptOut"',
+              [leaderboardOptOut, req.user.userId]
+          );
+          res.json(result.rows[0]);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/groups', authenticateToken, validate({
+      body: { name: string({ max: 100 }), description: optional(nullable(string({ min: 0, max: 1000 })), null) }
+  }), async (req, res, next) => {
+      const { name, description } = req.body;
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const groupResult = await client.query(
+              'INSERT INTO study_groups (name, description, invite_code, created_by) VALUES ($1, $2, $3, $4) RETURNING group_id, invite_code',
+              [name, description, newInviteCode(), req.user.userId]
+          );
+          const group = groupResult.rows[0];
+          await client.query(
+              `INSERT INTO study_group_members (group_id, user_id, role) VALUES ($1, $2, 'instructor')`,
+              [group.group_id, req.user.userId]
+          );
+          await client.query('COMMIT');
+          res.status(201).json({ id: group.group_id, name, description, inviteCode: group.invite_code, role: 'instructor', memberCount: 1 });
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  app.get('/api/groups', authenticateToken, async (req, res, next) => {
+      try {
+          const result = await pool.query(`
+              SELECT g.group_id as id, g.name, g.description, m.role,
+                     (SELECT COUNT(*) FROM study_group_members WHERE group_id = g.group_id)::int as "memberCount",
+                     CASE WHEN m.role = 'instructor' THEN g.invite_code END as "inviteCode"
+              FROM study_group_members m
+              JOIN study_groups g ON g.group_id = m.group_id
+              WHERE m.user_id = $1
+              ORDER BY g.name
+          `, [req.user.userId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/groups/join', authenticateToken, validate({ body: { inviteCode: string({ max: 20 }) } }), async (req, res, next) => {
+      const inviteCode = req.body.inviteCode.toUpperCase();
+
+      try {
+          const groupResult = await pool.query('SELECT group_id, name, description FROM study_groups WHERE invite_code = $1', [inviteCode]);
+          const group = groupResult.rows[0];
+          if (!group) return next(new ApiError(404, 'No study group has that invite code.'));
+
+          const joined = await pool.query(
+              `INSERT INTO study_group_members (group_id, user_id, role) VALUES ($1, $2, 'member') ON CONFLICT DO NOTHING RETURNING role`,
+              [group.group_id, req.user.userId]
+          );
+          if (joined.rows.length === 0) return next(new ApiError(409, 'You are already a member of this group.'));
+          res.status(201).json({ id: group.group_id, name: group.name, description: group.description, role: 'member' });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/groups/:groupId', authenticateToken, validate({ params: { groupId: id() } }), requireGroupMember(), async (req, res, next) => {
+      try {
+          const [groupResult, membersResult] = await Promise.all([
+              pool.query('SELECT group_id as id, name, description, invite_code, created_at as "createdAt" FROM study_groups WHERE group_id = $1', [req.params.groupId]),
+              pool.query(`
+                  SELECT u.user_id as "userId", u.full_name as name, m.role, m.joined_at as "joinedAt"
+                  FROM study_group_members m JOIN users u ON u.user_id = m.user_id
+                  WHERE m.group_id = $1
+                  ORDER BY m.role DESC, u.full_name
+              `, [req.params.groupId])
+          ]);
+          const { invite_code: inviteCode, ...group } = groupResult.rows[0];
+          res.json({
+              ...group,
+              role: req.groupRole,
+              inviteCode: req.groupRole === 'instructor' ? inviteCode : undefined,
+              members: membersResult.rows
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/groups/:groupId/invite-code', authenticateToken, validate({
+      params: { groupId: id() }
+  }), requireGroupMember('instructor'), async (req, res, next) => {
+      try {
+          const result = await pool.query(
+              'UPDATE study_groups SET invite_code = $1 WHERE group_id = $2 RETURNING invite_code as "inviteCode"',
+              [newInviteCode(), req.params.groupId]
+          );
+          res.json(result.rows[0]);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.put('/api/groups/:groupId/members/:userId', authenticateToken, validate({
+      params: { groupId: id(), userId: id() }, body: { role: oneOf(GROUP_ROLES) }
+  }), requireGroupMember('instructor'), async (req, res, next) => {
+      const { groupId, userId } = req.params;
+      const { role } = req.body;
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          if (role !== 'instructor' && await removesLastInstructor(client, groupId, userId)) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'Make another member an instructor first.'));
+          }
+          const result = await client.query(
+              'UPDATE study_group_members SET role = $1 WHERE group_id = $2 AND user_id = $3 RETURNING user_id as "userId", role',
+              [role, groupId, userId]
+          );
+          if (result.rows.length === 0) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Member not found.'));
+          }
+          await client.query('COMMIT');
+          res.json(result.rows[0]);
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // Members can leave; instructors can also remove others. The last member leaving closes the group.
+  app.delete('/api/groups/:groupId/members/:userId', authenticateToken, validate({
+      params: { groupId: id(), userId: id() }
+  }), requireGroupMember(), async (req, res, next) => {
+      const { groupId, userId } = req.params;
+      const isSelf = userId === req.user.userId;
+      if (!isSelf && req.groupRole !== 'instructor') return next(new ApiError(403, 'Only group instructors can do this.'));
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          if (await removesLastInstructor(client, groupId, userId)) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(409, 'Make another member an instructor first.'));
+          }
+          const result = await client.query('DELETE FROM study_group_members WHERE group_id = $1 AND user_id = $2 RETURNING user_id', [groupId, userId]);
+          if (result.rows.length === 0) {
+              await client.query('ROLLBACK');
+              return next(new ApiError(404, 'Member not found.'));
+          }
+          await client.query('DELETE FROM study_groups g WHERE g.group_id = $1 AND NOT EXISTS (SELECT 1 FROM study_group_members m WHERE m.group_id = g.group_id)', [groupId]);
+          await client.query('COMMIT');
+          res.sendStatus(204);
+      } catch (error) {
+          await client.query('ROLLBACK');
+          next(error);
+      } finally {
+          client.release();
+      }
+  });
+
+  // Weekly ranks points earned since Monday 00:00 UTC, so every member sees the same week.
+  app.get('/api/groups/:groupId/leaderboard', authenticateToken, validate({
+      params: { groupId: id() }, query: { range: optional(oneOf(LEADERBOARD_RANGES), 'weekly') }
+  }), requireGroupMember(), async (req, res, next) => {
+      const { range } = req.query;
+
+      try {
+          const result = await pool.query(`
+              WITH week AS (
+                  SELECT date_trunc('week', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' as starts_at
+              ), scores AS (
+                  SELECT u.user_id, u.full_name, u.leaderboard_opt_out, COALESCE(s.level, 1) as level,
+                         CASE WHEN $3 = 'weekly'
+                              THEN (SELECT COALESCE(SUM(p.points), 0) FROM point_events p, week WHERE p.user_id = u.user_id AND p.earned_at >= week.starts_at)
+                              ELSE COALESCE(s.points, 0)
+                         END as points
+                  FROM study_group_members m
+                  JOIN users u ON u.user_id = m.user_id
+                  LEFT JOIN user_stats s ON s.user_id = u.user_id
+                  WHERE m.group_id = $1
+              )
+              SELECT RANK() OVER (ORDER BY u.points DESC)::int as rank, u.user_id as "userId", u.full_name as name,
+                     u.points::int as points, u.level, u.user_id = $2 as "isYou", u.leaderboard_opt_out as hidden,
+                     (SELECT starts_at FROM week) as week_starts_at
+              FROM scores u
+              WHERE ${LEADERBOARD_VISIBLE}
+              ORDER BY rank, name
+          `, [req.params.groupId, req.user.userId, range]);
+
+          res.json({
+              range,
+              since: range === 'weekly' ? result.rows[0]?.week_starts_at ?? null : null,
+              entries: result.rows.map(({ week_starts_at, ...entry }) => entry)
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Every member's rolled-up mastery in every active topic, with the group average per topic.
+  app.get('/api/groups/:groupId/mastery', authenticateToken, validate({ params: { groupId: id() } }), requireGroupMember('instructor'), async (req, res, next) => {
+      try {
+          const [nodes, membersResult, masteryResult] = await Promise.all([
+              loadTaxonomy(pool),
+              pool.query(`
+                  SELECT u.user_id as "userId", u.full_name as name, m.role, COALESCE(s.readiness, 0) as readiness
+                  FROM study_group_members m
+                  JOIN users u ON u.user_id = m.user_id
+                  LEFT JOIN user_stats s ON s.user_id = u.user_id
+                  WHERE m.group_id = $1
+                  ORDER BY u.full_name
+              `, [req.params.groupId]),
+              pool.query(`
+                  SELECT um.user_id, um.topic_id, um.mastery_score
+                  FROM user_mastery um JOIN study_group_members m ON m.user_id = um.user_id
+                  WHERE m.group_id = $1
+              `, [req.params.groupId])
+          ]);
+
+          const own = new Map(membersResult.rows.map(member => [member.userId, new Map()]));
+          for (const row of masteryResult.rows) own.get(row.user_id)?.set(row.topic_id, row.mastery_score);
+          const topics = nodes.map(node => node.name);
+          const members = membersResult.rows.map(member => {
+              const rolled = rollUpMastery(nodes, own.get(member.userId));
+              return { ...member, mastery: Object.fromEntries(nodes.map(node => [node.name, rolled.get(node.id)])) };
+          });
+          const averages = Object.fromEntries(topics.map(topic => [
+              topic,
+              members.length > 0 ? Math.round(members.reduce((sum, member) => sum + (member.mastery[topic] || 0), 0) / members.length) : 0
+          ]));
+          res.json({ topics, averages, members });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- GROUP CHALLENGES ---
+  // A challenge is a fixed question set. Each member takes it once as a regular quiz session
+  // (answered and submitted through the quiz routes), and scores are compared afterwards.
+
+  // The challenge's questions in their fixed order, ready for a quiz session.
+  const challengeQuestions = async (db, challengeId) => {
+      const result = await db.query(`
+          SELECT q.question_id, q.question_text, t.topic_name,
+                 (SELECT json_agg(o) FROM (SELECT option_text, is_correct FROM question_options WHERE question_id = q.question_id ORDER BY random()) o) as options
+          FROM group_challenge_questions cq
+          JOIN questions q ON q.question_id = cq.question_id
+          JOIN topics t ON t.topic_id = q.topic_id
+          WHERE cq.challenge_id = $1
+          ORDER BY cq.position
+      `, [challengeId]);
+      return formatQuizQuestions(result.rows);
+  };
+
+  // Takes either explicit { questionIds } or { topics, questionCount } to draw a random set once.
+  app.post('/api/groups/:groupId/challenges', authenticateToken, validate({
+      params: { groupId: id() },
+      body: {
+          title: string(),
+          questionIds: optional(array(id(), { min: 1, max: MAX_CHALLENGE_QUESTIONS, unique: true })),
+          topics: optional(array(string(), { min: 1 })),
+          questionCount: optional(integer({ min: 1, max: MAX_CHALLENGE_QUESTIONS }), DEFAULT_CHALLENGE_QUESTIONS),
+          closesAt: optional(nullable(timestamp()), null)
+      }
+  }), requireGroupMember('instructor'), async (req, res, next) => {
+      const { title, questionIds, topics, questionCount, closesAt } = req.body;
+      if (closesAt !== null && Date.parse(closesAt) <= Date.now()) {
+          return next(new ApiError(400, 'closesAt must be a future date and time.'));
+      }
+
+      try {
+          let selected;
+          if (questionIds !== undefined) {
+              const found = await pool.query('SELECT question_id FROM questions WHERE question_id = ANY($1) AND retired_at IS NULL', [questionIds]);
+              if (found.rows.length !== questionIds.length) return next(new ApiError(400, 'Some questions do not exist or are retired.'));
+              selected = questionIds;
+          } else {
+              if (topics === undefined) return next(new ApiError(400, 'Provide questionIds or a list of topics.'));
+              const drawn = await pool.query(`
+                  SELECT q.question_id FROM questions q JOIN topics t ON t.topic_id = q.topic_id
+                  WHERE q.question_id IN (${questionsUnderTopics('$1')}) AND q.retired_at IS NULL AND t.retired_at IS NULL
+                    AND EXISTS (SELECT 1 FROM question_options o WHERE o.question_id = q.question_id AND o.is_correct)
+                  ORDER BY random() LIMIT $2
+              `, [topics, questionCount]);
+              if (drawn.rows.length === 0) return next(new ApiError(404, 'No questions found for the selected topics.'));
+              selected = drawn.rows.map(row => row.question_id);
+          }
+
+          const client = await pool.connect();
+          try {
+              await client.query('BEGIN');
+              const challengeResult = await client.query(
+                  'INSERT INTO group_challenges (group_id, title, created_by, closes_at) VALUES ($1, $2, $3, $4) RETURNING challenge_id, created_at',
+                  [req.params.groupId, title, req.user.userId, closesAt]
+              );
+              const challengeId = challengeResult.rows[0].challenge_id;
+              for (let i = 0; i < selected.length; i++) {
+                  await client.query(
+                      'INSERT INTO group_challenge_questions (challenge_id, question_id, position) VALUES ($1, $2, $3)',
+                      [challengeId, selected[i], i + 1]
+                  );
+              }
+              await client.query('COMMIT');
+              res.status(201).json({ id: challengeId, title, questionCount: selected.length, closesAt, createdAt: challengeResult.rows[0].created_at });
+          } catch (e) {
+              await client.query('ROLLBACK');
+              throw e;
+          } finally {
+              client.release();
+          }
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/groups/:groupId/challenges', authenticateToken, validate({ params: { groupId: id() } }), requireGroupMember(), async (req, res, next) => {
+      try {
+          const result = await pool.query(`
+              SELECT c.challenge_id as id, c.title, c.created_at as "createdAt", c.closes_at as "closesAt",
+                     c.closes_at IS NOT NULL AND c.closes_at <= CURRENT_TIMESTAMP as closed,
+                     (SELECT COUNT(*) FROM group_challenge_questions WHERE challenge_id = c.challenge_id)::int as "questionCount",
+                     (SELECT COUNT(*) FROM quiz_sessions WHERE challenge_id = c.challenge_id AND status = 'submitted')::int as "completedBy",
+                     mine.session_id as "sessionId", mine.status, mine.score
+              FROM group_challenges c
+              LEFT JOIN quiz_sessions mine ON mine.challenge_id = c.challenge_id AND mine.user_id = $2
+              WHERE c.group_id = $1
+              ORDER BY c.created_at DESC
+          `, [req.params.groupId, req.user.userId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Scores of everyone who has submitted, best first; ties go to whoever finished first.
+  app.get('/api/groups/:groupId/challenges/:challengeId', authenticateToken, validate({
+      params: { groupId: id(), challengeId: id() }
+  }), requireGroupMember(), async (req, res, next) => {
+      const { groupId, challengeId } = req.params;
+      try {
+          const challengeResult = await pool.query(`
+              SELECT challenge_id as id, title, created_at as "createdAt", closes_at as "closesAt",
+                     (SELECT COUNT(*) FROM group_challenge_questions WHERE challenge_id = $1)::int as "questionCount"
+              FROM group_challenges WHERE challenge_id = $1 AND group_id = $2
+          `, [challengeId, groupId]);
+          const challenge = challengeResult.rows[0];
+          if (!challenge) return next(new ApiError(404, 'Challenge not found.'));
+
+          const resultsResult = await pool.query(`
+              SELECT RANK() OVER (ORDER BY s.score DESC, s.submitted_at)::int as rank,
+                     u.user_id as "userId", u.full_name as name, s.score, s.submitted_at as "submittedAt",
+                     u.user_id = $2 as "isYou", u.leaderboard_opt_out as hidden
+              FROM quiz_sessions s JOIN users u ON u.user_id = s.user_id
+              WHERE s.challenge_id = $1 AND s.status = 'submitted' AND (${LEADERBOARD_VISIBLE})
+              ORDER BY rank
+          `, [challengeId, req.user.userId]);
+          res.json({ ...challenge, results: resultsResult.rows });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Starts the caller's attempt, or resumes it if it is still in progress.
+  app.post('/api/groups/:groupId/challenges/:challengeId/sessions', authenticateToken, validate({
+      params: { groupId: id(), challengeId: id() }
+  }), requireGroupMember(), async (req, res, next) => {
+      const { groupId, challengeId } = req.params;
+      const userId = req.user.userId;
+
+      try {
+          const challengeResult = await pool.query(
+              'SELECT closes_at IS NOT NULL AND closes_at <= CURRENT_TIMESTAMP as closed FROM group_challenges WHERE challenge_id = $1 AND group_id = $2',
+              [challengeId, groupId]
+          );
+          const challenge = challengeResult.rows[0];
+          if (!challenge) return next(new ApiError(404, 'Challenge not found.'));
+
+          const existing = await pool.query('SELECT session_id, status FROM quiz_sessions WHERE challenge_id = $1 AND user_id = $2', [challengeId, userId]);
+          if (existing.rows[0]?.status === 'submitted') return next(new ApiError(409, 'You have already completed this challenge.'));
+          if (challenge.closed) return next(new ApiError(409, 'This challenge has closed.'));
+
+          const questions = await challengeQuestions(pool, challengeId);
+          if (existing.rows[0]) {
+              return res.json({ sessionId: existing.rows[0].session_id, mode: 'challenge', challengeId: Number(challengeId), questions });
+          }
+
+          const client = await pool.connect();
+          try {
+              await client.query('BEGIN');
+              const topicList = [...new Set(questions.map(q => q.topic))];
+              const sessionId = await createQuizSession(client, userId, topicList, 'challenge', questions, challengeId);
+              await client.query('COMMIT');
+              res.status(201).json({ sessionId, mode: 'challenge', challengeId: Number(challengeId), questions });
+          } catch (e) {
+              await client.query('ROLLBACK');
+              // Two starts at once: the unique index lets only one session through.
+              if (e.code === '23505') return next(new ApiError(409, 'This challenge is already in progress.'));
+              throw e;
+          } finally {
+              client.release();
+          }
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- ADMIN CONTENT ROUTES ---
+
+  // Content that editors retire instead of deleting, so quiz history and mastery keep their references.
+  const RETIRABLE_CONTENT = {
+      topics: { table: 'topics', key: 'topic_id', entityType: 'topic' },
+      questions: { table: 'questions', key: 'question_id', entityType: 'question' },
+      flashcards: { table: 'flashcards', key: 'flashcard_id', entityType: 'flashcard' }
+  };
+  const QUESTION_DIFFICULTIES = [1, 2, 3];
+  // TEXT columns have no limit of their own; this keeps a pasted document out of a single field.
+  const MAX_CONTENT_TEXT_LENGTH = 10000;
+
+  const contentText = () => string({ max: MAX_CONTENT_TEXT_LENGTH });
+  // Topic ids an item is tagged with besides its own topic.
+  const MAX_CONTENT_TAGS = 20;
+  const contentTags = () => array(id(), { max: MAX_CONTENT_TAGS, unique: true });
+  const CONTENT_LIST_QUERY = { topicId: optional(id(), null), includeRetired: optional(boolean(), false) };
+
+  // Runs a content write in one transaction. `work` returns { status, body }; error statuses roll back
+  // and are passed on as errors with the body's message.
+  const contentTransaction = async (res, next, work) => {
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          const { status, body } = await work(client);
+          await client.query(status >= 400 ? 'ROLLBACK' : 'COMMIT');
+          if (status >= 400) return next(new ApiError(status, body.message));
+          res.status(status).json(body);
+      } catch (error) {
+          await client.query('ROLLBACK');
+          if (error.code === '23505') return next(new ApiError(409, 'That name is already in use.'));
+          if (error.code === '23503') return next(new ApiError(400, 'A referenced record does not exist.'));
+          next(error);
+      } finally {
+          client.release();
+      }
+  };
+
+  const recordEdit = (client, userId, entityType, entityId, action, before, after) => client.query(
+      'INSERT INTO content_edits (user_id, entity_type, entity_id, action, before_data, after_data) VALUES ($1, $2, $3, $4, $5, $6)',
+      [userId, entityType, entityId, action, before || null, after || null]
+  );
+
+  const loadContentRow = async (db, { table, key }, id) => {
+      const result = await db.query(`SELECT * FROM ${table} WHERE ${key} = $1`, [id]);
+      return result.rows[0] || null;
+  };
+
+  const loadQuestion = async (db, questionId) => {
+      const result = await db.query(`
+          SELECT q.question_id as id, q.topic_id as "topicId", q.question_text as text, q.difficulty,
+                 q.explanation, q.eli5_explanation as eli5, q.retired_at as "retiredAt",
+                 COALESCE((SELECT json_agg(json_build_object('id', o.option_id, 'text', o.option_text, 'isCorrect', o.is_correct) ORDER BY o.option_id)
+                           FROM question_options o WHERE o.question_id = q.question_id), '[]') as options,
+                 COALESCE((SELECT json_agg(ct.topic_id ORDER BY ct.topic_id)
+                           FROM content_tags ct WHERE ct.entity_type = 'question' AND ct.entity_id = q.question_id), '[]') as tags
+          FROM questions q WHERE q.question_id = $1
+      `, [questionId]);
+      return result.rows[0] || null;
+  };
+
+  // A question is only playable with at least two options and exactly one correct answer.
+  const correctOptionError = async (client, questionId) => {
+      const result = await client.query(
+          'SELECT COUNT(*)::int as total, COUNT(*) FILTER (WHERE is_correct)::int as correct FROM question_options WHERE question_id = $1',
+          [questionId]
+      );
+      const { total, correct } = result.rows[0];
+      if (total < 2) return 'A question needs at least two options.';
+      if (correct !== 1) return `A question needs exactly one correct option (found ${correct}).`;
+      return null;
+  };
+
+  app.get('/api/admin/topics', authenticateToken, requireRole(...CONTENT_ROLES), async (req, res, next) => {
+      try {
+          const result = await pool.query(`
+              SELECT t.topic_id as id, t.topic_name as name, t.level, t.parent_id as "parentId", t.outline_code as "outlineCode",
+                     t.retired_at as "retiredAt",
+                     (SELECT COUNT(*) FROM questions q WHERE q.topic_id = t.topic_id AND q.retired_at IS NULL)::int as questions,
+                     (SELECT COUNT(*) FROM flashcards f WHERE f.topic_id = t.topic_id AND f.retired_at IS NULL)::int as flashcards
+              FROM topics t ORDER BY string_to_array(t.outline_code, '.')::int[] NULLS LAST, t.topic_name
+          `);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  const outlineCode = () => string({ max: 20, pattern: OUTLINE_CODE_PATTERN, patternMessage: 'must be an outline code such as 2.1.3' });
+
+  // Why topic `topicId` (null for a new topic) cannot sit at `level` under `parentId`, or null if it can.
+  // Moving a topic must not put it below itself, and its children must still fit under its new level.
+  const topicPlacementError = async (client, topicId, level, parentId) => {
+      let parentLevel = null;
+      if (parentId !== null) {
+          const parentResult = await client.query('SELECT level FROM topics WHERE topic_id = $1', [parentId]);
+          if (parentResult.rows.length === 0) return 'The parent topic does not exist.';
+          parentLevel = parentResult.rows[0].level;
+      }
+      const error = placementError(level, parentLevel);
+      if (error || topicId === null) return error;
+
+      if (parentId !== null) {
+          const cycle = await client.query('SELECT 1 FROM topic_closure WHERE ancestor_id = $1 AND topic_id = $2', [topicId, parentId]);
+          if (cycle.rows.length > 0) return 'A topic cannot be moved below itself.';
+      }
+      const childrenResult = await client.query('SELECT DISTINCT level FROM topics WHERE parent_id = $1', [topicId]);
+      const childError = childrenResult.rows.map(row => placementError(row.level, level)).find(Boolean);
+      return childError ? `Its child topics would no longer fit: ${childError}` : null;
+  };
+
+  app.post('/api/admin/topics', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      body: {
+          name: string(),
+          level: optional(oneOf(TAXONOMY_LEVELS), 'topic'),
+          parentId: optional(nullable(id()), null),
+          outlineCode: optional(nullable(outlineCode()), null)
+      }
+  }), (req, res, next) => {
+      const { name, level, parentId, outlineCode } = req.body;
+
+      // Learners get a mastery row the first time they practise the topic.
+      contentTransaction(res, next, async (client) => {
+          const placement = await topicPlacementError(client, null, level, parentId);
+          if (placement) return { status: 400, body: { message: placement } };
+
+          const result = await client.query(
+              'INSERT INTO topics (topic_name, level, parent_id, outline_code) VALUES ($1, $2, $3, $4) RETURNING *',
+              [name, level, parentId, outlineCode]
+          );
+          const topic = result.rows[0];
+          await recordEdit(client, req.user.userId, 'topic', topic.topic_id, 'create', null, topic);
+          return { status: 201, body: topic };
+      });
+  });
+
+  // Mastery is stored by topic_id, so renaming or moving a topic keeps every learner's progress.
+  app.put('/api/admin/topics/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() },
+      body: {
+          name: optional(string()),
+          level: optional(oneOf(TAXONOMY_LEVELS)),
+          parentId: optional(nullable(id())),
+          outlineCode: optional(nullable(outlineCode()))
+      }
+  }), (req, res, next) => {
+      contentTransaction(res, next, async (client) => {
+          const before = await loadContentRow(client, RETIRABLE_CONTENT.topics, req.params.id);
+          if (!before) return { status: 404, body: { message: 'Topic not found.' } };
+
+          const { name = before.topic_name, level = before.level, parentId = before.parent_id, outlineCode = before.outline_code } = req.body;
+          const placement = await topicPlacementError(client, before.topic_id, level, parentId);
+          if (placement) return { status: 400, body: { message: placement } };
+
+          const result = await client.query(
+              'UPDATE topics SET topic_name = $1, level = $2, parent_id = $3, outline_code = $4 WHERE topic_id = $5 RETURNING *',
+              [name, level, parentId, outlineCode, req.params.id]
+          );
+          const after = result.rows[0];
+          await recordEdit(client, req.user.userId, 'topic', after.topic_id, 'update', before, after);
+          return { status: 200, body: after };
+      });
+  });
+
+  app.get('/api/admin/questions', authenticateToken, requireRole(...CONTENT_ROLES), validate({ query: CONTENT_LIST_QUERY }), async (req, res, next) => {
+      const { topicId, includeRetired } = req.query;
+      try {
+          const idsResult = await pool.query(`
+              SELECT question_id FROM questions
+              WHERE ($1::int IS NULL OR topic_id = $1) AND ($2 OR retired_at IS NULL)
+              ORDER BY question_id
+          `, [topicId, includeRetired]);
+          const questions = await Promise.all(idsResult.rows.map(row => loadQuestion(pool, row.question_id)));
+          res.json(questions);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/admin/questions/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const question = await loadQuestion(pool, req.params.id);
+          if (!question) return next(new ApiError(404, 'Question not found.'));
+          res.json(question);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/admin/questions', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      body: {
+          topicId: id(),
+          text: contentText(),
+          difficulty: optional(oneOf(QUESTION_DIFFICULTIES), 2),
+          explanation: optional(nullable(contentText()), null),
+          eli5: optional(nullable(contentText()), null),
+          options: array(object({ text: optionText(), isCorrect: optional(boolean(), false) }), { min: 2, max: 10 }),
+          tags: optional(contentTags(), [])
+      }
+  }), (req, res, next) => {
+      const { topicId, text, difficulty, explanation, eli5, options, tags } = req.body;
+
+      contentTransaction(res, next, async (client) => {
+          const result = await client.query(
+              'INSERT INTO questions (topic_id, question_text, difficulty, explanation, eli5_explanation) VALUES ($1, $2, $3, $4, $5) RETURNING question_id',
+              [topicId, text, difficulty, explanation, eli5]
+          );
+          const questionId = result.rows[0].question_id;
+          for (const option of options) {
+              await client.query(
+                  'INSERT INTO question_options (question_id, option_text, is_correct) VALUES ($1, $2, $3)',
+                  [questionId, option.text, option.isCorrect]
+              );
+          }
+          const optionError = await correctOptionError(client, questionId);
+          if (optionError) return { status: 400, body: { message: optionError } };
+          await setContentTags(client, 'question', questionId, tags, topicId);
+
+          const question = await loadQuestion(client, questionId);
+          await recordEdit(client, req.user.userId, 'question', questionId, 'create', null, question);
+          return { status: 201, body: question };
+      });
+  });
+
+  app.put('/api/admin/questions/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() },
+      body: {
+          topicId: optional(id()),
+          text: optional(contentText()),
+          difficulty: optional(oneOf(QUESTION_DIFFICULTIES)),
+          explanation: optional(nullable(contentText())),
+          eli5: optional(nullable(contentText()))
+      }
+  }), (req, res, next) => {
+      contentTransaction(res, next, async (client) => {
+          const before = await loadQuestion(client, req.params.id);
+          if (!before) return { status: 404, body: { message: 'Question not found.' } };
+
+          const merged = { ...before, ...req.body };
+          await client.query(
+              'UPDATE questions SET topic_id = $1, question_text = $2, difficulty = $3, explanation = $4, eli5_explanation = $5 WHERE question_id = $6',
+              [merged.topicId, merged.text, merged.difficulty, merged.explanation, merged.eli5, req.params.id]
+          );
+          await moveContentTag(client, 'question', before.id, before.topicId, merged.topicId);
+          const after = await loadQuestion(client, req.params.id);
+          await recordEdit(client, req.user.userId, 'question', after.id, 'update', before, after);
+          return { status: 200, body: after };
+      });
+  });
+
+  // Keeps a question or flashcard tagged with its own topic when it moves to another one.
+  const moveContentTag = async (client, entityType, entityId, fromTopicId, toTopicId) => {
+      if (fromTopicId === toTopicId) return;
+      await client.query('DELETE FROM content_tags WHERE entity_type = $1 AND entity_id = $2 AND topic_id = $3', [entityType, entityId, fromTopicId]);
+      await client.query(
+          'INSERT INTO content_tags (entity_type, entity_id, topic_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+          [entityType, entityId, toTopicId]
+      );
+  };
+
+  // Option changes are checked as a whole: the question must still have exactly one correct option afterwards.
+  const changeQuestionOptions = (req, res, next, change) => contentTransaction(res, next, async (client) => {
+      const questionId = req.params.id;
+      const before = await loadQuestion(client, questionId);
+      if (!before) return { status: 404, body: { message: 'Question not found.' } };
+
+      const notFound = await change(client, questionId);
+      if (notFound) return { status: 404, body: { message: 'Option not found.' } };
+      const optionError = await correctOptionError(client, questionId);
+      if (optionError) return { status: 400, body: { message: optionError } };
+
+      const after = await loadQuestion(client, questionId);
+      await recordEdit(client, req.user.userId, 'question', after.id, 'update', before, after);
+      return { status: 200, body: after };
+  });
+
+  // Marking an option correct clears the flag on the others, so switching the answer is a single call.
+  const clearOtherCorrectOptions = (client, questionId, optionId) => client.query(
+      'UPDATE question_options SET is_correct = false WHERE question_id = $1 AND option_id <> $2',
+      [questionId, optionId]
+  );
+
+  app.post('/api/admin/questions/:id/options', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() }, body: { text: optionText(), isCorrect: optional(boolean(), false) }
+  }), (req, res, next) => {
+      const { text, isCorrect } = req.body;
+
+      changeQuestionOptions(req, res, next, async (client, questionId) => {
+          const result = await client.query(
+              'INSERT INTO question_options (question_id, option_text, is_correct) VALUES ($1, $2, $3) RETURNING option_id',
+              [questionId, text, isCorrect]
+          );
+          if (isCorrect) await clearOtherCorrectOptions(client, questionId, result.rows[0].option_id);
+      });
+  });
+
+  app.put('/api/admin/questions/:id/options/:optionId', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id(), optionId: id() }, body: { text: optional(optionText()), isCorrect: optional(boolean()) }
+  }), (req, res, next) => {
+      const { text, isCorrect } = req.body;
+
+      changeQuestionOptions(req, res, next, async (client, questionId) => {
+          const result = await client.query(`
+              UPDATE question_options SET option_text = COALESCE($1, option_text), is_correct = COALESCE($2, is_correct)
+              WHERE option_id = $3 AND question_id = $4 RETURNING option_id
+          `, [text ?? null, isCorrect ?? null, req.params.optionId, questionId]);
+          if (result.rows.length === 0) return true;
+          if (isCorrect) await clearOtherCorrectOptions(client, questionId, req.params.optionId);
+      });
+  });
+
+  app.delete('/api/admin/questions/:id/options/:optionId', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id(), optionId: id() }
+  }), (req, res, next) => {
+      changeQuestionOptions(req, res, next, async (client, questionId) => {
+          const result = await client.query(
+              'DELETE FROM question_options WHERE option_id = $1 AND question_id = $2 RETURNING option_id',
+              [req.params.optionId, questionId]
+          );
+          return result.rows.length === 0;
+      });
+  });
+
+  // Authored remediation for a question: extra explanation tiers, references and links to flashcards,
+  // scenario nodes (the start node when no key is given) and related questions.
+  const MAX_EXPLANATION_TIERS = 10;
+  const MAX_QUESTION_REFERENCES = 20;
+  const MAX_REMEDIATION_LINKS = 30;
+  const REMEDIATION_BODY = {
+      explanations: optional(array(object({ label: string({ max: 100 }), text: contentText() }), { max: MAX_EXPLANATION_TIERS }), []),
+      references: optional(array(object({
+          source: string(),
+          chapter: optional(nullable(string({ max: 100 })), null),
+          pages: optional(nullable(string({ max: 50 })), null),
+          note: optional(nullable(string({ max: 1000 })), null)
+      }), { max: MAX_QUESTION_REFERENCES }), []),
+      links: optional(array(object({
+          type: oneOf(REMEDIATION_LINK_TYPES),
+          id: id(),
+          nodeKey: optional(nullable(string({ max: 100 })), null)
+      }), { max: MAX_REMEDIATION_LINKS }), [])
+  };
+
+  app.get('/api/admin/questions/:id/remediation', authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const content = await loadRemediationContent(pool, req.params.id);
+          if (!content) return next(new ApiError(404, 'Question not found.'));
+          res.json(content);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Replaces everything authored for the question; omitted lists are cleared.
+  app.put('/api/admin/questions/:id/remediation', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() }, body: REMEDIATION_BODY
+  }), (req, res, next) => {
+      contentTransaction(res, next, async (client) => {
+          const before = await loadRemediationContent(client, req.params.id);
+          if (!before) return { status: 404, body: { message: 'Question not found.' } };
+
+          const [linkError] = await remediationLinkErrors(client, req.params.id, req.body.links);
+          if (linkError) return { status: 400, body: { message: linkError } };
+
+          await saveRemediationContent(client, req.params.id, req.body);
+          const after = await loadRemediationContent(client, req.params.id);
+          await recordEdit(client, req.user.userId, 'question', req.params.id, 'remediation', before, after);
+          return { status: 200, body: after };
+      });
+  });
+
+  app.get('/api/admin/flashcards', authenticateToken, requireRole(...CONTENT_ROLES), validate({ query: CONTENT_LIST_QUERY }), async (req, res, next) => {
+      const { topicId, includeRetired } = req.query;
+      try {
+          const result = await pool.query(`
+              SELECT flashcard_id as id, topic_id as "topicId", term, definition, retired_at as "retiredAt"
+              FROM flashcards
+              WHERE ($1::int IS NULL OR topic_id = $1) AND ($2 OR retired_at IS NULL)
+              ORDER BY flashcard_id
+          `, [topicId, includeRetired]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.post('/api/admin/flashcards', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      body: { topicId: id(), term: string(), definition: contentText(), tags: optional(contentTags(), []) }
+  }), (req, res, next) => {
+      const { topicId, term, definition, tags } = req.body;
+
+      contentTransaction(res, next, async (client) => {
+          const result = await client.query(
+              'INSERT INTO flashcards (topic_id, term, definition) VALUES ($1, $2, $3) RETURNING *',
+              [topicId, term, definition]
+          );
+          const card = result.rows[0];
+          await setContentTags(client, 'flashcard', card.flashcard_id, tags, topicId);
+          await recordEdit(client, req.user.userId, 'flashcard', card.flashcard_id, 'create', null, card);
+          return { status: 201, body: card };
+      });
+  });
+
+  app.put('/api/admin/flashcards/:id', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      params: { id: id() }, body: { topicId: optional(id()), term: optional(string()), definition: optional(contentText()) }
+  }), (req, res, next) => {
+      const { topicId, term, definition } = req.body;
+
+      contentTransaction(res, next, async (client) => {
+          const before = await loadContentRow(client, RETIRABLE_CONTENT.flashcards, req.params.id);
+          if (!before) return { status: 404, body: { message: 'Flashcard not found.' } };
+
+          const result = await client.query(`
+              UPDATE flashcards SET topic_id = COALESCE($1, topic_id), term = COALESCE($2, term), definition = COALESCE($3, definition)
+              WHERE flashcard_id = $4 RETURNING *
+          `, [topicId ?? null, term ?? null, definition ?? null, req.params.id]);
+          const after = result.rows[0];
+          await moveContentTag(client, 'flashcard', after.flashcard_id, before.topic_id, after.topic_id);
+          await recordEdit(client, req.user.userId, 'flashcard', after.flashcard_id, 'update', before, after);
+          return { status: 200, body: after };
+      });
+  });
+
+  // Retiring hides content from learners without deleting it; restoring brings it back.
+  for (const [path, content] of Object.entries(RETIRABLE_CONTENT)) {
+      const setRetired = (action, retiredAtSql) => (req, res, next) => contentTransaction(res, next, async (client) => {
+          const before = await loadContentRow(client, content, req.params.id);
+          if (!before) return { status: 404, body: { message: 'Content not found.' } };
+
+          const result = await client.query(`UPDATE ${content.table} SET retired_at = ${retiredAtSql} WHERE ${content.key} = $1 RETURNING *`, [req.params.id]);
+          const after = result.rows[0];
+          await recordEdit(client, req.user.userId, content.entityType, req.params.id, action, before, after);
+          return { status: 200, body: after };
+      });
+
+      app.delete(`/api/admin/${path}/:id`, authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), setRetired('retire', 'COALESCE(retired_at, CURRENT_TIMESTAMP)'));
+      app.post(`/api/admin/${path}/:id/restore`, authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), setRetired('restore', 'NULL'));
+  }
+
+  app.get('/api/admin/history', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      query: { entityType: optional(string({ max: 50 }), null), entityId: optional(id(), null) }
+  }), async (req, res, next) => {
+      const { entityType, entityId } = req.query;
+      try {
+          const result = await pool.query(`
+              SELECT e.edit_id as id, e.entity_type as "entityType", e.entity_id as "entityId", e.action,
+                     e.before_data as before, e.after_data as after, e.created_at as "createdAt",
+                     u.email as "editedBy"
+              FROM content_edits e
+              LEFT JOIN users u ON u.user_id = e.user_id
+              WHERE ($1::text IS NULL OR e.entity_type = $1) AND ($2::int IS NULL OR e.entity_id = $2)
+              ORDER BY e.created_at DESC
+              LIMIT 200
+          `, [entityType, entityId]);
+          res.json(result.rows);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.put('/api/admin/users/:id/role', authenticateToken, requireRole('admin'), validate({
+      params: { id: id() }, body: { role: oneOf(ROLES) }
+  }), async (req, res, next) => {
+      const { role } = req.body;
+
+      try {
+          const result = await pool.query('UPDATE users SET role = $1 WHERE user_id = $2 RETURNING user_id, email, role', [role, req.params.id]);
+          if (result.rows.length === 0) return next(new ApiError(404, 'User not found.'));
+          res.json(result.rows[0]);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // --- TAXONOMY ---
+  // Topics form the NBHWC outline (domain -> topic -> subtopic) and content is tagged with any number
+  // of them; see taxonomy.js.
+
+  // Content that can be tagged, by the path segment used in the admin routes.
+  const TAGGABLE_CONTENT = {
+      questions: { table: 'questions', key: 'question_id', entityType: 'question', label: 'Question', primaryTopic: true },
+      flashcards: { table: 'flashcards', key: 'flashcard_id', entityType: 'flashcard', label: 'Flashcard', primaryTopic: true },
+      scenarios: { table: 'scenarios', key: 'scenario_id', entityType: 'scenario', label: 'Scenario', primaryTopic: false },
+      puzzles: { table: 'puzzles', key: 'puzzle_id', entityType: 'puzzle', label: 'Puzzle', primaryTopic: false }
+  };
+
+  const loadContentTags = async (db, entityType, entityId) => {
+      const result = await db.query(`
+          SELECT t.topic_id as id, t.topic_name as name, t.level, t.outline_code as "outlineCode"
+          FROM content_tags ct JOIN topics t ON t.topic_id = ct.topic_id
+          WHERE ct.entity_type = $1 AND ct.entity_id = $2
+          ORDER BY string_to_array(t.outline_code, '.')::int[] NULLS LAST, t.topic_name
+      `, [entityType, entityId]);
+      return result.rows;
+  };
+
+  // The outline with the caller's own mastery per node and the rolled-up mastery of each subtree.
+  app.get('/api/taxonomy', authenticateToken, async (req, res, next) => {
+      try {
+          res.json(buildTaxonomyTree(await loadTopicMastery(pool, req.user.userId)));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  for (const [path, content] of Object.entries(TAGGABLE_CONTENT)) {
+      app.get(`/api/admin/${path}/:id/tags`, authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+          try {
+              const row = await loadContentRow(pool, content, req.params.id);
+              if (!row) return next(new ApiError(404, `${content.label} not found.`));
+              res.json(await loadContentTags(pool, content.entityType, req.params.id));
+          } catch (error) {
+              next(error);
+          }
+      });
+
+      // Replaces an item's tags. Questions and flashcards always stay tagged with their own topic.
+      app.put(`/api/admin/${path}/:id/tags`, authenticateToken, requireRole(...CONTENT_ROLES), validate({
+          params: { id: id() }, body: { topicIds: contentTags() }
+      }), (req, res, next) => {
+          contentTransaction(res, next, async (client) => {
+              const row = await loadContentRow(client, content, req.params.id);
+              if (!row) return { status: 404, body: { message: `${content.label} not found.` } };
+
+              const before = await loadContentTags(client, content.entityType, req.params.id);
+              await setContentTags(client, content.entityType, req.params.id, req.body.topicIds, content.primaryTopic ? row.topic_id : null);
+              const after = await loadContentTags(client, content.entityType, req.params.id);
+              await recordEdit(client, req.user.userId, content.entityType, req.params.id, 'tag', { tags: before }, { tags: after });
+              return { status: 200, body: after };
+          });
+      });
+  }
+
+  // --- CONTENT QUALITY (FLAGS & ITEM STATISTICS) ---
+  // Learners flag questions and flashcards; editors work through a review queue that also
+  // surfaces questions whose answer statistics look wrong.
+
+  const FLAGGABLE_CONTENT = {
+      questions: { table: 'questions', key: 'question_id', entityType: 'question', label: 'Question' },
+      flashcards: { table: 'flashcards', key: 'flashcard_id', entityType: 'flashcard', label: 'Flashcard' }
+  };
+  const FLAG_REASONS = ['wrong_answer', 'unclear', 'typo', 'outdated', 'duplicate', 'other'];
+  const FLAG_RESOLUTIONS = ['resolved', 'dismissed'];
+  const MAX_FLAG_COMMENT_LENGTH = 1000;
+
+  // Classical test theory checks. Below MIN_ITEM_RESPONSES the numbers are too noisy to judge.
+  const MIN_ITEM_RESPONSES = 20;
+  const TOO_HARD_P_VALUE = 0.2;
+  const TOO_EASY_P_VALUE = 0.95;
+  const LOW_DISCRIMINATION = 0.1;
+  // A distractor almost nobody picks is not doing its job.
+  const NONFUNCTIONAL_DISTRACTOR_RATE = 0.02;
+
+  // The review queue's statistics are recomputed once the stored copy is this old.
+  const ITEM_STATS_MAX_AGE_MINUTES = 60;
+
+  // Per question: p-value (share answered correctly), discrimination (point-biserial correlation
+  // between getting it right and the score on the rest of the same quiz or mock exam) and how often
+  // each option was picked. Only the quizzes and mock exams that include one of `questionIds` are read.
+  const questionItemStats = async (db, questionIds) => {
+      const [statsResult, optionsResult] = await Promise.all([
+          db.query(`
+              WITH responses AS (
+                  SELECT 'quiz' as kind, a.session_id as sitting_id, a.question_id, a.is_correct
+                  FROM quiz_attempts a
+                  WHERE a.session_id IN (SELECT session_id FROM quiz_attempts WHERE question_id = ANY($1))
+                  UNION ALL
+                  SELECT 'mock', i.exam_id, i.question_id, i.is_correct
+                  FROM mock_exam_items i JOIN mock_exams e ON e.exam_id = i.exam_id
+                  WHERE e.status = 'completed' AND i.selected_option_id IS NOT NULL
+                    AND i.exam_id IN (SELECT exam_id FROM mock_exam_items WHERE question_id = ANY($1))
+              ), sittings AS (
+                  SELECT kind, sitting_id, COUNT(*) as answered, SUM(is_correct::int) as correct
+                  FROM responses GROUP BY kind, sitting_id
+              ), scored AS (
+                  SELECT r.question_id, r.is_correct::int as correct,
+                         CASE WHEN s.answered > 1 THEN (s.correct - r.is_correct::int)::float / (s.answered - 1) END as rest_score
+                  FROM responses r JOIN sittings s ON s.kind = r.kind AND s.sitting_id = r.sitting_id
+              )
+              SELECT question_id, COUNT(*)::int as responses, AVG(correct)::float as p_value, corr(correct, rest_score) as discrimination
+              FROM scored
+              WHERE question_id = ANY($1)
+              GROUP BY question_id
+          `, [questionIds]),
+          db.query(`
+              SELECT o.question_id, o.option_id, o.option_text, o.is_correct,
+                     (SELECT COUNT(*) FROM quiz_attempts a WHERE a.selected_option_id = o.option_id)::int
+                     + (SELECT COUNT(*) FROM mock_exam_items i JOIN mock_exams e ON e.exam_id = i.exam_id
+                        WHERE i.selected_option_id = o.option_id AND e.status = 'completed')::int as picks
+              FROM question_options o
+              WHERE o.question_id = ANY($1)
+              ORDER BY o.question_id, o.option_id
+          `, [questionIds])
+      ]);
+
+      const stats = new Map();
+      const entry = (questionId) => {
+          if (!stats.has(questionId)) stats.set(questionId, { responses: 0, pValue: null, discrimination: null, options: [] });
+          return stats.get(questionId);
+      };
+      for (const row of statsResult.rows) {
+          Object.assign(entry(row.question_id), {
+              responses: row.responses,
+              pValue: Math.round(row.p_value * 1000) / 1000,
+              discrimination: row.discrimination === null ? null : Math.round(row.discrimination * 1000) / 1000
+          });
+      }
+      for (const row of optionsResult.rows) {
+          entry(row.question_id).options.push({ id: row.option_id, text: row.option_text, isCorrect: row.is_correct, picks: row.picks });
+      }
+      for (const item of stats.values()) {
+          const totalPicks = item.options.reduce((sum, option) => sum + option.picks, 0);
+          item.options.forEach(option => { option.pickRate = totalPicks > 0 ? Math.round(option.picks / totalPicks * 1000) / 1000 : null; });
+          item.problems = itemProblems(item);
+      }
+      return stats;
+  };
+
+  // Recomputes question_item_stats for every active question when the stored copy is older than
+  // ITEM_STATS_MAX_AGE_MINUTES, so the review queue rescans recorded answers at most that often.
+  // Retired questions drop out.
+  const refreshStaleItemStats = async () => {
+      const freshResult = await pool.query(
+          `SELECT 1 FROM question_item_stats WHERE computed_at > CURRENT_TIMESTAMP - make_interval(mins => $1) LIMIT 1`,
+          [ITEM_STATS_MAX_AGE_MINUTES]
+      );
+      if (freshResult.rows.length > 0) return;
+
+      const activeResult = await pool.query('SELECT question_id FROM questions WHERE retired_at IS NULL');
+      const questionIds = activeResult.rows.map(row => row.question_id);
+      const stats = [...await questionItemStats(pool, questionIds)];
+
+      const client = await pool.connect();
+      try {
+          await client.query('BEGIN');
+          await client.query('DELETE FROM question_item_stats WHERE question_id <> ALL($1)', [questionIds]);
+          await client.query(`
+              INSERT INTO question_item_stats (question_id, responses, p_value, discrimination, problems)
+              SELECT s.question_id, s.responses, s.p_value, s.discrimination, ARRAY(SELECT jsonb_array_elements_text(s.problems))
+              FROM jsonb_to_recordset($1::jsonb) as s(question_id int, responses int, p_value real, discrimination real, problems jsonb)
+              ON CONFLICT (question_id) DO UPDATE
+              SET responses = EXCLUDED.responses, p_value = EXCLUDED.p_value, discrimination = EXCLUDED.discrimination,
+                  problems = EXCLUDED.problems, computed_at = CURRENT_TIMESTAMP
+          `, [JSON.stringify(stats.map(([questionId, item]) => ({
+              question_id: questionId, responses: item.responses, p_value: item.pValue, discrimination: item.discrimination, problems: item.problems
+          })))]);
+          await client.query('COMMIT');
+      } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+      } finally {
+          client.release();
+      }
+  };
+
+  // What an editor should look at, as stable codes.
+  const itemProblems = (item) => {
+      const problems = [];
+      if (item.options.length === 0) problems.push('no_options');
+      else if (!item.options.some(option => option.isCorrect)) problems.push('no_correct_option');
+      if (item.responses < MIN_ITEM_RESPONSES) return problems;
+
+      if (item.pValue < TOO_HARD_P_VALUE) problems.push('too_hard');
+      if (item.pValue > TOO_EASY_P_VALUE) problems.push('too_easy');
+      if (item.discrimination !== null && item.discrimination < 0) problems.push('negative_discrimination');
+      else if (item.discrimination !== null && item.discrimination < LOW_DISCRIMINATION) problems.push('low_discrimination');
+
+      const key = item.options.find(option => option.isCorrect);
+      const distractors = item.options.filter(option => !option.isCorrect);
+      if (key && distractors.some(option => option.picks > key.picks)) problems.push('distractor_beats_key');
+      if (distractors.some(option => option.pickRate !== null && option.pickRate < NONFUNCTIONAL_DISTRACTOR_RATE)) problems.push('nonfunctional_distractor');
+      return problems;
+  };
+
+  for (const [path, content] of Object.entries(FLAGGABLE_CONTENT)) {
+      app.post(`/api/${path}/:id/flags`, authenticateToken, validate({
+          params: { id: id() },
+          body: { reason: oneOf(FLAG_REASONS), comment: optional(nullable(string({ min: 0, max: MAX_FLAG_COMMENT_LENGTH })), null) }
+      }), async (req, res, next) => {
+          const { reason, comment } = req.body;
+          if (reason === 'other' && !comment) return next(new ApiError(400, 'Please describe the problem.'));
+
+          try {
+              const item = await loadContentRow(pool, content, req.params.id);
+              if (!item || item.retired_at) return next(new ApiError(404, `${content.label} not found.`));
+
+              const result = await pool.query(
+                  `INSERT INTO content_flags (entity_type, entity_id, user_id, reason, comment) VALUES ($1, $2, $3, $4, $5)
+                   RETURNING flag_id as id, reason, comment, status, created_at as "createdAt"`,
+                  [content.entityType, req.params.id, req.user.userId, reason, comment || null]
+              );
+              res.status(201).json(result.rows[0]);
+          } catch (error) {
+              if (error.code === '23505') return next(new ApiError(409, `You have already flagged this ${content.entityType}.`));
+              next(error);
+          }
+      });
+  }
+
+  // Active items that need an editor: anything with open flags, plus questions whose statistics look
+  // wrong as of the last refresh. Most-flagged first, then the most statistical problems.
+  // ?type=questions|flashcards narrows it.
+  app.get('/api/admin/review-queue', authenticateToken, requireRole(...CONTENT_ROLES), validate({
+      query: {
+          type: optional(oneOf(Object.keys(FLAGGABLE_CONTENT))),
+          limit: optional(integer({ min: 1, max: 200 }), 50),
+          offset: optional(integer({ min: 0 }), 0)
+      }
+  }), async (req, res, next) => {
+      const { type, limit, offset } = req.query;
+
+      try {
+          const flagsResult = await pool.query(`
+              SELECT f.entity_type, f.entity_id, COUNT(*)::int as open_flags,
+                     jsonb_object_agg(f.reason, f.reason_count) as reasons,
+                     MAX(f.created_at) as last_flagged_at
+              FROM (
+                  SELECT entity_type, entity_id, reason, created_at,
+                         COUNT(*) OVER (PARTITION BY entity_type, entity_id, reason) as reason_count
+                  FROM content_flags cf
+                  WHERE cf.status = 'open'
+                    AND NOT EXISTS (SELECT 1 FROM questions q WHERE cf.entity_type = 'question' AND q.question_id = cf.entity_id AND q.retired_at IS NOT NULL)
+                    AND NOT EXISTS (SELECT 1 FROM flashcards c WHERE cf.entity_type = 'flashcard' AND c.flashcard_id = cf.entity_id AND c.retired_at IS NOT NULL)
+              ) f
+              GROUP BY f.entity_type, f.entity_id
+          `);
+          const queue = new Map();
+          const queueEntry = (entityType, entityId) => {
+              const id = `${entityType}:${entityId}`;
+              if (!queue.has(id)) queue.set(id, { type: entityType, id: entityId, openFlags: 0, reasons: {}, lastFlaggedAt: null, problems: [] });
+              return queue.get(id);
+          };
+          for (const row of flagsResult.rows) {
+              Object.assign(queueEntry(row.entity_type, row.entity_id), { openFlags: row.open_flags, reasons: row.reasons, lastFlaggedAt: row.last_flagged_at });
+          }
+          if (type !== 'flashcards') {
+              await refreshStaleItemStats();
+              const statsResult = await pool.query(`
+                  SELECT s.question_id, s.responses, s.p_value, s.discrimination, s.problems
+                  FROM question_item_stats s JOIN questions q ON q.question_id = s.question_id
+                  WHERE cardinality(s.problems) > 0 AND q.retired_at IS NULL
+              `);
+              for (const row of statsResult.rows) {
+                  Object.assign(queueEntry('question', row.question_id), { problems: row.problems, responses: row.responses, pValue: row.p_value, discrimination: row.discrimination });
+              }
+          }
+
+          let items = [...queue.values()];
+          if (type) items = items.filter(item => item.type === FLAGGABLE_CONTENT[type].entityType);
+          items.sort((a, b) => b.openFlags - a.openFlags || b.problems.length - a.problems.length || a.id - b.id);
+          const page = items.slice(offset, offset + limit);
+
+          // Attach something readable for each item on the page.
+          const ids = (entityType) => page.filter(item => item.type === entityType).map(item => item.id);
+          const [questionsResult, flashcardsResult] = await Promise.all([
+              pool.query('SELECT q.question_id as id, q.question_text as text, t.topic_name as topic FROM questions q JOIN topics t ON t.topic_id = q.topic_id WHERE q.question_id = ANY($1)', [ids('question')]),
+              pool.query('SELECT f.flashcard_id as id, f.term as text, t.topic_name as topic FROM flashcards f JOIN topics t ON t.topic_id = f.topic_id WHERE f.flashcard_id = ANY($1)', [ids('flashcard')])
+          ]);
+          const details = new Map([
+              ...questionsResult.rows.map(row => [`question:${row.id}`, row]),
+              ...flashcardsResult.rows.map(row => [`flashcard:${row.id}`, row])
+          ]);
+          res.json({
+              items: page.map(item => {
+                  const detail = details.get(`${item.type}:${item.id}`) || {};
+                  return { ...item, text: detail.text, topic: detail.topic };
+              }),
+              total: items.length,
+              limit,
+              offset
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  app.get('/api/admin/questions/:id/stats', authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+      try {
+          const question = await loadContentRow(pool, RETIRABLE_CONTENT.questions, req.params.id);
+          if (!question) return next(new ApiError(404, 'Question not found.'));
+
+          const stats = await questionItemStats(pool, [question.question_id]);
+          res.json({
+              questionId: question.question_id,
+              minResponses: MIN_ITEM_RESPONSES,
+              ...(stats.get(question.question_id) || { responses: 0, pValue: null, discrimination: null, options: [], problems: ['no_options'] })
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  for (const [path, content] of Object.entries(FLAGGABLE_CONTENT)) {
+      app.get(`/api/admin/${path}/:id/flags`, authenticateToken, requireRole(...CONTENT_ROLES), validate({ params: { id: id() } }), async (req, res, next) => {
+          try {
+              const result = await pool.query(`
+                  SELECT f.flag_id as id, f.reason, f.comment, f.status, f.created_at as "createdAt",
+                         u.email as "flaggedBy", r.email as "resolvedBy", f.resolved_at as "resolvedAt", f.resolution_note as "resolutionNote"
+                  FROM content_flags f
+                  LEFT JOIN users u ON u.user_id = f.user_id
+                  LEFT JOIN users r ON r.user_id = f.resolved_by
+                  WHERE f.entity_type = $1 AND f.entity_id = $2
+                  ORDER BY f.created_at DESC
+              `, [content.entityType, req.params.id]);
+              res.json(result.rows);
+          } catch (error) {
+              next(error);
+          }
+      });
+
+      // Closes every open flag on an item once an editor has fixed it ("resolved") or found nothing wrong ("dismissed").
+      app.put(`/api/admin/${path}/:id/flags`, authenticateToken, requireRole(...CONTENT_ROLES), validate({
+          params: { id: id() }, body: { status: oneOf(FLAG_RESOLUTIONS), note: optional(nullable(string({ min: 0, max: MAX_FLAG_COMMENT_LENGTH })), null) }
+      }), async (req, res, next) => {
+          const { status, note } = req.body;
+
+          try {
+              const result = await pool.query(`
+                  UPDATE content_flags SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution_note = $3
+                  WHERE entity_type = $4 AND entity_id = $5 AND status = 'open'
+                  RETURNING flag_id
+              `, [status, req.user.userId, note, content.entityType, req.params.id]);
+              if (result.rows.length === 0) return next(new ApiError(404, 'No open flags on this item.'));
+              res.json({ closed: result.rows.length, status });
+          } catch (error) {
+              next(error);
+          }
+      });
+  }
+
+  // Must come after every route.
+  app.use(notFoundHandler);
+  app.use(errorHandler(logger));
+
+  return app;
+}
+
+module.exports = { createApp };
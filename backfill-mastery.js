@@ -0,0 +1,151 @@
+// =================================================================
+// NBHWC PLATFORM - MASTERY BACKFILL
+// =================================================================
+// Recomputes every user's topic ratings and mastery history under
+// the model in mastery.js by replaying their submitted quizzes and
+// credited (first) puzzle attempts in the order they happened. Each
+// user is rebuilt in its own transaction; the existing history for
+// that user is replaced. Readiness in user_stats catches up on the
+// user's next study activity.
+//
+//   DATABASE_URL=... node backfill-mastery.js [--user <id>] [--dry-run]
+// =================================================================
+
+const { createPool } = require('./db');
+const { assertSchemaCurrent } = require('./migrate');
+const {
+  initialState,
+  applyEvidence,
+  currentMastery,
+  quizSessionEvidence,
+  puzzleEvidence,
+  refreshMasteryDecay
+} = require('./mastery');
+
+const USAGE = 'Usage: DATABASE_URL=... node backfill-mastery.js [--user <id>] [--dry-run]';
+
+function parseArgs(argv) {
+  const args = { userId: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--user') args.userId = Number(argv[++i]);
+    else throw new Error(`Unexpected argument "${argv[i]}".`);
+  }
+  if (args.userId !== null && !Number.isInteger(args.userId)) throw new Error('--user needs a numeric user id.');
+  return args;
+}
+
+// Every piece of mastery evidence for a user as [{ at, byTopic: Map(topicId -> items) }], oldest first.
+// Items count towards the topics they are tagged with now.
+async function loadEvidence(client, userId) {
+  const [sessionsResult, puzzlesResult] = await Promise.all([
+    client.query(
+      `SELECT session_id, submitted_at FROM quiz_sessions WHERE user_id = $1 AND status = 'submitted' AND submitted_at IS NOT NULL`,
+      [userId]
+    ),
+    client.query(`
+      SELECT a.score, a.created_at, array_agg(ct.topic_id) as topic_ids
+      FROM puzzle_attempts a
+      JOIN content_tags ct ON ct.entity_type = 'puzzle' AND ct.entity_id = a.puzzle_id
+      WHERE a.user_id = $1 AND a.credited
+      GROUP BY a.attempt_id
+    `, [userId])
+  ]);
+
+  const events = [];
+  for (const session of sessionsResult.rows) {
+    events.push({ at: session.submitted_at, byTopic: await quizSessionEvidence(client, session.session_id) });
+  }
+  for (const attempt of puzzlesResult.rows) {
+    events.push({ at: attempt.created_at, byTopic: new Map(attempt.topic_ids.map(topicId => [topicId, puzzleEvidence(attempt.score)])) });
+  }
+  return events.sort((a, b) => a.at - b.at);
+}
+
+async function backfillUser(client, userId) {
+  const events = await loadEvidence(client, userId);
+  const states = new Map();
+  const history = { topics: [], scores: [], recordedAt: [] };
+
+  for (const { at, byTopic } of events) {
+    for (const [topicId, items] of byTopic) {
+      const state = applyEvidence(states.get(topicId) || initialState(), items, at);
+      states.set(topicId, state);
+      history.topics.push(topicId);
+      history.scores.push(currentMastery(state, at));
+      history.recordedAt.push(at);
+    }
+  }
+
+  await client.query('DELETE FROM user_mastery_history WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO user_mastery_history (user_id, topic_id, mastery_score, recorded_at)
+     SELECT $1, * FROM unnest($2::int[], $3::int[], $4::timestamptz[])`,
+    [userId, history.topics, history.scores, history.recordedAt]
+  );
+
+  // Topics without evidence have no row until they are practised; the rest take their replayed state.
+  await client.query('DELETE FROM user_mastery WHERE user_id = $1', [userId]);
+  for (const [topicId, state] of states) {
+    await client.query(`
+      INSERT INTO user_mastery (user_id, topic_id, mastery_score, rating, attempts, last_practiced_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [userId, topicId, currentMastery(state, state.lastPracticedAt), state.rating, state.attempts, state.lastPracticedAt]);
+  }
+  // Apply the decay since each topic was last practised, as the server would on the next visit.
+  await refreshMasteryDecay(client, userId);
+
+  return { events: events.length, topics: states.size, historyRows: history.topics.length };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`ERROR: ${e.message}\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error(`ERROR: DATABASE_URL is not set.\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = createPool();
+  try {
+    await assertSchemaCurrent(pool);
+    const usersResult = args.userId === null
+      ? await pool.query('SELECT user_id FROM users ORDER BY user_id')
+      : await pool.query('SELECT user_id FROM users WHERE user_id = $1', [args.userId]);
+    if (usersResult.rows.length === 0) {
+      console.error('No matching users.');
+      process.exitCode = 1;
+      return;
+    }
+
+    for (const { user_id: userId } of usersResult.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const summary = await backfillUser(client, userId);
+        await client.query(args.dryRun ? 'ROLLBACK' : 'COMMIT');
+        console.log(`User ${userId}: replayed ${summary.events} activities across ${summary.topics} topic(s), ${summary.historyRows} history entries.`);
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw new Error(`Backfill failed for user ${userId}: ${e.message}`);
+      } finally {
+        client.release();
+      }
+    }
+    console.log(args.dryRun ? '\nDry run: no changes were written.' : '\nBackfill complete.');
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
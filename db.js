@@ -0,0 +1,18 @@
+// =================================================================
+// NBHWC PLATFORM - DATABASE CONNECTION
+// =================================================================
+// One place to build the pg pool for the server and the CLI scripts.
+// The hosted database requires SSL; set DATABASE_SSL=false to talk
+// to a local Postgres that does not offer it.
+// =================================================================
+
+const { Pool } = require('pg');
+
+function createPool(connectionString = process.env.DATABASE_URL) {
+  return new Pool({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+}
+
+module.exports = { createPool };
@@ -0,0 +1,54 @@
+// =================================================================
+// NBHWC PLATFORM - MASTERY DECAY JOB
+// =================================================================
+// Writes the time-based decay of every user's mastery to the stored
+// scores and the mastery history. The API computes decay whenever it
+// reads mastery, so this only keeps the stored scores behind
+// leaderboards and group standings, and the history behind trends,
+// current for users who have stopped studying. Meant to run once a
+// day from a scheduler; running it more often logs nothing new.
+//
+//   DATABASE_URL=... node decay-mastery.js
+// =================================================================
+
+const { createPool } = require('./db');
+const { assertSchemaCurrent } = require('./migrate');
+const { refreshMasteryDecay } = require('./mastery');
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL is not set.\nUsage: DATABASE_URL=... node decay-mastery.js');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = createPool();
+  try {
+    await assertSchemaCurrent(pool);
+    const usersResult = await pool.query('SELECT DISTINCT user_id FROM user_mastery WHERE last_practiced_at IS NOT NULL ORDER BY user_id');
+
+    const at = new Date();
+    let changed = 0;
+    for (const { user_id: userId } of usersResult.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        changed += await refreshMasteryDecay(client, userId, at);
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw new Error(`Decay failed for user ${userId}: ${e.message}`);
+      } finally {
+        client.release();
+      }
+    }
+    console.log(`Checked ${usersResult.rows.length} user(s); ${changed} topic score(s) decayed.`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+// =================================================================
+// NBHWC PLATFORM - API ERRORS
+// =================================================================
+// Routes report failures by passing an ApiError (or any thrown
+// error) to next(); errorHandler turns it into the one error shape
+// every client sees:
+//
+//   { "message": "...", "code": "NOT_FOUND", "requestId": "..." }
+//
+// plus any details the error carries (e.g. the field errors of a
+// failed validation). Unexpected errors are logged with their stack
+// and reach the client only as INTERNAL_ERROR.
+// =================================================================
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'UNAVAILABLE'
+};
+
+class ApiError extends Error {
+  constructor(status, message, code = DEFAULT_CODES[status] || 'ERROR', details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Errors raised outside the routes' own checks: body-parser failures and database constraint
+// violations that slipped past validation.
+function classifyError(error) {
+  if (error instanceof ApiError) return error;
+  if (error.type === 'entity.parse.failed') return new ApiError(400, 'The request body is not valid JSON.', 'INVALID_JSON');
+  if (error.type === 'entity.too.large') return new ApiError(413, 'The request body is too large.');
+  if (error.expose && error.status >= 400 && error.status < 500) return new ApiError(error.status, error.message);
+  if (error.code === '22P02') return new ApiError(400, 'A value in the request has the wrong format.', 'INVALID_INPUT');
+  if (error.code === '23505') return new ApiError(409, 'This conflicts with an existing record.');
+  if (error.code === '23503') return new ApiError(400, 'This refers to a record that does not exist.', 'INVALID_REFERENCE');
+  return null;
+}
+
+// For routes that do not exist, so unknown URLs get the same error shape as everything else.
+function notFoundHandler(req, res, next) {
+  next(new ApiError(404, 'Not found.'));
+}
+
+function errorHandler(logger) {
+  // Express recognises error middleware by its four parameters, so `next` stays in the signature.
+  return (error, req, res, next) => {
+    const log = req.log || logger;
+    let apiError = classifyError(error);
+    if (!apiError) {
+      log.error('unhandled error', { err: error, method: req.method, route: req.route ? req.baseUrl + req.route.path : null });
+      apiError = new ApiError(500, 'Internal server error.');
+    }
+    if (res.headersSent) return req.socket.destroy();
+
+    if (apiError.details.retryAfter) res.set('Retry-After', String(apiError.details.retryAfter));
+    res.status(apiError.status).json({ message: apiError.message, code: apiError.code, ...apiError.details, requestId: req.id });
+  };
+}
+
+module.exports = { ApiError, notFoundHandler, errorHandler };
@@ -0,0 +1,653 @@
+// =================================================================
+// NBHWC PLATFORM - CONTENT IMPORTER
+// =================================================================
+// One command for all study content. Reads the topic taxonomy,
+// questions, flashcards, scenarios or puzzles from a CSV or JSON
+// file, validates every row and upserts by a stable content key, so
+// re-running an import only touches what changed. Content missing
+// from the file is retired, never deleted, so user history keeps its
+// references. Taxonomy nodes are never retired by an import.
+//
+// Any content row may carry `tags`: extra topic names, as a JSON
+// array or separated by ";" in a CSV column.
+//
+//   DATABASE_URL=... node import-content.js <file> [--type <type>] [--dry-run]
+//
+// CSV files hold one content type (detected from the header row).
+// JSON files hold either an array of one type (named with --type or
+// by the file name) or an object such as { "questions": [...] }.
+// =================================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const { createPool } = require('./db');
+const { assertSchemaCurrent } = require('./migrate');
+const { slugify, validateScenario, normalizeScenario, saveScenario, loadScenario } = require('./scenario-graph');
+const { TAXONOMY_LEVELS, OUTLINE_CODE_PATTERN, placementError, setContentTags } = require('./taxonomy');
+
+// In the order they are applied: topics must exist before content is filed under them.
+const CONTENT_TYPES = ['taxonomy', 'questions', 'flashcards', 'scenarios', 'puzzles'];
+// Content types that can only come from JSON files.
+const JSON_ONLY_TYPES = ['taxonomy', 'scenarios', 'puzzles'];
+const QUESTION_DIFFICULTIES = [1, 2, 3];
+const PUZZLE_TYPES = ['ordering', 'matching', 'categorizing'];
+const USAGE = `Usage: DATABASE_URL=... node import-content.js <file.csv|file.json> [--type ${CONTENT_TYPES.join('|')}] [--dry-run]`;
+
+// --- ARGUMENTS & FILE READING ---
+
+function parseArgs(argv) {
+  const args = { file: null, type: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--type') args.type = argv[++i];
+    else if (!args.file) args.file = argv[i];
+    else throw new Error(`Unexpected argument "${argv[i]}".`);
+  }
+  if (!args.file) throw new Error('A file path is required.');
+  if (args.type && !CONTENT_TYPES.includes(args.type)) throw new Error(`--type must be one of: ${CONTENT_TYPES.join(', ')}.`);
+  return args;
+}
+
+// Stable key for content that has no explicit `key`: a hash of the fields that identify it.
+const contentKey = (...parts) => crypto.createHash('sha1').update(parts.map(p => String(p).trim().toLowerCase()).join('|')).digest('hex').slice(0, 16);
+
+// Sorts object keys so JSON comparisons ignore key order (JSONB reorders keys).
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+async function readCsv(filePath) {
+  const rows = [];
+  let headers = [];
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('headers', (h) => { headers = h; })
+      // The header is line 1, so the first record is line 2.
+      .on('data', (data) => rows.push({ line: rows.length + 2, data }))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  let type = null;
+  if (headers.includes('question')) type = 'questions';
+  else if (headers.includes('term')) type = 'flashcards';
+  return { type, rows };
+}
+
+// Line number of each element of the content arrays in a JSON document, in document order.
+function jsonElementLines(text) {
+  const arrays = [];
+  const stack = [];
+  const contentDepth = text.trimStart().startsWith('[') ? 1 : 2;
+  let line = 1;
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of text) {
+    if (ch === '\n') line++;
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      if (stack.length === contentDepth && stack[stack.length - 1] === '[') arrays[arrays.length - 1].push(line);
+      stack.push(ch);
+      if (ch === '[' && stack.length === contentDepth) arrays.push([]);
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    }
+  }
+  return arrays;
+}
+
+function readJson(filePath, typeHint) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const parsed = JSON.parse(text);
+  const lines = jsonElementLines(text);
+  const sections = {};
+
+  if (Array.isArray(parsed)) {
+    const baseName = path.basename(filePath).toLowerCase();
+    const type = typeHint || CONTENT_TYPES.find(t => baseName.includes(t));
+    if (!type) throw new Error('Cannot tell what this JSON array contains. Pass --type.');
+    sections[type] = parsed.map((data, i) => ({ line: lines[0] && lines[0][i], data }));
+    return sections;
+  }
+
+  let arrayIndex = 0;
+  for (const [key, value] of Object.entries(parsed)) {
+    if (!Array.isArray(value)) continue;
+    const sectionLines = lines[arrayIndex++] || [];
+    if (!CONTENT_TYPES.includes(key)) throw new Error(`Unknown content section "${key}". Expected: ${CONTENT_TYPES.join(', ')}.`);
+    if (typeHint && key !== typeHint) continue;
+    sections[key] = value.map((data, i) => ({ line: sectionLines[i], data }));
+  }
+  return sections;
+}
+
+async function readContentFile(filePath, typeHint) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.json') return readJson(filePath, typeHint);
+  if (extension === '.csv') {
+    const { type, rows } = await readCsv(filePath);
+    const resolvedType = typeHint || type;
+    if (!resolvedType) throw new Error('Cannot tell what this CSV contains. Pass --type.');
+    if (JSON_ONLY_TYPES.includes(resolvedType)) throw new Error(`${resolvedType} can only be imported from JSON.`);
+    return { [resolvedType]: rows };
+  }
+  throw new Error(`Unsupported file type "${extension}". Use .csv or .json.`);
+}
+
+// --- VALIDATION ---
+// Each validator returns { errors, record } where record is the normalized, comparable form of the row.
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+const optionalText = (value) => text(value) || null;
+// Topic names from a JSON array or a ";"-separated CSV cell, sorted so the order in the file does not matter.
+const tagList = (value) => [...new Set((Array.isArray(value) ? value : text(value).split(';')).map(text).filter(Boolean))].sort();
+
+function validateTaxonomyNode(data) {
+  const errors = [];
+  const name = text(data.name);
+  const level = text(data.level) || 'topic';
+  const code = text(data.code);
+  if (!name) errors.push('name is required.');
+  if (!TAXONOMY_LEVELS.includes(level)) errors.push(`level "${level}" must be one of: ${TAXONOMY_LEVELS.join(', ')}.`);
+  if (code && !OUTLINE_CODE_PATTERN.test(code)) errors.push(`code "${code}" must be an outline code such as 2.1.3.`);
+  return { errors, record: { key: name, name, level, parent: optionalText(data.parent), code: code || null } };
+}
+
+function validateQuestion(data) {
+  const errors = [];
+  const topic = text(data.topic);
+  const question = text(data.question);
+  const optionTexts = (Array.isArray(data.options) ? data.options : [data.option1, data.option2, data.option3, data.option4])
+    .map(text).filter(Boolean);
+  const rawIndex = data.correctAnswerIndex ?? data.correct_answer_index;
+  const correctIndex = Number(rawIndex);
+  const rawDifficulty = data.difficulty;
+  const difficulty = text(rawDifficulty) === '' ? 2 : Number(rawDifficulty);
+
+  if (!topic) errors.push('topic is required.');
+  if (!question) errors.push('question is required.');
+  if (optionTexts.length < 2) errors.push('at least two options are required.');
+  if (new Set(optionTexts).size !== optionTexts.length) errors.push('options must be different from each other.');
+  if (text(rawIndex) === '' || !Number.isInteger(correctIndex) || correctIndex < 0 || correctIndex >= optionTexts.length) {
+    errors.push(`correct_answer_index "${text(rawIndex)}" must be a whole number from 0 to ${Math.max(optionTexts.length - 1, 0)}.`);
+  }
+  if (!QUESTION_DIFFICULTIES.includes(difficulty)) errors.push(`difficulty "${text(rawDifficulty)}" must be one of ${QUESTION_DIFFICULTIES.join(', ')}.`);
+
+  return {
+    errors,
+    record: {
+      key: text(data.key) || contentKey(topic, question),
+      topic,
+      text: question,
+      difficulty,
+      explanation: optionalText(data.explanation),
+      eli5: optionalText(data.eli5),
+      options: optionTexts.map((optionText, i) => ({ text: optionText, isCorrect: i === correctIndex })),
+      tags: tagList(data.tags).filter(tag => tag !== topic)
+    }
+  };
+}
+
+function validateFlashcard(data) {
+  const errors = [];
+  const topic = text(data.topic);
+  const term = text(data.term);
+  const definition = text(data.definition);
+  if (!topic) errors.push('topic is required.');
+  if (!term) errors.push('term is required.');
+  if (!definition) errors.push('definition is required.');
+  return { errors, record: { key: text(data.key) || contentKey(topic, term), topic, term, definition, tags: tagList(data.tags).filter(tag => tag !== topic) } };
+}
+
+function validateScenarioEntry(data) {
+  const errors = validateScenario(data);
+  return { errors, record: errors.length > 0 ? null : { ...normalizeScenario(data), key: data.slug || slugify(data.title), tags: tagList(data.tags) } };
+}
+
+function validatePuzzle(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') return { errors: ['puzzle must be an object.'], record: null };
+  const { slug, type, topic, title, tags, ...rest } = data;
+  if (!text(title)) errors.push('title is required.');
+  if (!text(topic)) errors.push('topic is required.');
+  if (!PUZZLE_TYPES.includes(type)) errors.push(`type must be one of: ${PUZZLE_TYPES.join(', ')}.`);
+
+  if (type === 'ordering') {
+    const { correctOrder, items } = rest;
+    if (!Array.isArray(correctOrder) || correctOrder.length < 2) errors.push('correctOrder needs at least two items.');
+    else if (!Array.isArray(items) || stableStringify([...items].sort()) !== stableStringify([...correctOrder].sort())) {
+      errors.push('items must contain exactly the entries of correctOrder.');
+    }
+  } else if (type === 'matching') {
+    if (!Number.isInteger(rest.pairs) || rest.pairs < 2) errors.push('pairs must be a whole number of at least 2.');
+  } else if (type === 'categorizing') {
+    const categories = rest.categories && typeof rest.categories === 'object' ? Object.entries(rest.categories) : [];
+    if (categories.length < 2) errors.push('categories needs at least two categories.');
+    if (categories.some(([, items]) => !Array.isArray(items) || items.length === 0)) errors.push('every category needs at least one item.');
+    const allItems = categories.flatMap(([, items]) => (Array.isArray(items) ? items : []));
+    if (new Set(allItems).size !== allItems.length) errors.push('an item can only belong to one category.');
+  }
+
+  return {
+    errors,
+    record: { key: text(slug) || slugify(title || ''), type, topic: text(topic), title: text(title), data: rest, tags: tagList(tags).filter(tag => tag !== text(topic)) }
+  };
+}
+
+const VALIDATORS = {
+  taxonomy: validateTaxonomyNode,
+  questions: validateQuestion,
+  flashcards: validateFlashcard,
+  scenarios: validateScenarioEntry,
+  puzzles: validatePuzzle
+};
+
+function validateSections(sections, fileName) {
+  const problems = [];
+  const records = {};
+  for (const [type, rows] of Object.entries(sections)) {
+    const seen = new Map();
+    records[type] = [];
+    rows.forEach(({ line, data }, i) => {
+      const where = line ? `${fileName}:${line}` : `${fileName} (${type} entry ${i + 1})`;
+      const { errors, record } = VALIDATORS[type](data || {});
+      if (record && seen.has(record.key)) errors.push(`duplicate of the entry at ${seen.get(record.key)} (key "${record.key}").`);
+      errors.forEach(error => problems.push(`${where}: ${error}`));
+      if (record) seen.set(record.key, where);
+      if (errors.length === 0) records[type].push(record);
+    });
+  }
+  if (records.taxonomy) problems.push(...taxonomyPlacementProblems(records.taxonomy, fileName));
+  return { problems, records };
+}
+
+// Checks each node against its parent when the parent is in the same file. Parents that are not
+// are looked up when the import is applied.
+function taxonomyPlacementProblems(nodes, fileName) {
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const problems = [];
+  for (const node of nodes) {
+    const parent = node.parent === null ? null : byName.get(node.parent);
+    if (node.parent !== null && !parent) continue;
+    const error = placementError(node.level, parent ? parent.level : null);
+    if (error) problems.push(`${fileName} (taxonomy "${node.name}"): ${error}`);
+  }
+  return problems;
+}
+
+// --- CURRENT DATABASE STATE ---
+// Each loader returns a Map of key -> { id, retired, record } in the same comparable shape as the validators.
+
+// Names of the topics an item is tagged with, other than the topic in `primaryColumn` (if any).
+const tagsColumn = (entityType, idColumn, primaryColumn = null) => `
+  COALESCE((SELECT json_agg(tt.topic_name) FROM content_tags ct JOIN topics tt ON tt.topic_id = ct.topic_id
+            WHERE ct.entity_type = '${entityType}' AND ct.entity_id = ${idColumn}
+              ${primaryColumn ? `AND tt.topic_name <> ${primaryColumn}` : ''}), '[]') as tags`;
+
+const EXISTING_LOADERS = {
+  taxonomy: async (client) => {
+    const result = await client.query(`
+      SELECT t.topic_id, t.topic_name, t.level, p.topic_name as parent, t.outline_code, t.retired_at
+      FROM topics t LEFT JOIN topics p ON p.topic_id = t.parent_id
+    `);
+    return new Map(result.rows.map(row => [row.topic_name, {
+      id: row.topic_id,
+      retired: Boolean(row.retired_at),
+      record: { key: row.topic_name, name: row.topic_name, level: row.level, parent: row.parent, code: row.outline_code }
+    }]));
+  },
+  questions: async (client) => {
+    const result = await client.query(`
+      SELECT q.question_id, q.content_key, t.topic_name, q.question_text, q.difficulty, q.explanation, q.eli5_explanation, q.retired_at,
+             COALESCE((SELECT json_agg(json_build_object('text', o.option_text, 'isCorrect', o.is_correct) ORDER BY o.option_id)
+                       FROM question_options o WHERE o.question_id = q.question_id), '[]') as options,
+             ${tagsColumn('question', 'q.question_id', 't.topic_name')}
+      FROM questions q JOIN topics t ON t.topic_id = q.topic_id
+    `);
+    return new Map(result.rows.map(row => {
+      const key = row.content_key || contentKey(row.topic_name, row.question_text);
+      return [key, {
+        id: row.question_id,
+        retired: Boolean(row.retired_at),
+        record: {
+          key, topic: row.topic_name, text: row.question_text, difficulty: row.difficulty, explanation: row.explanation, eli5: row.eli5_explanation,
+          options: row.options, tags: row.tags.sort()
+        }
+      }];
+    }));
+  },
+  flashcards: async (client) => {
+    const result = await client.query(`
+      SELECT f.flashcard_id, f.content_key, t.topic_name, f.term, f.definition, f.retired_at,
+             ${tagsColumn('flashcard', 'f.flashcard_id', 't.topic_name')}
+      FROM flashcards f JOIN topics t ON t.topic_id = f.topic_id
+    `);
+    return new Map(result.rows.map(row => {
+      const key = row.content_key || contentKey(row.topic_name, row.term);
+      return [key, {
+        id: row.flashcard_id,
+        retired: Boolean(row.retired_at),
+        record: { key, topic: row.topic_name, term: row.term, definition: row.definition, tags: row.tags.sort() }
+      }];
+    }));
+  },
+  scenarios: async (client) => {
+    const result = await client.query(`SELECT s.scenario_id, s.slug, s.retired_at, ${tagsColumn('scenario', 's.scenario_id')} FROM scenarios s`);
+    const existing = new Map();
+    for (const row of result.rows) {
+      const scenario = await loadScenario(client, row.scenario_id);
+      existing.set(row.slug, {
+        id: row.scenario_id,
+        retired: Boolean(row.retired_at),
+        record: { ...normalizeScenario(scenario), key: row.slug, tags: row.tags.sort() }
+      });
+    }
+    return existing;
+  },
+  puzzles: async (client) => {
+    const result = await client.query(`
+      SELECT p.puzzle_id, p.slug, p.type, p.topic_name, p.title, p.data, p.retired_at, ${tagsColumn('puzzle', 'p.puzzle_id', 'p.topic_name')}
+      FROM puzzles p
+    `);
+    return new Map(result.rows.map(row => [row.slug, {
+      id: row.puzzle_id,
+      retired: Boolean(row.retired_at),
+      record: { key: row.slug, type: row.type, topic: row.topic_name, title: row.title, data: row.data, tags: row.tags.sort() }
+    }]));
+  }
+};
+
+// Options are compared as a set so reordering them in the file is not a change.
+const comparable = (record) => stableStringify({
+  ...record,
+  options: record.options ? [...record.options].sort((a, b) => a.text.localeCompare(b.text)) : undefined
+});
+
+// With `retireMissing` off, items missing from the file are left as they are.
+function diffContent(existing, incoming, retireMissing = true) {
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+  const incomingKeys = new Set();
+  for (const record of incoming) {
+    incomingKeys.add(record.key);
+    const current = existing.get(record.key);
+    if (!current) diff.added.push({ record });
+    else if (current.retired || comparable(current.record) !== comparable(record)) diff.changed.push({ id: current.id, before: current.record, record });
+    else diff.unchanged++;
+  }
+  for (const [key, current] of existing) {
+    if (retireMissing && !incomingKeys.has(key) && !current.retired) diff.removed.push({ id: current.id, before: current.record });
+  }
+  return diff;
+}
+
+const describe = (record) => {
+  const label = record.text || record.term || record.title || record.name || record.key;
+  return label.length > 70 ? `${label.slice(0, 67)}...` : label;
+};
+
+function printDiff(type, diff, log) {
+  log(`\n${type}: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+  diff.added.forEach(({ record }) => log(`  + [${record.key}] ${describe(record)}`));
+  diff.changed.forEach(({ record }) => log(`  ~ [${record.key}] ${describe(record)}`));
+  diff.removed.forEach(({ before }) => log(`  - [${before.key}] ${describe(before)}`));
+}
+
+// --- APPLYING CHANGES ---
+
+async function ensureTopic(client, topicIds, topicName) {
+  if (topicIds.has(topicName)) return topicIds.get(topicName);
+  const result = await client.query(
+    'INSERT INTO topics (topic_name) VALUES ($1) ON CONFLICT (topic_name) DO UPDATE SET topic_name = EXCLUDED.topic_name RETURNING topic_id',
+    [topicName]
+  );
+  topicIds.set(topicName, result.rows[0].topic_id);
+  return result.rows[0].topic_id;
+}
+
+// Replaces an item's tags with the named topics, keeping its own topic (if it has one) tagged.
+async function applyTags(client, topicIds, entityType, entityId, tags, primaryTopicId = null) {
+  const tagIds = [];
+  for (const tag of tags) tagIds.push(await ensureTopic(client, topicIds, tag));
+  await setContentTags(client, entityType, entityId, tagIds, primaryTopicId);
+}
+
+const recordImportEdit = (client, entityType, entityId, action, before, after) => client.query(
+  'INSERT INTO content_edits (user_id, entity_type, entity_id, action, before_data, after_data) VALUES (NULL, $1, $2, $3, $4, $5)',
+  [entityType, entityId, action, before || null, after || null]
+);
+
+// Updates options in place by text so recorded answers keep pointing at the same option rows.
+async function syncOptions(client, questionId, options) {
+  const result = await client.query('SELECT option_id, option_text FROM question_options WHERE question_id = $1', [questionId]);
+  const byText = new Map(result.rows.map(row => [row.option_text, row.option_id]));
+  for (const option of options) {
+    if (byText.has(option.text)) {
+      await client.query('UPDATE question_options SET is_correct = $1 WHERE option_id = $2', [option.isCorrect, byText.get(option.text)]);
+      byText.delete(option.text);
+    } else {
+      await client.query('INSERT INTO question_options (question_id, option_text, is_correct) VALUES ($1, $2, $3)', [questionId, option.text, option.isCorrect]);
+    }
+  }
+  for (const optionId of byText.values()) {
+    await client.query('DELETE FROM question_options WHERE option_id = $1', [optionId]);
+  }
+}
+
+const APPLIERS = {
+  // Parents are written before their children, so every parent name resolves.
+  taxonomy: async (client, diff, topicIds) => {
+    const depth = ({ record }) => TAXONOMY_LEVELS.indexOf(record.level);
+    for (const { id, before, record } of [...diff.added, ...diff.changed].sort((a, b) => depth(a) - depth(b))) {
+      let parentId = null;
+      if (record.parent !== null) {
+        const parent = await client.query('SELECT topic_id, level FROM topics WHERE topic_name = $1', [record.parent]);
+        if (parent.rows.length === 0) throw new Error(`Taxonomy "${record.name}": parent topic "${record.parent}" does not exist.`);
+        const error = placementError(record.level, parent.rows[0].level);
+        if (error) throw new Error(`Taxonomy "${record.name}": ${error}`);
+        parentId = parent.rows[0].topic_id;
+      }
+      if (id === undefined) {
+        const result = await client.query(
+          'INSERT INTO topics (topic_name, level, parent_id, outline_code) VALUES ($1, $2, $3, $4) RETURNING topic_id',
+          [record.name, record.level, parentId, record.code]
+        );
+        topicIds.set(record.name, result.rows[0].topic_id);
+        await recordImportEdit(client, 'topic', result.rows[0].topic_id, 'create', null, record);
+      } else {
+        await client.query(
+          'UPDATE topics SET level = $1, parent_id = $2, outline_code = $3, retired_at = NULL WHERE topic_id = $4',
+          [record.level, parentId, record.code, id]
+        );
+        await recordImportEdit(client, 'topic', id, 'update', before, record);
+      }
+    }
+  },
+  questions: async (client, diff, topicIds) => {
+    for (const { record } of diff.added) {
+      const topicId = await ensureTopic(client, topicIds, record.topic);
+      const result = await client.query(
+        'INSERT INTO questions (topic_id, question_text, difficulty, explanation, eli5_explanation, content_key) VALUES ($1, $2, $3, $4, $5, $6) RETURNING question_id',
+        [topicId, record.text, record.difficulty, record.explanation, record.eli5, record.key]
+      );
+      await syncOptions(client, result.rows[0].question_id, record.options);
+      await applyTags(client, topicIds, 'question', result.rows[0].question_id, record.tags, topicId);
+      await recordImportEdit(client, 'question', result.rows[0].question_id, 'create', null, record);
+    }
+    for (const { id, before, record } of diff.changed) {
+      const topicId = await ensureTopic(client, topicIds, record.topic);
+      await client.query(
+        'UPDATE questions SET topic_id = $1, question_text = $2, difficulty = $3, explanation = $4, eli5_explanation = $5, content_key = $6, retired_at = NULL WHERE question_id = $7',
+        [topicId, record.text, record.difficulty, record.explanation, record.eli5, record.key, id]
+      );
+      await syncOptions(client, id, record.options);
+      await applyTags(client, topicIds, 'question', id, record.tags, topicId);
+      await recordImportEdit(client, 'question', id, 'update', before, record);
+    }
+    for (const { id, before } of diff.removed) {
+      await client.query('UPDATE questions SET retired_at = CURRENT_TIMESTAMP WHERE question_id = $1', [id]);
+      await recordImportEdit(client, 'question', id, 'retire', before, null);
+    }
+  },
+  flashcards: async (client, diff, topicIds) => {
+    for (const { record } of diff.added) {
+      const topicId = await ensureTopic(client, topicIds, record.topic);
+      const result = await client.query(
+        'INSERT INTO flashcards (topic_id, term, definition, content_key) VALUES ($1, $2, $3, $4) RETURNING flashcard_id',
+        [topicId, record.term, record.definition, record.key]
+      );
+      await applyTags(client, topicIds, 'flashcard', result.rows[0].flashcard_id, record.tags, topicId);
+      await recordImportEdit(client, 'flashcard', result.rows[0].flashcard_id, 'create', null, record);
+    }
+    for (const { id, before, record } of diff.changed) {
+      const topicId = await ensureTopic(client, topicIds, record.topic);
+      await client.query(
+        'UPDATE flashcards SET topic_id = $1, term = $2, definition = $3, content_key = $4, retired_at = NULL WHERE flashcard_id = $5',
+        [topicId, record.term, record.definition, record.key, id]
+      );
+      await applyTags(client, topicIds, 'flashcard', id, record.tags, topicId);
+      await recordImportEdit(client, 'flashcard', id, 'update', before, record);
+    }
+    for (const { id, before } of diff.removed) {
+      await client.query('UPDATE flashcards SET retired_at = CURRENT_TIMESTAMP WHERE flashcard_id = $1', [id]);
+      await recordImportEdit(client, 'flashcard', id, 'retire', before, null);
+    }
+  },
+  scenarios: async (client, diff, topicIds) => {
+    for (const { record } of [...diff.added, ...diff.changed]) {
+      const scenarioId = await saveScenario(client, record);
+      await applyTags(client, topicIds, 'scenario', scenarioId, record.tags);
+    }
+    for (const { id } of diff.removed) {
+      await client.query('UPDATE scenarios SET retired_at = CURRENT_TIMESTAMP WHERE scenario_id = $1', [id]);
+    }
+  },
+  puzzles: async (client, diff, topicIds) => {
+    for (const { record } of [...diff.added, ...diff.changed]) {
+      const topicId = await ensureTopic(client, topicIds, record.topic);
+      const result = await client.query(`
+        INSERT INTO puzzles (slug, type, topic_name, title, data) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (slug) DO UPDATE
+        SET type = EXCLUDED.type, topic_name = EXCLUDED.topic_name, title = EXCLUDED.title, data = EXCLUDED.data, retired_at = NULL
+        RETURNING puzzle_id
+      `, [record.key, record.type, record.topic, record.title, record.data]);
+      await applyTags(client, topicIds, 'puzzle', result.rows[0].puzzle_id, record.tags, topicId);
+    }
+    for (const { id } of diff.removed) {
+      await client.query('UPDATE puzzles SET retired_at = CURRENT_TIMESTAMP WHERE puzzle_id = $1', [id]);
+    }
+  }
+};
+
+// Reads and validates a content file; throws with every problem listed if it is not importable.
+async function loadContentFile(filePath, type = null) {
+  const sections = await readContentFile(filePath, type);
+  const { problems, records } = validateSections(sections, path.basename(filePath));
+  if (problems.length > 0) {
+    const error = new Error(`${problems.length} problem(s) found in ${path.basename(filePath)}.`);
+    error.problems = problems;
+    throw error;
+  }
+  return records;
+}
+
+// Diffs validated records against the database and applies them. Run inside a transaction.
+async function importContent(client, records, { dryRun = false, log = console.log } = {}) {
+  const topicsResult = await client.query('SELECT topic_id, topic_name FROM topics');
+  const topicIds = new Map(topicsResult.rows.map(row => [row.topic_name, row.topic_id]));
+
+  for (const type of CONTENT_TYPES.filter(t => records[t])) {
+    const existing = await EXISTING_LOADERS[type](client);
+    const diff = diffContent(existing, records[type], type !== 'taxonomy');
+    printDiff(type, diff, log);
+    if (!dryRun) await APPLIERS[type](client, diff, topicIds);
+  }
+}
+
+// --- MAIN ---
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`ERROR: ${e.message}\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error(`ERROR: DATABASE_URL is not set.\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const filePath = path.resolve(process.cwd(), args.file);
+  console.log(`Reading ${filePath}...`);
+  let records;
+  try {
+    records = await loadContentFile(filePath, args.type);
+  } catch (e) {
+    if (!e.problems) throw e;
+    e.problems.forEach(problem => console.error(problem));
+    console.error(`\n${e.problems.length} problem(s) found. Nothing was imported.`);
+    process.exitCode = 1;
+    return;
+  }
+  Object.entries(records).forEach(([type, list]) => console.log(`Validated ${list.length} ${type}.`));
+
+  const pool = createPool();
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exitCode = 1;
+    await pool.end();
+    return;
+  }
+  const client = await pool.connect();
+  console.log('Database connection established.');
+
+  try {
+    await client.query('BEGIN');
+    await importContent(client, records, { dryRun: args.dryRun });
+
+    if (args.dryRun) {
+      await client.query('ROLLBACK');
+      console.log('\nDry run: no changes were written.');
+    } else {
+      await client.query('COMMIT');
+      console.log('\nImport complete.');
+    }
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('Database transaction failed. Rolled back.', e);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('An unhandled error occurred:', err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { CONTENT_TYPES, loadContentFile, importContent };
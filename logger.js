@@ -0,0 +1,67 @@
+// =================================================================
+// NBHWC PLATFORM - STRUCTURED LOGGING
+// =================================================================
+// One JSON object per line on stdout, so log collectors can index
+// fields instead of parsing text. Every request gets an id (taken
+// from X-Request-Id when a proxy already assigned one) that is
+// echoed in the response and attached to every line logged while
+// handling it. LOG_LEVEL sets the threshold (debug, info, warn,
+// error; default info).
+// =================================================================
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Upstream ids are only reused when they look like ids, so they cannot inject junk into the logs.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+function serializeError(error) {
+  return { message: error.message, code: error.code, stack: error.stack };
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', stream = process.stdout, fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const write = (entryLevel, message, extra = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, message, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    stream.write(JSON.stringify(entry) + '\n');
+  };
+
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+    child: (extra) => createLogger({ level, stream, fields: { ...fields, ...extra } })
+  };
+}
+
+// Assigns req.id and req.log, and logs one line per finished request. The route pattern is logged
+// rather than the raw path, which can carry secrets such as calendar feed tokens.
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const upstreamId = req.get('X-Request-Id');
+    req.id = upstreamId && REQUEST_ID_PATTERN.test(upstreamId) ? upstreamId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      req.log[status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info']('request completed', {
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : null,
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        userId: req.user ? req.user.userId : null
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { createLogger, requestLogger };
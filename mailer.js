@@ -0,0 +1,50 @@
+// =================================================================
+// NBHWC PLATFORM - OUTGOING MAIL
+// =================================================================
+// The API only needs to send a handful of transactional emails, so
+// delivery goes through a transport: any object with an async
+// send({ to, subject, text }). MAIL_TRANSPORT picks a built-in one:
+//   console - prints messages to stdout (the default)
+//   file    - writes each message to MAIL_DIR (default ./outbox)
+// A real provider is plugged in by passing its transport to
+// createMailer.
+// =================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`--- MAIL from ${message.from} to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n--- END MAIL ---`);
+  }
+};
+
+function fileTransport(directory) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+      const body = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+      await fs.promises.writeFile(path.join(directory, fileName), body);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport(path.resolve(process.env.MAIL_DIR || 'outbox'))
+};
+
+function createMailer(transport = process.env.MAIL_TRANSPORT || 'console') {
+  if (typeof transport === 'string') {
+    if (!TRANSPORTS[transport]) throw new Error(`Unknown MAIL_TRANSPORT "${transport}". Expected: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    transport = TRANSPORTS[transport]();
+  }
+  if (!transport || typeof transport.send !== 'function') throw new Error('A mail transport needs a send(message) function.');
+
+  return {
+    send: ({ to, subject, text }) => transport.send({ from: process.env.MAIL_FROM || 'no-reply@nbhwc-study.local', to, subject, text })
+  };
+}
+
+module.exports = { createMailer };
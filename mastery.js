@@ -0,0 +1,191 @@
+// =================================================================
+// NBHWC PLATFORM - MASTERY MODEL
+// =================================================================
+// Shared by the API server and the mastery backfill. Each user has
+// an Elo-style rating per topic on a logit scale. Every graded item
+// moves the rating by how surprising the result was given the item's
+// difficulty, so misses pull it down and easy wins count for little.
+// The step size never drops to zero, which keeps recent attempts
+// weighted more than old ones, and ratings drift back toward the
+// starting point while a topic goes unpractised.
+//
+// The 0-100 mastery score shown to users is the chance of answering
+// a medium-difficulty question, rescaled so a new topic reads 0.
+//
+// Ratings are kept per taxonomy node (topic_id) and only for nodes
+// the user has practised; a row is created on first evidence. An
+// item counts towards every node it is tagged with, and parents show
+// the rolled-up mastery of their subtree (see taxonomy.js).
+// =================================================================
+
+const { loadTaxonomy, rollUpMastery } = require('./taxonomy');
+
+const INITIAL_RATING = -2;
+const MIN_RATING = -4;
+const MAX_RATING = 6;
+// Question difficulty 1-3 on the same scale as ratings.
+const ITEM_DIFFICULTY = { 1: -1, 2: 0, 3: 1 };
+const REFERENCE_DIFFICULTY = ITEM_DIFFICULTY[2];
+// Puzzles have no difficulty of their own and are graded as one medium item with partial credit.
+const PUZZLE_DIFFICULTY = 2;
+// Step size starts large while there is little evidence and settles as attempts accumulate.
+const K_NEW = 0.6;
+const K_SETTLED = 0.1;
+const K_SETTLE_ATTEMPTS = 20;
+// After this many days without practice, a rating has lost half its distance from INITIAL_RATING.
+const DECAY_HALF_LIFE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const clampRating = (rating) => Math.max(MIN_RATING, Math.min(MAX_RATING, rating));
+
+const expectedScore = (rating, difficulty) => sigmoid(rating - (ITEM_DIFFICULTY[difficulty] ?? REFERENCE_DIFFICULTY));
+
+function decayRating(rating, lastPracticedAt, at) {
+  if (!lastPracticedAt) return rating;
+  const days = Math.max(0, (new Date(at) - new Date(lastPracticedAt)) / DAY_MS);
+  return INITIAL_RATING + (rating - INITIAL_RATING) * Math.pow(0.5, days / DECAY_HALF_LIFE_DAYS);
+}
+
+function masteryScore(rating) {
+  const floor = sigmoid(INITIAL_RATING - REFERENCE_DIFFICULTY);
+  const score = (sigmoid(rating - REFERENCE_DIFFICULTY) - floor) / (1 - floor);
+  return Math.max(0, Math.min(100, Math.round(score * 100)));
+}
+
+const initialState = () => ({ rating: INITIAL_RATING, attempts: 0, lastPracticedAt: null });
+
+// Applies graded items ({ difficulty: 1-3, outcome: 0-1 }, oldest first) practised at `at`.
+// Evidence that arrives late (offline sync) lands on the current rating and does not move
+// lastPracticedAt backwards.
+function applyEvidence(state, items, at) {
+  let rating = decayRating(state.rating, state.lastPracticedAt, at);
+  let attempts = state.attempts;
+  for (const item of items) {
+    const k = K_SETTLED + (K_NEW - K_SETTLED) * K_SETTLE_ATTEMPTS / (K_SETTLE_ATTEMPTS + attempts);
+    rating = clampRating(rating + k * (item.outcome - expectedScore(rating, item.difficulty)));
+    attempts++;
+  }
+  const practicedAt = state.lastPracticedAt && new Date(state.lastPracticedAt) > new Date(at) ? state.lastPracticedAt : at;
+  return { rating, attempts, lastPracticedAt: new Date(practicedAt) };
+}
+
+const currentMastery = (state, at = new Date()) => masteryScore(decayRating(state.rating, state.lastPracticedAt, at));
+
+// --- DATABASE HELPERS ---
+
+// A submitted quiz as graded items per tagged topic_id, in the order they were answered.
+// Unanswered questions count as misses.
+async function quizSessionEvidence(db, sessionId) {
+  const result = await db.query(`
+    SELECT ct.topic_id, q.difficulty, COALESCE(a.is_correct, false) as is_correct
+    FROM quiz_session_questions sq
+    JOIN questions q ON q.question_id = sq.question_id
+    JOIN content_tags ct ON ct.entity_type = 'question' AND ct.entity_id = q.question_id
+    LEFT JOIN quiz_attempts a ON a.session_id = sq.session_id AND a.question_id = sq.question_id
+    WHERE sq.session_id = $1
+    ORDER BY a.answered_at NULLS LAST, sq.position
+  `, [sessionId]);
+
+  const byTopic = new Map();
+  for (const row of result.rows) {
+    if (!byTopic.has(row.topic_id)) byTopic.set(row.topic_id, []);
+    byTopic.get(row.topic_id).push({ difficulty: row.difficulty, outcome: row.is_correct ? 1 : 0 });
+  }
+  return byTopic;
+}
+
+const puzzleEvidence = (scorePercent) => [{ difficulty: PUZZLE_DIFFICULTY, outcome: scorePercent / 100 }];
+
+const rowState = (row) => (row
+  ? { rating: row.rating, attempts: row.attempts, lastPracticedAt: row.last_practiced_at }
+  : initialState());
+
+// Applies new evidence to one topic, logs the result to the history and returns the new mastery score.
+// Run inside a transaction.
+async function recordMastery(client, userId, topicId, items, at = new Date()) {
+  const result = await client.query(
+    'SELECT rating, attempts, last_practiced_at FROM user_mastery WHERE user_id = $1 AND topic_id = $2 FOR UPDATE',
+    [userId, topicId]
+  );
+  const state = applyEvidence(rowState(result.rows[0]), items, at);
+  const mastery = currentMastery(state, at);
+
+  await client.query(`
+    INSERT INTO user_mastery (user_id, topic_id, mastery_score, rating, attempts, last_practiced_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (user_id, topic_id) DO UPDATE
+    SET mastery_score = EXCLUDED.mastery_score, rating = EXCLUDED.rating,
+        attempts = EXCLUDED.attempts, last_practiced_at = EXCLUDED.last_practiced_at
+  `, [userId, topicId, mastery, state.rating, state.attempts, state.lastPracticedAt]);
+  await client.query(
+    'INSERT INTO user_mastery_history (user_id, topic_id, mastery_score, recorded_at) VALUES ($1, $2, $3, $4)',
+    [userId, topicId, mastery, at]
+  );
+  return mastery;
+}
+
+// Brings stored scores in line with time-based decay, for the SQL that reads mastery_score directly
+// and for the history's trends. Reads compute decay themselves (loadOwnMastery), so this runs only
+// after new study activity and from the scheduled decay job. Only scores that actually changed are
+// written and logged; the conditional update means two concurrent refreshes log a change once.
+async function refreshMasteryDecay(db, userId, at = new Date()) {
+  const result = await db.query(
+    'SELECT topic_id, mastery_score, rating, attempts, last_practiced_at FROM user_mastery WHERE user_id = $1 AND last_practiced_at IS NOT NULL',
+    [userId]
+  );
+  let changed = 0;
+  for (const row of result.rows) {
+    const mastery = currentMastery(rowState(row), at);
+    if (mastery === row.mastery_score) continue;
+    const updated = await db.query(
+      'UPDATE user_mastery SET mastery_score = $1 WHERE user_id = $2 AND topic_id = $3 AND mastery_score <> $1',
+      [mastery, userId, row.topic_id]
+    );
+    if (updated.rowCount === 0) continue;
+    await db.query(
+      'INSERT INTO user_mastery_history (user_id, topic_id, mastery_score, recorded_at) VALUES ($1, $2, $3, $4)',
+      [userId, row.topic_id, mastery, at]
+    );
+    changed++;
+  }
+  return changed;
+}
+
+// Mastery of the topics a user has practised, as Map(topicId -> 0-100), either current (decayed to
+// now from the stored ratings) or as it stood at `asOf` according to the history.
+async function loadOwnMastery(db, userId, asOf = null) {
+  if (asOf === null) {
+    const result = await db.query('SELECT topic_id, rating, attempts, last_practiced_at FROM user_mastery WHERE user_id = $1', [userId]);
+    const now = new Date();
+    return new Map(result.rows.map(row => [row.topic_id, currentMastery(rowState(row), now)]));
+  }
+  const result = await db.query(`
+    SELECT DISTINCT ON (topic_id) topic_id, mastery_score FROM user_mastery_history
+    WHERE user_id = $1 AND recorded_at <= $2
+    ORDER BY topic_id, recorded_at DESC
+  `, [userId, asOf]);
+  return new Map(result.rows.map(row => [row.topic_id, row.mastery_score]));
+}
+
+// The active taxonomy in outline order, each node with the user's own mastery (null if never
+// practised) and the rolled-up mastery of its subtree.
+async function loadTopicMastery(db, userId, asOf = null) {
+  const [nodes, own] = await Promise.all([loadTaxonomy(db), loadOwnMastery(db, userId, asOf)]);
+  const rolled = rollUpMastery(nodes, own);
+  return nodes.map(node => ({ ...node, ownMastery: own.has(node.id) ? own.get(node.id) : null, mastery: rolled.get(node.id) }));
+}
+
+module.exports = {
+  INITIAL_RATING,
+  initialState,
+  applyEvidence,
+  currentMastery,
+  quizSessionEvidence,
+  puzzleEvidence,
+  recordMastery,
+  refreshMasteryDecay,
+  loadOwnMastery,
+  loadTopicMastery
+};
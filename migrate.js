@@ -0,0 +1,182 @@
+// =================================================================
+// NBHWC PLATFORM - SCHEMA MIGRATIONS
+// =================================================================
+// Versioned schema changes live in migrations/NNN_name.js, each
+// exporting { up, down } SQL. Applied versions are recorded in
+// schema_migrations, and every migration runs in its own transaction.
+// The server refuses to start until the database is current.
+//
+//   DATABASE_URL=... node migrate.js [up | down [steps] | status]
+// =================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once.
+const MIGRATION_LOCK_ID = 48213;
+const USAGE = 'Usage: DATABASE_URL=... node migrate.js [up | down [steps] | status]';
+
+function loadMigrations() {
+  const migrations = [];
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof up !== 'string' || typeof down !== 'string') {
+      throw new Error(`Migration ${file} must export "up" and "down" SQL strings.`);
+    }
+    migrations.push({ version: Number(match[1]), name: match[2], up, down });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}.`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version').catch(error => {
+    // A brand new database has no schema_migrations table yet.
+    if (error.code === '42P01') return { rows: [] };
+    throw error;
+  });
+  return result.rows.map(row => row.version);
+}
+
+// Compares the migrations on disk with the ones recorded in the database.
+async function migrationStatus(db) {
+  const migrations = loadMigrations();
+  const applied = new Set(await appliedVersions(db));
+  const known = new Set(migrations.map(migration => migration.version));
+  return {
+    applied: migrations.filter(migration => applied.has(migration.version)),
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    unknown: [...applied].filter(version => !known.has(version))
+  };
+}
+
+// Throws unless every migration on disk has been applied, and nothing newer has.
+async function assertSchemaCurrent(db) {
+  const { pending, unknown } = await migrationStatus(db);
+  if (unknown.length > 0) {
+    throw new Error(`The database has migrations this code does not know about (${unknown.join(', ')}). Deploy the newer code or roll the database back.`);
+  }
+  if (pending.length > 0) {
+    const names = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`The database schema is out of date; pending migrations: ${names}. Run "npm run migrate" first.`);
+  }
+}
+
+async function withMigrationLock(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await work(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Applies every pending migration in version order; returns the ones applied.
+async function migrateUp(pool, log = console.log) {
+  return withMigrationLock(pool, async (client) => {
+    const { pending, unknown } = await migrationStatus(client);
+    if (unknown.length > 0) throw new Error(`The database has unknown migrations (${unknown.join(', ')}); refusing to migrate.`);
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}...`);
+      await runMigration(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Reverts the most recently applied migrations; returns the ones reverted.
+async function migrateDown(pool, steps = 1, log = console.log) {
+  return withMigrationLock(pool, async (client) => {
+    const { applied, unknown } = await migrationStatus(client);
+    if (unknown.length > 0) throw new Error(`The database has unknown migrations (${unknown.join(', ')}); refusing to roll back.`);
+    const reverting = applied.slice(-steps).reverse();
+    for (const migration of reverting) {
+      log(`Reverting ${migration.version}_${migration.name}...`);
+      await runMigration(client, migration, 'down');
+    }
+    return reverting;
+  });
+}
+
+// --- MAIN ---
+
+async function main() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+  if (!['up', 'down', 'status'].includes(command) || !Number.isInteger(steps) || steps < 1) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error(`ERROR: DATABASE_URL is not set.\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = createPool();
+  try {
+    if (command === 'status') {
+      const { applied, pending, unknown } = await migrationStatus(pool);
+      applied.forEach(migration => console.log(`  applied  ${migration.version}_${migration.name}`));
+      pending.forEach(migration => console.log(`  pending  ${migration.version}_${migration.name}`));
+      unknown.forEach(version => console.log(`  unknown  ${version}`));
+    } else if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Database is already up to date.');
+    } else {
+      const reverted = await migrateDown(pool, steps);
+      console.log(`Reverted ${reverted.length} migration(s).`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadMigrations, migrationStatus, assertSchemaCurrent, migrateUp, migrateDown };
@@ -0,0 +1,83 @@
+// Users, topics, questions and flashcards: the tables the original API was built on.
+// Uses IF NOT EXISTS so databases created by the old CSV importers can adopt migrations as-is.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      user_id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      full_name VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS user_stats (
+      user_id INT PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+      points INT DEFAULT 0,
+      current_streak INT DEFAULT 0,
+      last_study_date DATE,
+      level INT DEFAULT 1,
+      readiness INT DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS topics (
+      topic_id SERIAL PRIMARY KEY,
+      topic_name VARCHAR(255) UNIQUE NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS questions (
+      question_id SERIAL PRIMARY KEY,
+      topic_id INT NOT NULL REFERENCES topics(topic_id),
+      question_text TEXT NOT NULL,
+      difficulty INT NOT NULL,
+      explanation TEXT,
+      eli5_explanation TEXT
+    );
+    CREATE TABLE IF NOT EXISTS question_options (
+      option_id SERIAL PRIMARY KEY,
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      option_text VARCHAR(255) NOT NULL,
+      is_correct BOOLEAN NOT NULL DEFAULT false
+    );
+    CREATE TABLE IF NOT EXISTS flashcards (
+      flashcard_id SERIAL PRIMARY KEY,
+      topic_id INT NOT NULL REFERENCES topics(topic_id),
+      term VARCHAR(255) NOT NULL,
+      definition TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS user_mastery (
+      mastery_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      topic_name VARCHAR(255) NOT NULL,
+      mastery_score INT NOT NULL DEFAULT 0,
+      UNIQUE (user_id, topic_name)
+    );
+    CREATE TABLE IF NOT EXISTS user_mastery_history (
+      history_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      topic_name VARCHAR(255) NOT NULL,
+      mastery_score INT NOT NULL,
+      recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      achievement_id VARCHAR(50) NOT NULL,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, achievement_id)
+    );
+    CREATE TABLE IF NOT EXISTS user_study_plans (
+      user_id INT PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+      settings JSONB,
+      plan_data JSONB
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS user_study_plans;
+    DROP TABLE IF EXISTS user_achievements;
+    DROP TABLE IF EXISTS user_mastery_history;
+    DROP TABLE IF EXISTS user_mastery;
+    DROP TABLE IF EXISTS flashcards;
+    DROP TABLE IF EXISTS question_options;
+    DROP TABLE IF EXISTS questions;
+    DROP TABLE IF EXISTS topics;
+    DROP TABLE IF EXISTS user_stats;
+    DROP TABLE IF EXISTS users;
+  `
+};
@@ -0,0 +1,20 @@
+// Per-user SM-2 scheduling state for flashcards.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS flashcard_reviews (
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      flashcard_id INT NOT NULL REFERENCES flashcards(flashcard_id) ON DELETE CASCADE,
+      ease_factor NUMERIC(4,2) NOT NULL DEFAULT 2.5,
+      interval_days INT NOT NULL DEFAULT 0,
+      repetitions INT NOT NULL DEFAULT 0,
+      lapses INT NOT NULL DEFAULT 0,
+      due_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      last_reviewed_at TIMESTAMP WITH TIME ZONE,
+      PRIMARY KEY (user_id, flashcard_id)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS flashcard_reviews;
+  `
+};
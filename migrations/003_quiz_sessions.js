@@ -0,0 +1,38 @@
+// Server-side quiz sessions and the per-question attempt log.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS quiz_sessions (
+      session_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      topic_names TEXT[] NOT NULL,
+      mode VARCHAR(20) NOT NULL DEFAULT 'random',
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      score INT,
+      points_earned INT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      submitted_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE IF NOT EXISTS quiz_session_questions (
+      session_id INT NOT NULL REFERENCES quiz_sessions(session_id) ON DELETE CASCADE,
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      PRIMARY KEY (session_id, question_id)
+    );
+    CREATE TABLE IF NOT EXISTS quiz_attempts (
+      attempt_id SERIAL PRIMARY KEY,
+      session_id INT NOT NULL REFERENCES quiz_sessions(session_id) ON DELETE CASCADE,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      selected_option_id INT REFERENCES question_options(option_id) ON DELETE SET NULL,
+      is_correct BOOLEAN NOT NULL,
+      answered_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, question_id)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS quiz_attempts;
+    DROP TABLE IF EXISTS quiz_session_questions;
+    DROP TABLE IF EXISTS quiz_sessions;
+  `
+};
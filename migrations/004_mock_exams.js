@@ -0,0 +1,30 @@
+// Timed mock exams and their items.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS mock_exams (
+      exam_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      completed_at TIMESTAMP WITH TIME ZONE,
+      score INT,
+      report JSONB
+    );
+    CREATE TABLE IF NOT EXISTS mock_exam_items (
+      exam_id INT NOT NULL REFERENCES mock_exams(exam_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      selected_option_id INT REFERENCES question_options(option_id) ON DELETE SET NULL,
+      is_correct BOOLEAN,
+      flagged BOOLEAN NOT NULL DEFAULT false,
+      answered_at TIMESTAMP WITH TIME ZONE,
+      PRIMARY KEY (exam_id, position)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS mock_exam_items;
+    DROP TABLE IF EXISTS mock_exams;
+  `
+};
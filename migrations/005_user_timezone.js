@@ -0,0 +1,10 @@
+// The timezone streaks are counted in.
+
+module.exports = {
+  up: `
+    ALTER TABLE user_stats ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+  `,
+  down: `
+    ALTER TABLE user_stats DROP COLUMN IF EXISTS timezone;
+  `
+};
@@ -0,0 +1,51 @@
+// Branching scenarios (nodes and choices) and per-user play-throughs.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS scenarios (
+      scenario_id SERIAL PRIMARY KEY,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      start_node VARCHAR(100) NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS scenario_nodes (
+      scenario_id INT NOT NULL REFERENCES scenarios(scenario_id) ON DELETE CASCADE,
+      node_key VARCHAR(100) NOT NULL,
+      prompt TEXT NOT NULL,
+      competency VARCHAR(255),
+      feedback TEXT,
+      score INT NOT NULL DEFAULT 0,
+      ending TEXT,
+      outcome VARCHAR(20),
+      PRIMARY KEY (scenario_id, node_key)
+    );
+    CREATE TABLE IF NOT EXISTS scenario_choices (
+      scenario_id INT NOT NULL,
+      node_key VARCHAR(100) NOT NULL,
+      position INT NOT NULL,
+      choice_text TEXT NOT NULL,
+      next_node VARCHAR(100) NOT NULL,
+      PRIMARY KEY (scenario_id, node_key, position),
+      FOREIGN KEY (scenario_id, node_key) REFERENCES scenario_nodes(scenario_id, node_key) ON DELETE CASCADE
+    );
+    CREATE TABLE IF NOT EXISTS scenario_runs (
+      run_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      scenario_id INT NOT NULL REFERENCES scenarios(scenario_id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      current_node VARCHAR(100) NOT NULL,
+      path TEXT[] NOT NULL,
+      score INT NOT NULL DEFAULT 0,
+      outcome VARCHAR(20),
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP WITH TIME ZONE
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS scenario_runs;
+    DROP TABLE IF EXISTS scenario_choices;
+    DROP TABLE IF EXISTS scenario_nodes;
+    DROP TABLE IF EXISTS scenarios;
+  `
+};
@@ -0,0 +1,32 @@
+// Puzzle definitions and graded attempts.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS puzzles (
+      puzzle_id SERIAL PRIMARY KEY,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      topic_name VARCHAR(255) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      data JSONB NOT NULL,
+      retired_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE IF NOT EXISTS puzzle_attempts (
+      attempt_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      puzzle_id INT NOT NULL,
+      puzzle_type VARCHAR(20) NOT NULL,
+      topic_name VARCHAR(255) NOT NULL,
+      submission JSONB,
+      correct INT NOT NULL,
+      total INT NOT NULL,
+      score INT NOT NULL,
+      points_earned INT NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS puzzle_attempts;
+    DROP TABLE IF EXISTS puzzles;
+  `
+};
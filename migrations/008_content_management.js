@@ -0,0 +1,33 @@
+// User roles, soft retirement, content keys for the importer and the content edit history.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'learner';
+    ALTER TABLE topics ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE questions ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE questions ADD COLUMN IF NOT EXISTS content_key VARCHAR(64) UNIQUE;
+    ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS content_key VARCHAR(64) UNIQUE;
+    ALTER TABLE scenarios ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+    CREATE TABLE IF NOT EXISTS content_edits (
+      edit_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INT NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      before_data JSONB,
+      after_data JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS content_edits;
+    ALTER TABLE scenarios DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE flashcards DROP COLUMN IF EXISTS content_key;
+    ALTER TABLE flashcards DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE questions DROP COLUMN IF EXISTS content_key;
+    ALTER TABLE questions DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE topics DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS role;
+  `
+};
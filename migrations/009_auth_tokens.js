@@ -0,0 +1,35 @@
+// Server-side refresh tokens, password reset tokens and the failed-login log used for rate limiting.
+// Only SHA-256 hashes of tokens are stored.
+
+module.exports = {
+  up: `
+    CREATE TABLE refresh_tokens (
+      token_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      replaced_by INT REFERENCES refresh_tokens(token_id) ON DELETE SET NULL
+    );
+    CREATE INDEX refresh_tokens_user_idx ON refresh_tokens (user_id) WHERE revoked_at IS NULL;
+    CREATE TABLE password_reset_tokens (
+      token_hash CHAR(64) PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      used_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE failed_logins (
+      email VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(64) NOT NULL,
+      attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX failed_logins_lookup_idx ON failed_logins (email, ip_address, attempted_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS failed_logins;
+    DROP TABLE IF EXISTS password_reset_tokens;
+    DROP TABLE IF EXISTS refresh_tokens;
+  `
+};
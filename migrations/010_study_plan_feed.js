@@ -0,0 +1,12 @@
+// Server-generated study plans: when they were last rebuilt and the secret behind the calendar feed URL.
+
+module.exports = {
+  up: `
+    ALTER TABLE user_study_plans ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE user_study_plans ADD COLUMN feed_token VARCHAR(64) UNIQUE;
+  `,
+  down: `
+    ALTER TABLE user_study_plans DROP COLUMN IF EXISTS feed_token;
+    ALTER TABLE user_study_plans DROP COLUMN IF EXISTS updated_at;
+  `
+};
@@ -0,0 +1,29 @@
+// A log of every flashcard review (flashcard_reviews only keeps the latest scheduling state)
+// and indexes for the per-user, time-ordered scans the analytics endpoints run.
+// Existing reviews are carried over with their last review time; their grade is unknown.
+
+module.exports = {
+  up: `
+    CREATE TABLE flashcard_review_log (
+      log_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      flashcard_id INT NOT NULL REFERENCES flashcards(flashcard_id) ON DELETE CASCADE,
+      grade VARCHAR(10),
+      reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO flashcard_review_log (user_id, flashcard_id, grade, reviewed_at)
+      SELECT user_id, flashcard_id, NULL, last_reviewed_at FROM flashcard_reviews WHERE last_reviewed_at IS NOT NULL;
+    CREATE INDEX flashcard_review_log_user_idx ON flashcard_review_log (user_id, reviewed_at);
+    CREATE INDEX quiz_attempts_user_idx ON quiz_attempts (user_id, answered_at);
+    CREATE INDEX puzzle_attempts_user_idx ON puzzle_attempts (user_id, created_at);
+    CREATE INDEX scenario_runs_user_idx ON scenario_runs (user_id, started_at);
+    CREATE INDEX user_mastery_history_user_idx ON user_mastery_history (user_id, topic_name, recorded_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS user_mastery_history_user_idx;
+    DROP INDEX IF EXISTS scenario_runs_user_idx;
+    DROP INDEX IF EXISTS puzzle_attempts_user_idx;
+    DROP INDEX IF EXISTS quiz_attempts_user_idx;
+    DROP TABLE IF EXISTS flashcard_review_log;
+  `
+};
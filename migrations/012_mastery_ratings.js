@@ -0,0 +1,15 @@
+// Per-topic ratings for the mastery model in mastery.js. Scores recorded under the old
+// additive model are kept until `npm run backfill-mastery` recomputes them.
+
+module.exports = {
+  up: `
+    ALTER TABLE user_mastery ADD COLUMN rating DOUBLE PRECISION NOT NULL DEFAULT -2;
+    ALTER TABLE user_mastery ADD COLUMN attempts INT NOT NULL DEFAULT 0;
+    ALTER TABLE user_mastery ADD COLUMN last_practiced_at TIMESTAMP WITH TIME ZONE;
+  `,
+  down: `
+    ALTER TABLE user_mastery DROP COLUMN IF EXISTS last_practiced_at;
+    ALTER TABLE user_mastery DROP COLUMN IF EXISTS attempts;
+    ALTER TABLE user_mastery DROP COLUMN IF EXISTS rating;
+  `
+};
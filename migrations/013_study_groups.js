@@ -0,0 +1,65 @@
+// Study groups with member/instructor roles, group challenges that reuse quiz sessions, a ledger of
+// points so leaderboards can rank by week, and the per-user leaderboard opt-out.
+// The ledger is seeded from the activities that have awarded points so far.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN leaderboard_opt_out BOOLEAN NOT NULL DEFAULT false;
+    CREATE TABLE point_events (
+      event_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      points INT NOT NULL,
+      source VARCHAR(20) NOT NULL,
+      earned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX point_events_user_idx ON point_events (user_id, earned_at);
+    INSERT INTO point_events (user_id, points, source, earned_at)
+      SELECT user_id, points_earned, 'quiz', submitted_at FROM quiz_sessions WHERE status = 'submitted' AND points_earned > 0
+      UNION ALL
+      SELECT user_id, points_earned, 'puzzle', created_at FROM puzzle_attempts WHERE points_earned > 0
+      UNION ALL
+      SELECT user_id, score, 'scenario', completed_at FROM scenario_runs WHERE status = 'completed' AND score <> 0;
+    CREATE TABLE study_groups (
+      group_id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      invite_code VARCHAR(16) UNIQUE NOT NULL,
+      created_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE study_group_members (
+      group_id INT NOT NULL REFERENCES study_groups(group_id) ON DELETE CASCADE,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (group_id, user_id)
+    );
+    CREATE INDEX study_group_members_user_idx ON study_group_members (user_id);
+    CREATE TABLE group_challenges (
+      challenge_id SERIAL PRIMARY KEY,
+      group_id INT NOT NULL REFERENCES study_groups(group_id) ON DELETE CASCADE,
+      title VARCHAR(255) NOT NULL,
+      created_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      closes_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE group_challenge_questions (
+      challenge_id INT NOT NULL REFERENCES group_challenges(challenge_id) ON DELETE CASCADE,
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      PRIMARY KEY (challenge_id, question_id)
+    );
+    ALTER TABLE quiz_sessions ADD COLUMN challenge_id INT REFERENCES group_challenges(challenge_id) ON DELETE SET NULL;
+    CREATE UNIQUE INDEX quiz_sessions_challenge_user_idx ON quiz_sessions (challenge_id, user_id) WHERE challenge_id IS NOT NULL;
+  `,
+  down: `
+    DROP INDEX IF EXISTS quiz_sessions_challenge_user_idx;
+    ALTER TABLE quiz_sessions DROP COLUMN IF EXISTS challenge_id;
+    DROP TABLE IF EXISTS group_challenge_questions;
+    DROP TABLE IF EXISTS group_challenges;
+    DROP TABLE IF EXISTS study_group_members;
+    DROP TABLE IF EXISTS study_groups;
+    DROP TABLE IF EXISTS point_events;
+    ALTER TABLE users DROP COLUMN IF EXISTS leaderboard_opt_out;
+  `
+};
@@ -0,0 +1,26 @@
+// Learner reports on questions and flashcards, worked through by editors in a review queue.
+
+module.exports = {
+  up: `
+    CREATE TABLE content_flags (
+      flag_id SERIAL PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INT NOT NULL,
+      user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+      reason VARCHAR(30) NOT NULL,
+      comment TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      resolved_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+      resolved_at TIMESTAMP WITH TIME ZONE,
+      resolution_note TEXT
+    );
+    CREATE INDEX content_flags_entity_idx ON content_flags (entity_type, entity_id, status);
+    CREATE UNIQUE INDEX content_flags_open_per_user_idx ON content_flags (entity_type, entity_id, user_id) WHERE status = 'open';
+    CREATE INDEX quiz_attempts_question_idx ON quiz_attempts (question_id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS quiz_attempts_question_idx;
+    DROP TABLE IF EXISTS content_flags;
+  `
+};
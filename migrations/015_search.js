@@ -0,0 +1,37 @@
+// Full-text search vectors over study content, plus trigram indexes for typo-tolerant matching.
+// pg_trgm ships with Postgres but the extension may need a superuser to create it the first time;
+// it is left installed on the way down in case anything else uses it.
+
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    ALTER TABLE questions ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', question_text), 'A') || setweight(to_tsvector('english', COALESCE(explanation, '')), 'B')
+    ) STORED;
+    ALTER TABLE flashcards ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', term), 'A') || setweight(to_tsvector('english', definition), 'B')
+    ) STORED;
+    ALTER TABLE scenario_nodes ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      to_tsvector('english', prompt)
+    ) STORED;
+
+    CREATE INDEX questions_search_idx ON questions USING GIN (search_vector);
+    CREATE INDEX flashcards_search_idx ON flashcards USING GIN (search_vector);
+    CREATE INDEX scenario_nodes_search_idx ON scenario_nodes USING GIN (search_vector);
+
+    CREATE INDEX questions_text_trgm_idx ON questions USING GIN (question_text gin_trgm_ops);
+    CREATE INDEX flashcards_term_trgm_idx ON flashcards USING GIN (term gin_trgm_ops);
+    CREATE INDEX flashcards_definition_trgm_idx ON flashcards USING GIN (definition gin_trgm_ops);
+    CREATE INDEX scenario_nodes_prompt_trgm_idx ON scenario_nodes USING GIN (prompt gin_trgm_ops);
+  `,
+  down: `
+    DROP INDEX IF EXISTS scenario_nodes_prompt_trgm_idx;
+    DROP INDEX IF EXISTS flashcards_definition_trgm_idx;
+    DROP INDEX IF EXISTS flashcards_term_trgm_idx;
+    DROP INDEX IF EXISTS questions_text_trgm_idx;
+    ALTER TABLE scenario_nodes DROP COLUMN IF EXISTS search_vector;
+    ALTER TABLE flashcards DROP COLUMN IF EXISTS search_vector;
+    ALTER TABLE questions DROP COLUMN IF EXISTS search_vector;
+  `
+};
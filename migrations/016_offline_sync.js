@@ -0,0 +1,20 @@
+// Idempotency log for operations uploaded by offline clients: one row per client-chosen key,
+// holding the outcome so a retried upload gets the same answer without applying twice.
+
+module.exports = {
+  up: `
+    CREATE TABLE sync_operations (
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      idempotency_key VARCHAR(100) NOT NULL,
+      operation_type VARCHAR(30) NOT NULL,
+      recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      status VARCHAR(20) NOT NULL,
+      result JSONB,
+      PRIMARY KEY (user_id, idempotency_key)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS sync_operations;
+  `
+};
@@ -0,0 +1,19 @@
+// Audit log of account self-service: profile and password changes, data exports and deletions.
+// user_id has no foreign key so the record of a deletion outlives the account it describes.
+
+module.exports = {
+  up: `
+    CREATE TABLE account_events (
+      event_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL,
+      event_type VARCHAR(30) NOT NULL,
+      details JSONB NOT NULL DEFAULT '{}',
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX account_events_user_idx ON account_events (user_id, created_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS account_events;
+  `
+};
@@ -0,0 +1,72 @@
+// Topic hierarchy (domain -> topic -> subtopic), content tagging with any number of topics, and
+// mastery keyed by topic_id instead of the topic name. Mastery recorded under a name no topic has
+// any more is kept under a retired topic of that name. Rows that were only ever seeded at zero are
+// dropped; mastery rows are now created on first practice.
+
+module.exports = {
+  up: `
+    ALTER TABLE topics ADD COLUMN parent_id INT REFERENCES topics(topic_id);
+    ALTER TABLE topics ADD COLUMN level VARCHAR(20) NOT NULL DEFAULT 'topic' CHECK (level IN ('domain', 'topic', 'subtopic'));
+    ALTER TABLE topics ADD COLUMN outline_code VARCHAR(20) UNIQUE;
+    CREATE INDEX topics_parent_idx ON topics (parent_id);
+
+    -- Every topic paired with itself and each of its descendants.
+    CREATE VIEW topic_closure AS
+      WITH RECURSIVE closure (ancestor_id, topic_id, depth) AS (
+        SELECT topic_id, topic_id, 0 FROM topics
+        UNION ALL
+        SELECT c.ancestor_id, t.topic_id, c.depth + 1 FROM closure c JOIN topics t ON t.parent_id = c.topic_id
+      )
+      SELECT ancestor_id, topic_id, depth FROM closure;
+
+    CREATE TABLE content_tags (
+      entity_type VARCHAR(20) NOT NULL,
+      entity_id INT NOT NULL,
+      topic_id INT NOT NULL REFERENCES topics(topic_id) ON DELETE CASCADE,
+      PRIMARY KEY (entity_type, entity_id, topic_id)
+    );
+    CREATE INDEX content_tags_topic_idx ON content_tags (topic_id, entity_type);
+    INSERT INTO content_tags (entity_type, entity_id, topic_id) SELECT 'question', question_id, topic_id FROM questions;
+    INSERT INTO content_tags (entity_type, entity_id, topic_id) SELECT 'flashcard', flashcard_id, topic_id FROM flashcards;
+    INSERT INTO content_tags (entity_type, entity_id, topic_id)
+      SELECT 'puzzle', p.puzzle_id, t.topic_id FROM puzzles p JOIN topics t ON t.topic_name = p.topic_name;
+
+    INSERT INTO topics (topic_name, retired_at)
+      SELECT m.topic_name, CURRENT_TIMESTAMP
+      FROM (SELECT topic_name FROM user_mastery UNION SELECT topic_name FROM user_mastery_history) m
+      WHERE NOT EXISTS (SELECT 1 FROM topics t WHERE t.topic_name = m.topic_name);
+
+    ALTER TABLE user_mastery ADD COLUMN topic_id INT REFERENCES topics(topic_id) ON DELETE CASCADE;
+    UPDATE user_mastery um SET topic_id = t.topic_id FROM topics t WHERE t.topic_name = um.topic_name;
+    DELETE FROM user_mastery WHERE mastery_score = 0 AND attempts = 0 AND last_practiced_at IS NULL;
+    ALTER TABLE user_mastery ALTER COLUMN topic_id SET NOT NULL;
+    ALTER TABLE user_mastery DROP COLUMN topic_name;
+    ALTER TABLE user_mastery ADD CONSTRAINT user_mastery_user_topic_key UNIQUE (user_id, topic_id);
+
+    ALTER TABLE user_mastery_history ADD COLUMN topic_id INT REFERENCES topics(topic_id) ON DELETE CASCADE;
+    UPDATE user_mastery_history h SET topic_id = t.topic_id FROM topics t WHERE t.topic_name = h.topic_name;
+    ALTER TABLE user_mastery_history ALTER COLUMN topic_id SET NOT NULL;
+    ALTER TABLE user_mastery_history DROP COLUMN topic_name;
+    CREATE INDEX user_mastery_history_user_idx ON user_mastery_history (user_id, topic_id, recorded_at);
+  `,
+  down: `
+    ALTER TABLE user_mastery_history ADD COLUMN topic_name VARCHAR(255);
+    UPDATE user_mastery_history h SET topic_name = t.topic_name FROM topics t WHERE t.topic_id = h.topic_id;
+    ALTER TABLE user_mastery_history ALTER COLUMN topic_name SET NOT NULL;
+    ALTER TABLE user_mastery_history DROP COLUMN topic_id;
+    CREATE INDEX user_mastery_history_user_idx ON user_mastery_history (user_id, topic_name, recorded_at);
+
+    ALTER TABLE user_mastery ADD COLUMN topic_name VARCHAR(255);
+    UPDATE user_mastery um SET topic_name = t.topic_name FROM topics t WHERE t.topic_id = um.topic_id;
+    ALTER TABLE user_mastery ALTER COLUMN topic_name SET NOT NULL;
+    ALTER TABLE user_mastery DROP COLUMN topic_id;
+    ALTER TABLE user_mastery ADD CONSTRAINT user_mastery_user_id_topic_name_key UNIQUE (user_id, topic_name);
+
+    DROP TABLE IF EXISTS content_tags;
+    DROP VIEW IF EXISTS topic_closure;
+    DROP INDEX IF EXISTS topics_parent_idx;
+    ALTER TABLE topics DROP COLUMN IF EXISTS outline_code;
+    ALTER TABLE topics DROP COLUMN IF EXISTS level;
+    ALTER TABLE topics DROP COLUMN IF EXISTS parent_id;
+  `
+};
@@ -0,0 +1,38 @@
+// Authored remediation for questions: extra explanation tiers, references (textbook chapter, pages)
+// and links to the flashcards, scenario nodes and related questions that cover the same concept.
+// Link targets are polymorphic like content_flags, so they carry no foreign key.
+
+module.exports = {
+  up: `
+    CREATE TABLE question_explanations (
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      label VARCHAR(100) NOT NULL,
+      body TEXT NOT NULL,
+      PRIMARY KEY (question_id, position)
+    );
+    CREATE TABLE question_references (
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      source VARCHAR(255) NOT NULL,
+      chapter VARCHAR(100),
+      pages VARCHAR(50),
+      note TEXT,
+      PRIMARY KEY (question_id, position)
+    );
+    CREATE TABLE remediation_links (
+      question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+      position INT NOT NULL,
+      target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('flashcard', 'scenario', 'question')),
+      target_id INT NOT NULL,
+      node_key VARCHAR(100),
+      PRIMARY KEY (question_id, position)
+    );
+    CREATE INDEX remediation_links_target_idx ON remediation_links (target_type, target_id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS remediation_links;
+    DROP TABLE IF EXISTS question_references;
+    DROP TABLE IF EXISTS question_explanations;
+  `
+};
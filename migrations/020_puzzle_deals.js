@@ -0,0 +1,18 @@
+// The flashcards dealt to a user for a matching puzzle, so an attempt is graded against the cards
+// they were actually shown.
+
+module.exports = {
+  up: `
+    CREATE TABLE puzzle_deals (
+      deal_id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      puzzle_id INT NOT NULL,
+      flashcard_ids INT[] NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX puzzle_deals_user_idx ON puzzle_deals (user_id, puzzle_id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS puzzle_deals;
+  `
+};
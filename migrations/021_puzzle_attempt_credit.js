@@ -0,0 +1,16 @@
+// Only a user's first attempt at a puzzle earns points and mastery; later attempts are kept for
+// history. Existing replays are marked uncredited so a mastery backfill ignores them too.
+
+module.exports = {
+  up: `
+    ALTER TABLE puzzle_attempts ADD COLUMN credited BOOLEAN NOT NULL DEFAULT TRUE;
+    UPDATE puzzle_attempts a SET credited = FALSE
+    WHERE EXISTS (
+      SELECT 1 FROM puzzle_attempts earlier
+      WHERE earlier.user_id = a.user_id AND earlier.puzzle_id = a.puzzle_id AND earlier.attempt_id < a.attempt_id
+    );
+  `,
+  down: `
+    ALTER TABLE puzzle_attempts DROP COLUMN IF EXISTS credited;
+  `
+};
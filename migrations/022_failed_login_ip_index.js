@@ -0,0 +1,10 @@
+// Failed logins are also counted per client IP across every email.
+
+module.exports = {
+  up: `
+    CREATE INDEX failed_logins_ip_idx ON failed_logins (ip_address, attempted_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS failed_logins_ip_idx;
+  `
+};
@@ -0,0 +1,15 @@
+// A user holds at most one open deal per matching puzzle: viewing the puzzle again shows the same
+// cards, and grading an attempt uses the deal up. Older duplicate deals are dropped.
+
+module.exports = {
+  up: `
+    DELETE FROM puzzle_deals d USING puzzle_deals newer
+    WHERE newer.user_id = d.user_id AND newer.puzzle_id = d.puzzle_id AND newer.deal_id > d.deal_id;
+    DROP INDEX IF EXISTS puzzle_deals_user_idx;
+    CREATE UNIQUE INDEX puzzle_deals_open_idx ON puzzle_deals (user_id, puzzle_id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS puzzle_deals_open_idx;
+    CREATE INDEX puzzle_deals_user_idx ON puzzle_deals (user_id, puzzle_id);
+  `
+};
@@ -0,0 +1,20 @@
+// The review queue reads question statistics from this table instead of recomputing them from every
+// recorded answer on each load; it is refreshed once the copy is older than an hour.
+
+module.exports = {
+  up: `
+    CREATE TABLE question_item_stats (
+      question_id INT PRIMARY KEY REFERENCES questions(question_id) ON DELETE CASCADE,
+      responses INT NOT NULL,
+      p_value REAL,
+      discrimination REAL,
+      problems TEXT[] NOT NULL,
+      computed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX mock_exam_items_question_idx ON mock_exam_items (question_id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS mock_exam_items_question_idx;
+    DROP TABLE IF EXISTS question_item_stats;
+  `
+};
@@ -0,0 +1,156 @@
+// =================================================================
+// NBHWC PLATFORM - REMEDIATION
+// =================================================================
+// What a learner gets after missing a question. Every question has
+// explanation tiers to step through ("explain it differently"):
+// the standard explanation, any further tiers its authors added,
+// then the plain-words (ELI5) version. Authors can also cite
+// references such as a textbook chapter and page, and link the
+// question to flashcards, scenario nodes and related questions on
+// the same concept.
+//
+// Only authored links are used; nothing is inferred or fetched from
+// outside. Links are not foreign keys, because scenario nodes are
+// rebuilt whenever a scenario is saved, so links whose target is
+// gone or retired are skipped when they are served.
+// =================================================================
+
+const REMEDIATION_LINK_TYPES = ['flashcard', 'scenario', 'question'];
+const STANDARD_TIER_LABEL = 'Explanation';
+const SIMPLE_TIER_LABEL = 'In plain words';
+
+// question: { explanation, eli5_explanation }. authored: [{ label, text }] in the authors' order.
+function explanationTiers(question, authored = []) {
+  return [
+    question.explanation ? { label: STANDARD_TIER_LABEL, text: question.explanation } : null,
+    ...authored,
+    question.eli5_explanation ? { label: SIMPLE_TIER_LABEL, text: question.eli5_explanation } : null
+  ].filter(Boolean);
+}
+
+// --- DATABASE HELPERS ---
+
+// A question's authored tiers, references and links as editors write them, or null if there is no such question.
+async function loadRemediationContent(db, questionId) {
+  const result = await db.query(`
+    SELECT
+      COALESCE((SELECT json_agg(json_build_object('label', e.label, 'text', e.body) ORDER BY e.position)
+                FROM question_explanations e WHERE e.question_id = q.question_id), '[]') as explanations,
+      COALESCE((SELECT json_agg(json_build_object('source', r.source, 'chapter', r.chapter, 'pages', r.pages, 'note', r.note) ORDER BY r.position)
+                FROM question_references r WHERE r.question_id = q.question_id), '[]') as "references",
+      COALESCE((SELECT json_agg(json_build_object('type', l.target_type, 'id', l.target_id, 'nodeKey', l.node_key) ORDER BY l.position)
+                FROM remediation_links l WHERE l.question_id = q.question_id), '[]') as links
+    FROM questions q WHERE q.question_id = $1
+  `, [questionId]);
+  return result.rows[0] || null;
+}
+
+// Problems with links an editor wants to save: each target must exist, and a question cannot link to itself.
+async function remediationLinkErrors(db, questionId, links) {
+  const errors = [];
+  for (const [index, link] of links.entries()) {
+    let found;
+    if (link.type === 'flashcard') {
+      found = await db.query('SELECT 1 FROM flashcards WHERE flashcard_id = $1', [link.id]);
+    } else if (link.type === 'scenario') {
+      found = await db.query(`
+        SELECT 1 FROM scenarios s JOIN scenario_nodes n ON n.scenario_id = s.scenario_id AND n.node_key = COALESCE($2, s.start_node)
+        WHERE s.scenario_id = $1
+      `, [link.id, link.nodeKey]);
+    } else if (link.id === Number(questionId)) {
+      errors.push(`links[${index}]: a question cannot link to itself.`);
+      continue;
+    } else {
+      found = await db.query('SELECT 1 FROM questions WHERE question_id = $1', [link.id]);
+    }
+    if (found.rows.length === 0) errors.push(`links[${index}]: ${link.type} ${link.id}${link.nodeKey ? ` node "${link.nodeKey}"` : ''} does not exist.`);
+  }
+  return errors;
+}
+
+// Replaces everything authored for a question. Run inside a transaction.
+async function saveRemediationContent(client, questionId, { explanations, references, links }) {
+  await client.query('DELETE FROM question_explanations WHERE question_id = $1', [questionId]);
+  await client.query('DELETE FROM question_references WHERE question_id = $1', [questionId]);
+  await client.query('DELETE FROM remediation_links WHERE question_id = $1', [questionId]);
+  for (const [position, tier] of explanations.entries()) {
+    await client.query(
+      'INSERT INTO question_explanations (question_id, position, label, body) VALUES ($1, $2, $3, $4)',
+      [questionId, position + 1, tier.label, tier.text]
+    );
+  }
+  for (const [position, reference] of references.entries()) {
+    await client.query(
+      'INSERT INTO question_references (question_id, position, source, chapter, pages, note) VALUES ($1, $2, $3, $4, $5, $6)',
+      [questionId, position + 1, reference.source, reference.chapter, reference.pages, reference.note]
+    );
+  }
+  for (const [position, link] of links.entries()) {
+    await client.query(
+      'INSERT INTO remediation_links (question_id, position, target_type, target_id, node_key) VALUES ($1, $2, $3, $4, $5)',
+      [questionId, position + 1, link.type, link.id, link.type === 'scenario' ? link.nodeKey : null]
+    );
+  }
+}
+
+const NO_ROWS = { rows: [] };
+
+// The learner's view: explanation tiers and references, plus (unless `includeLinks` is off) the linked
+// flashcards, scenario nodes and related questions that are still live. Related questions come with
+// their options, including which is correct, for the caller to format. Null if there is no such question.
+async function loadRemediation(db, questionId, { includeLinks = true } = {}) {
+  const linked = (query) => (includeLinks ? db.query(query, [questionId]) : NO_ROWS);
+  const [questionResult, referencesResult, flashcardsResult, scenarioNodesResult, questionsResult] = await Promise.all([
+    db.query(`
+      SELECT q.explanation, q.eli5_explanation,
+             COALESCE((SELECT json_agg(json_build_object('label', e.label, 'text', e.body) ORDER BY e.position)
+                       FROM question_explanations e WHERE e.question_id = q.question_id), '[]') as tiers
+      FROM questions q WHERE q.question_id = $1
+    `, [questionId]),
+    db.query('SELECT source, chapter, pages, note FROM question_references WHERE question_id = $1 ORDER BY position', [questionId]),
+    linked(`
+      SELECT f.flashcard_id as id, t.topic_name as topic, f.term, f.definition
+      FROM remediation_links l
+      JOIN flashcards f ON f.flashcard_id = l.target_id
+      JOIN topics t ON t.topic_id = f.topic_id
+      WHERE l.question_id = $1 AND l.target_type = 'flashcard' AND f.retired_at IS NULL AND t.retired_at IS NULL
+      ORDER BY l.position
+    `),
+    linked(`
+      SELECT s.scenario_id as "scenarioId", s.title as scenario, n.node_key as "nodeKey", n.prompt, n.competency, n.feedback
+      FROM remediation_links l
+      JOIN scenarios s ON s.scenario_id = l.target_id
+      JOIN scenario_nodes n ON n.scenario_id = s.scenario_id AND n.node_key = COALESCE(l.node_key, s.start_node)
+      WHERE l.question_id = $1 AND l.target_type = 'scenario' AND s.retired_at IS NULL
+      ORDER BY l.position
+    `),
+    linked(`
+      SELECT q.question_id, q.question_text, t.topic_name,
+             (SELECT json_agg(o) FROM (SELECT option_text, is_correct FROM question_options WHERE question_id = q.question_id ORDER BY random()) o) as options
+      FROM remediation_links l
+      JOIN questions q ON q.question_id = l.target_id
+      JOIN topics t ON t.topic_id = q.topic_id
+      WHERE l.question_id = $1 AND l.target_type = 'question' AND q.retired_at IS NULL AND t.retired_at IS NULL
+      ORDER BY l.position
+    `)
+  ]);
+  const question = questionResult.rows[0];
+  if (!question) return null;
+
+  return {
+    explanations: explanationTiers(question, question.tiers),
+    references: referencesResult.rows,
+    flashcards: flashcardsResult.rows,
+    scenarioNodes: scenarioNodesResult.rows,
+    relatedQuestions: questionsResult.rows
+  };
+}
+
+module.exports = {
+  REMEDIATION_LINK_TYPES,
+  explanationTiers,
+  loadRemediationContent,
+  remediationLinkErrors,
+  saveRemediationContent,
+  loadRemediation
+};
@@ -0,0 +1,161 @@
+// =================================================================
+// NBHWC PLATFORM - BRANCHING SCENARIO HELPERS
+// =================================================================
+// Shared by the API server and the scenario importer. A scenario is
+// authored as { slug, title, startNode, nodes: { key: node } } where
+// each node has a prompt, coaching competency feedback, a score and
+// either a list of choices or an ending.
+// =================================================================
+
+const SCENARIO_OUTCOMES = ['positive', 'neutral', 'negative'];
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Returns a list of human-readable problems; an empty list means the scenario can be saved.
+function validateScenario(scenario) {
+  const errors = [];
+  if (!scenario || typeof scenario !== 'object') return ['Scenario must be an object.'];
+
+  const { title, startNode, nodes } = scenario;
+  if (!title || typeof title !== 'string') errors.push('title is required.');
+  if (!nodes || typeof nodes !== 'object' || Object.keys(nodes).length === 0) {
+    errors.push('nodes must contain at least one node.');
+    return errors;
+  }
+  if (!nodes[startNode]) errors.push(`startNode "${startNode}" does not exist.`);
+
+  for (const [key, node] of Object.entries(nodes)) {
+    if (!node || typeof node.prompt !== 'string' || !node.prompt) errors.push(`Node "${key}" needs a prompt.`);
+    if (node && node.score !== undefined && !Number.isInteger(node.score)) errors.push(`Node "${key}" has a non-integer score.`);
+
+    const choices = (node && node.choices) || [];
+    if (!Array.isArray(choices)) {
+      errors.push(`Node "${key}" choices must be a list.`);
+      continue;
+    }
+    if (choices.length === 0) {
+      if (!node.end) errors.push(`Node "${key}" has no choices, so it must be an ending with "end" text.`);
+      if (!SCENARIO_OUTCOMES.includes(node.outcome)) errors.push(`Ending "${key}" needs an outcome of ${SCENARIO_OUTCOMES.join(', ')}.`);
+    } else if (node.end) {
+      errors.push(`Node "${key}" has choices, so it cannot also be an ending.`);
+    }
+    choices.forEach((choice, i) => {
+      if (!choice || !choice.text) errors.push(`Choice ${i + 1} of node "${key}" needs text.`);
+      if (!choice || !nodes[choice.nextNode]) errors.push(`Choice ${i + 1} of node "${key}" points to missing node "${choice && choice.nextNode}".`);
+    });
+  }
+  if (errors.length > 0 || !nodes[startNode]) return errors;
+
+  // Every path must reach an ending: walk the graph from the start and reject cycles.
+  const visiting = new Set();
+  const visited = new Set();
+  const walk = (key) => {
+    if (visiting.has(key)) {
+      errors.push(`Node "${key}" is part of a loop, so not every path reaches an ending.`);
+      return;
+    }
+    if (visited.has(key)) return;
+    visiting.add(key);
+    for (const choice of nodes[key].choices || []) walk(choice.nextNode);
+    visiting.delete(key);
+    visited.add(key);
+  };
+  walk(startNode);
+
+  for (const key of Object.keys(nodes)) {
+    if (!visited.has(key)) errors.push(`Node "${key}" cannot be reached from startNode.`);
+  }
+  return errors;
+}
+
+// The comparable form of a scenario, with optional fields filled in the way saveScenario stores them.
+function normalizeScenario(scenario) {
+  const nodes = {};
+  for (const [key, node] of Object.entries(scenario.nodes || {})) {
+    nodes[key] = {
+      prompt: node.prompt,
+      competency: node.competency || null,
+      feedback: node.feedback || null,
+      score: node.score || 0,
+      choices: (node.choices || []).map(choice => ({ text: choice.text, nextNode: choice.nextNode }))
+    };
+    if (node.end) {
+      nodes[key].end = node.end;
+      nodes[key].outcome = node.outcome;
+    }
+  }
+  return { slug: scenario.slug || slugify(scenario.title), title: scenario.title, startNode: scenario.startNode, nodes };
+}
+
+// Inserts or replaces a scenario graph. Run inside a transaction; returns the scenario id.
+async function saveScenario(client, scenario, scenarioId = null) {
+  const slug = scenario.slug || slugify(scenario.title);
+  let id = scenarioId;
+
+  if (id) {
+    await client.query(
+      'UPDATE scenarios SET slug = $1, title = $2, start_node = $3, updated_at = CURRENT_TIMESTAMP WHERE scenario_id = $4',
+      [slug, scenario.title, scenario.startNode, id]
+    );
+  } else {
+    const result = await client.query(
+      `INSERT INTO scenarios (slug, title, start_node) VALUES ($1, $2, $3)
+       ON CONFLICT (slug) DO UPDATE SET title = EXCLUDED.title, start_node = EXCLUDED.start_node, retired_at = NULL, updated_at = CURRENT_TIMESTAMP
+       RETURNING scenario_id`,
+      [slug, scenario.title, scenario.startNode]
+    );
+    id = result.rows[0].scenario_id;
+  }
+
+  await client.query('DELETE FROM scenario_nodes WHERE scenario_id = $1', [id]);
+  for (const [key, node] of Object.entries(scenario.nodes)) {
+    await client.query(
+      'INSERT INTO scenario_nodes (scenario_id, node_key, prompt, competency, feedback, score, ending, outcome) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+      [id, key, node.prompt, node.competency || null, node.feedback || null, node.score || 0, node.end || null, node.end ? node.outcome : null]
+    );
+  }
+  for (const [key, node] of Object.entries(scenario.nodes)) {
+    const choices = node.choices || [];
+    for (let i = 0; i < choices.length; i++) {
+      await client.query(
+        'INSERT INTO scenario_choices (scenario_id, node_key, position, choice_text, next_node) VALUES ($1, $2, $3, $4, $5)',
+        [id, key, i + 1, choices[i].text, choices[i].nextNode]
+      );
+    }
+  }
+  return id;
+}
+
+// Loads a scenario back into its authoring shape, or null if it does not exist.
+async function loadScenario(db, scenarioId) {
+  const scenarioResult = await db.query('SELECT scenario_id, slug, title, start_node FROM scenarios WHERE scenario_id = $1', [scenarioId]);
+  const row = scenarioResult.rows[0];
+  if (!row) return null;
+
+  const [nodesResult, choicesResult] = await Promise.all([
+    db.query('SELECT node_key, prompt, competency, feedback, score, ending, outcome FROM scenario_nodes WHERE scenario_id = $1', [scenarioId]),
+    db.query('SELECT node_key, choice_text, next_node FROM scenario_choices WHERE scenario_id = $1 ORDER BY node_key, position', [scenarioId])
+  ]);
+
+  const nodes = {};
+  for (const node of nodesResult.rows) {
+    nodes[node.node_key] = {
+      prompt: node.prompt,
+      competency: node.competency,
+      feedback: node.feedback,
+      score: node.score,
+      choices: []
+    };
+    if (node.ending) {
+      nodes[node.node_key].end = node.ending;
+      nodes[node.node_key].outcome = node.outcome;
+    }
+  }
+  for (const choice of choicesResult.rows) {
+    nodes[choice.node_key].choices.push({ text: choice.choice_text, nextNode: choice.next_node });
+  }
+
+  return { id: row.scenario_id, slug: row.slug, title: row.title, startNode: row.start_node, nodes };
+}
+
+module.exports = { SCENARIO_OUTCOMES, slugify, validateScenario, normalizeScenario, saveScenario, loadScenario };
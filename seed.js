@@ -0,0 +1,88 @@
+// =================================================================
+// NBHWC PLATFORM - LOCAL DEVELOPMENT SEED
+// =================================================================
+// Brings a local database up to date and fills it with the bundled
+// content and one demo account per role, so the app is usable right
+// after cloning. Safe to re-run: content is upserted by the importer
+// and existing demo accounts are left alone.
+//
+//   DATABASE_URL=postgres://localhost/nbhwc DATABASE_SSL=false npm run seed
+// =================================================================
+
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { createPool } = require('./db');
+const { migrateUp } = require('./migrate');
+const { loadContentFile, importContent } = require('./import-content');
+
+// The taxonomy comes first so content is filed under the outline's topics.
+const SEED_FILES = ['taxonomy.json', 'flashcards.csv', 'scenarios.json', 'puzzles.json'];
+const DEMO_PASSWORD = process.env.SEED_PASSWORD || 'study-demo-1';
+const DEMO_USERS = [
+  { email: 'learner@example.com', fullName: 'Demo Learner', role: 'learner' },
+  { email: 'editor@example.com', fullName: 'Demo Editor', role: 'editor' },
+  { email: 'admin@example.com', fullName: 'Demo Admin', role: 'admin' }
+];
+
+async function seedUsers(client) {
+  const passwordHash = await bcrypt.hash(DEMO_PASSWORD, 10);
+  for (const user of DEMO_USERS) {
+    const result = await client.query(
+      `INSERT INTO users (full_name, email, password_hash, role) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (email) DO NOTHING RETURNING user_id`,
+      [user.fullName, user.email, passwordHash, user.role]
+    );
+    if (result.rows.length === 0) {
+      console.log(`  ${user.email} already exists`);
+      continue;
+    }
+    const userId = result.rows[0].user_id;
+    await client.query('INSERT INTO user_stats (user_id) VALUES ($1)', [userId]);
+    console.log(`  created ${user.email} (${user.role})`);
+  }
+}
+
+async function main() {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('ERROR: Refusing to seed demo accounts into a production database.');
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL is not set.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = createPool();
+  try {
+    await migrateUp(pool);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const file of SEED_FILES) {
+        console.log(`\nImporting ${file}...`);
+        const records = await loadContentFile(path.join(__dirname, file));
+        await importContent(client, records);
+      }
+      console.log('\nDemo accounts:');
+      await seedUsers(client);
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    console.log(`\nSeed complete. Demo accounts use the password "${DEMO_PASSWORD}".`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  if (err.problems) err.problems.forEach(problem => console.error(problem));
+  console.error('Seeding failed:', err.message);
+  process.exitCode = 1;
+});
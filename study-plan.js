@@ -0,0 +1,217 @@
+// =================================================================
+// NBHWC PLATFORM - STUDY PLAN GENERATOR
+// =================================================================
+// Builds a day-by-day schedule from the exam date, the minutes a
+// learner has per day and the weekdays they study. Topics are
+// weighted by the exam blueprint, how far mastery is from 100 and
+// whether it has stalled lately, so weak topics come up most often.
+// Pure functions only; the API server loads the inputs and stores
+// the result.
+// =================================================================
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MIN_MINUTES_PER_DAY = 10;
+const MAX_MINUTES_PER_DAY = 480;
+const MAX_PLAN_DAYS = 730;
+
+const QUIZ_BLOCK_MINUTES = 15;
+const SCENARIO_BLOCK_MINUTES = 10;
+const MIN_REVIEW_MINUTES = 5;
+const REVIEW_SHARE = 0.2;
+// A scenario every few study days keeps coaching practice in the mix without crowding out quizzes.
+const SCENARIO_EVERY_STUDY_DAYS = 3;
+// The real exam is 150 questions in 210 minutes.
+const QUESTIONS_PER_MINUTE = 150 / 210;
+// Topics that are already mastered still get occasional review.
+const MASTERED_TOPIC_FLOOR = 0.15;
+// Topics whose mastery has not grown over the trend window get extra time.
+const STALLED_TOPIC_BOOST = 1.25;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+const isValidDate = (date) => typeof date === 'string' && DATE_PATTERN.test(date) && formatDate(parseDate(date)) === date;
+
+// Returns a list of problems with the settings, measured from `today` (YYYY-MM-DD); empty means valid.
+function validatePlanSettings(settings, today) {
+  if (!settings || typeof settings !== 'object') return ['settings must be an object.'];
+  const errors = [];
+  const { examDate, minutesPerDay, studyDays } = settings;
+
+  if (!isValidDate(examDate)) errors.push('examDate must be a date in YYYY-MM-DD format.');
+  else if (examDate <= today) errors.push('examDate must be after today.');
+  else if (daysBetween(today, examDate) > MAX_PLAN_DAYS) errors.push(`examDate must be within ${MAX_PLAN_DAYS} days.`);
+
+  if (!Number.isInteger(minutesPerDay) || minutesPerDay < MIN_MINUTES_PER_DAY || minutesPerDay > MAX_MINUTES_PER_DAY) {
+    errors.push(`minutesPerDay must be a whole number from ${MIN_MINUTES_PER_DAY} to ${MAX_MINUTES_PER_DAY}.`);
+  }
+
+  if (!Array.isArray(studyDays) || studyDays.length === 0) errors.push('studyDays must list at least one day.');
+  else if (studyDays.some(day => !WEEKDAYS.includes(day))) errors.push(`studyDays may only contain ${WEEKDAYS.join(', ')}.`);
+
+  return errors;
+}
+
+// topics: [{ topic, mastery, trend, blueprintWeight }] -> the same list with a normalized share of study time.
+function weightTopics(topics) {
+  const weighted = topics.map(topic => {
+    const need = Math.max(MASTERED_TOPIC_FLOOR, 1 - topic.mastery / 100);
+    const stalled = topic.trend <= 0 && topic.mastery < 100;
+    return { ...topic, stalled, weight: topic.blueprintWeight * need * (stalled ? STALLED_TOPIC_BOOST : 1) };
+  });
+  const total = weighted.reduce((sum, topic) => sum + topic.weight, 0);
+  return weighted.map(topic => ({ ...topic, share: total > 0 ? topic.weight / total : 1 / weighted.length }));
+}
+
+// Smooth weighted round-robin: over many picks each topic's frequency matches its share,
+// and picks of the same topic are spread out instead of bunched together.
+function topicPicker(topics) {
+  const current = new Map(topics.map(topic => [topic.topic, 0]));
+  return () => {
+    let best = null;
+    for (const topic of topics) {
+      current.set(topic.topic, current.get(topic.topic) + topic.share);
+      if (!best || current.get(topic.topic) > current.get(best.topic)) best = topic;
+    }
+    current.set(best.topic, current.get(best.topic) - 1);
+    return best.topic;
+  };
+}
+
+function dayActivities(minutes, studyDayIndex, nextTopic, nextScenario) {
+  if (minutes < QUIZ_BLOCK_MINUTES) {
+    return [{ type: 'flashcards', topic: nextTopic(), minutes }];
+  }
+
+  const activities = [];
+  const quizTopics = [];
+  let remaining = minutes;
+  const reviewMinutes = Math.max(MIN_REVIEW_MINUTES, Math.round(minutes * REVIEW_SHARE));
+  remaining -= reviewMinutes;
+
+  const scenario = (studyDayIndex + 1) % SCENARIO_EVERY_STUDY_DAYS === 0 && remaining >= QUIZ_BLOCK_MINUTES + SCENARIO_BLOCK_MINUTES
+    ? nextScenario()
+    : null;
+  if (scenario) remaining -= SCENARIO_BLOCK_MINUTES;
+
+  const quizBlocks = Math.max(1, Math.floor(remaining / QUIZ_BLOCK_MINUTES));
+  for (let i = 0; i < quizBlocks; i++) {
+    const blockMinutes = i === quizBlocks - 1 ? remaining - QUIZ_BLOCK_MINUTES * (quizBlocks - 1) : QUIZ_BLOCK_MINUTES;
+    const topic = nextTopic();
+    quizTopics.push(topic);
+    activities.push({ type: 'quiz', topic, minutes: blockMinutes, questions: Math.max(5, Math.round(blockMinutes * QUESTIONS_PER_MINUTE)) });
+  }
+
+  // Flashcards open the session: due cards first, then the day's first quiz topic.
+  activities.unshift({ type: 'flashcards', topic: quizTopics[0], minutes: reviewMinutes });
+  if (scenario) activities.push({ type: 'scenario', scenarioId: scenario.id, title: scenario.title, minutes: SCENARIO_BLOCK_MINUTES });
+  return activities;
+}
+
+// Builds the plan from `today` up to the day before the exam.
+// topics: [{ topic, mastery, trend, blueprintWeight }]; scenarios: [{ id, title }] in the order to play them.
+function generateStudyPlan({ settings, today, topics, scenarios = [], generatedAt = new Date() }) {
+  const weightedTopics = weightTopics(topics);
+  const nextTopic = weightedTopics.length > 0 ? topicPicker(weightedTopics) : () => null;
+  let scenarioIndex = 0;
+  const nextScenario = () => (scenarios.length > 0 ? scenarios[scenarioIndex++ % scenarios.length] : null);
+
+  const days = [];
+  const totals = { studyDays: 0, minutes: 0, quizzes: 0, flashcardSessions: 0, scenarios: 0 };
+  for (let date = today; date < settings.examDate; date = addDays(date, 1)) {
+    if (!settings.studyDays.includes(WEEKDAYS[parseDate(date).getUTCDay()])) continue;
+
+    const activities = dayActivities(settings.minutesPerDay, days.length, nextTopic, nextScenario);
+    days.push({ date, minutes: settings.minutesPerDay, activities });
+
+    totals.studyDays++;
+    totals.minutes += settings.minutesPerDay;
+    for (const activity of activities) {
+      if (activity.type === 'quiz') totals.quizzes++;
+      else if (activity.type === 'flashcards') totals.flashcardSessions++;
+      else totals.scenarios++;
+    }
+  }
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    startDate: today,
+    examDate: settings.examDate,
+    topics: weightedTopics.map(topic => ({
+      topic: topic.topic,
+      mastery: topic.mastery,
+      trend: topic.trend,
+      stalled: topic.stalled,
+      share: Math.round(topic.share * 1000) / 10
+    })),
+    totals,
+    days
+  };
+}
+
+// --- ICALENDAR EXPORT ---
+
+const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// RFC 5545 caps content lines at 75 octets; longer lines continue on the next line after a space.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsTimestamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function describeActivity(activity) {
+  if (activity.type === 'quiz') return `Quiz: ${activity.topic} (${activity.questions} questions, ${activity.minutes} min)`;
+  if (activity.type === 'flashcards') return `Flashcards: due cards, then ${activity.topic || 'any deck'} (${activity.minutes} min)`;
+  return `Scenario: ${activity.title} (${activity.minutes} min)`;
+}
+
+// One all-day event per study day, plus the exam itself. `uidPrefix` keeps event ids stable across
+// rebalances so calendar apps update days in place instead of duplicating them.
+function studyPlanToICalendar(plan, uidPrefix) {
+  const stamp = icsTimestamp(plan.generatedAt);
+  const event = (date, summary, description, uid) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(date)}`,
+    `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NBHWC Study Platform//Study Plan//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:NBHWC Study Plan'
+  ];
+  for (const day of plan.days) {
+    lines.push(...event(day.date, `NBHWC study (${day.minutes} min)`, day.activities.map(describeActivity).join('\n'), `${uidPrefix}-${day.date}@nbhwc-study`));
+  }
+  lines.push(...event(plan.examDate, 'NBHWC exam day', null, `${uidPrefix}-exam@nbhwc-study`));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { WEEKDAYS, isValidDate, addDays, daysBetween, validatePlanSettings, generateStudyPlan, studyPlanToICalendar };
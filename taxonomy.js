@@ -0,0 +1,104 @@
+// =================================================================
+// NBHWC PLATFORM - TOPIC TAXONOMY
+// =================================================================
+// Shared by the API server, the mastery model and the content
+// importer. Topics form a tree that follows the NBHWC content
+// outline: domain -> topic -> subtopic. Topics created before the
+// outline existed sit at the top level until an editor places them.
+//
+// Content is tagged with any number of nodes through content_tags.
+// Questions and flashcards are always tagged with their own topic_id
+// as well, so that column stays the primary home of the item.
+//
+// Mastery is rated per node and rolls up: a parent's mastery is the
+// average of its children's, plus its own rating when content was
+// tagged with the parent directly and the user has practised it.
+// =================================================================
+
+const TAXONOMY_LEVELS = ['domain', 'topic', 'subtopic'];
+// Kinds of content that can be tagged, by the entity_type stored in content_tags.
+const TAGGABLE_TYPES = ['question', 'flashcard', 'scenario', 'puzzle'];
+const OUTLINE_CODE_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+// Why `level` cannot sit under a parent at `parentLevel` (null for the top level), or null if it can.
+function placementError(level, parentLevel) {
+  const depth = TAXONOMY_LEVELS.indexOf(level);
+  if (depth === -1) return `level must be one of: ${TAXONOMY_LEVELS.join(', ')}.`;
+  if (parentLevel === null) return level === 'subtopic' ? 'A subtopic needs a parent topic.' : null;
+  if (TAXONOMY_LEVELS.indexOf(parentLevel) !== depth - 1) {
+    return depth === 0 ? 'A domain cannot have a parent.' : `A ${level} must sit under a ${TAXONOMY_LEVELS[depth - 1]}.`;
+  }
+  return null;
+}
+
+// Nodes whose parent is missing from `nodes` (e.g. retired) count as top-level.
+function childrenByParent(nodes) {
+  const ids = new Set(nodes.map(node => node.id));
+  const children = new Map([[null, []]]);
+  for (const node of nodes) {
+    const parentId = node.parentId !== null && ids.has(node.parentId) ? node.parentId : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(node);
+  }
+  return children;
+}
+
+const topLevelNodes = (nodes) => childrenByParent(nodes).get(null);
+
+// nodes: [{ id, parentId }]. own: Map(id -> mastery) for the nodes the user has practised.
+// Returns Map(id -> rolled-up mastery) for every node. Unpractised leaves count as 0.
+function rollUpMastery(nodes, own) {
+  const children = childrenByParent(nodes);
+  const rolled = new Map();
+  const visit = (node) => {
+    const parts = (children.get(node.id) || []).map(visit);
+    if (own.has(node.id)) parts.push(own.get(node.id));
+    const value = parts.length > 0 ? Math.round(parts.reduce((sum, part) => sum + part, 0) / parts.length) : 0;
+    rolled.set(node.id, value);
+    return value;
+  };
+  children.get(null).forEach(visit);
+  return rolled;
+}
+
+// Nested [{ ...node, children }] in the order given, with `decorate(node)` merged into each node.
+function buildTaxonomyTree(nodes, decorate = () => ({})) {
+  const children = childrenByParent(nodes);
+  const build = (node) => ({ ...node, ...decorate(node), children: (children.get(node.id) || []).map(build) });
+  return children.get(null).map(build);
+}
+
+// --- DATABASE HELPERS ---
+
+// Active nodes in outline order; nodes without an outline code follow by name.
+async function loadTaxonomy(db) {
+  const result = await db.query(`
+    SELECT topic_id as id, topic_name as name, level, parent_id as "parentId", outline_code as "outlineCode"
+    FROM topics WHERE retired_at IS NULL
+    ORDER BY string_to_array(outline_code, '.')::int[] NULLS LAST, topic_name
+  `);
+  return result.rows;
+}
+
+// Replaces the tags of one item. `primaryTopicId` (questions and flashcards) is always kept.
+async function setContentTags(db, entityType, entityId, topicIds, primaryTopicId = null) {
+  const ids = [...new Set([primaryTopicId, ...topicIds].filter(topicId => topicId !== null))];
+  await db.query('DELETE FROM content_tags WHERE entity_type = $1 AND entity_id = $2 AND NOT (topic_id = ANY($3))', [entityType, entityId, ids]);
+  await db.query(
+    `INSERT INTO content_tags (entity_type, entity_id, topic_id) SELECT $1, $2, unnest($3::int[])
+     ON CONFLICT DO NOTHING`,
+    [entityType, entityId, ids]
+  );
+}
+
+module.exports = {
+  TAXONOMY_LEVELS,
+  TAGGABLE_TYPES,
+  OUTLINE_CODE_PATTERN,
+  placementError,
+  topLevelNodes,
+  rollUpMastery,
+  buildTaxonomyTree,
+  loadTaxonomy,
+  setContentTags
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD, skipReason, startTestApp } = require('./support');
+
+describe('account export and deletion', { skip: skipReason }, () => {
+  let api;
+  let owner;
+  before(async () => {
+    api = await startTestApp();
+    owner = await api.signUp('leaving@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const call = (method, urlPath, who, body) => api.request(method, urlPath, { token: who.token, body });
+
+  it('exports the account without its secrets', async () => {
+    const exported = await call('GET', '/api/user/export', owner);
+    assert.equal(exported.status, 200);
+    const { users, user_stats: stats } = exported.body.tables;
+    assert.equal(users.length, 1);
+    assert.equal(users[0].email, 'leaving@example.com');
+    assert.equal(users[0].password_hash, undefined);
+    assert.equal(stats[0].user_id, owner.user.userId);
+
+    const zip = await call('GET', '/api/user/export?format=zip', owner);
+    assert.equal(zip.status, 200);
+    assert.match(zip.body, /^PK/);
+    assert.equal((await call('GET', '/api/user/export?format=csv', owner)).status, 400);
+  });
+
+  it('asks for the current password before deleting', async () => {
+    const wrong = await call('DELETE', '/api/user', owner, { currentPassword: 'not-my-password' });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.code, 'INVALID_PASSWORD');
+    assert.equal((await call('DELETE', '/api/user', owner, {})).status, 400);
+  });
+
+  it('deletes everything, handing groups over to their longest-standing member', async () => {
+    const shared = await call('POST', '/api/groups', owner, { name: 'Handed over' });
+    const solo = await call('POST', '/api/groups', owner, { name: 'Closed' });
+    const first = await api.signUp('first-member@example.com');
+    const second = await api.signUp('second-member@example.com');
+    for (const who of [first, second]) {
+      assert.equal((await call('POST', '/api/groups/join', who, { inviteCode: shared.body.inviteCode })).status, 201);
+    }
+
+    assert.equal((await call('DELETE', '/api/user', owner, { currentPassword: DEFAULT_PASSWORD })).status, 204);
+
+    const members = await api.pool.query('SELECT user_id, role FROM study_group_members WHERE group_id = $1 ORDER BY user_id', [shared.body.id]);
+    assert.deepEqual(members.rows.map(row => [row.user_id, row.role]), [[first.user.userId, 'instructor'], [second.user.userId, 'member']]);
+    assert.equal((await api.pool.query('SELECT 1 FROM study_groups WHERE group_id = $1', [solo.body.id])).rows.length, 0);
+    assert.equal((await api.pool.query('SELECT 1 FROM user_stats WHERE user_id = $1', [owner.user.userId])).rows.length, 0);
+
+    const login = await api.request('POST', '/api/auth/login', { body: { email: 'leaving@example.com', password: DEFAULT_PASSWORD } });
+    assert.equal(login.status, 401);
+  });
+
+  it('keeps an audit entry that does not hold the email', async () => {
+    const admin = await api.signUpAs('admin', 'auditor@example.com');
+    const events = await call('GET', `/api/admin/users/${owner.user.userId}/account-events`, admin);
+    assert.equal(events.status, 200);
+    assert.deepEqual(events.body.map(event => event.eventType), ['account_deleted', 'data_exported', 'data_exported']);
+    const [deleted] = events.body;
+    assert.match(deleted.details.emailHash, /^[0-9a-f]{64}$/);
+    assert.ok(!JSON.stringify(deleted).includes('leaving@example.com'));
+  });
+});
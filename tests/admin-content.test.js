@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+describe('content administration', { skip: skipReason }, () => {
+  let api;
+  let editor;
+  let learner;
+  let topics;
+  let question;
+  before(async () => {
+    api = await startTestApp();
+    editor = await api.signUpAs('editor', 'content-editor@example.com');
+    learner = await api.signUp('content-learner@example.com');
+    const result = await api.pool.query(`SELECT topic_id, topic_name FROM topics WHERE topic_name IN ('Coaching Structure', 'Ethics/Legal')`);
+    topics = Object.fromEntries(result.rows.map(row => [row.topic_name, row.topic_id]));
+  });
+  after(async () => { await api.close(); });
+
+  const call = (method, urlPath, body, who = editor) => api.request(method, urlPath, { token: who.token, body });
+
+  it('keeps the admin routes to editors', async () => {
+    assert.equal((await call('GET', '/api/admin/questions', undefined, learner)).status, 403);
+    assert.equal((await call('GET', '/api/admin/review-queue', undefined, learner)).status, 403);
+  });
+
+  it('creates a question only with exactly one correct option', async () => {
+    const draft = {
+      topicId: topics['Coaching Structure'],
+      text: 'How long is a typical coaching session?',
+      options: [{ text: '15 minutes' }, { text: '45-60 minutes', isCorrect: true }, { text: 'Half a day' }]
+    };
+    const noAnswer = await call('POST', '/api/admin/questions', { ...draft, options: draft.options.map(option => ({ text: option.text })) });
+    assert.equal(noAnswer.status, 400);
+    assert.match(noAnswer.body.message, /exactly one correct option/);
+
+    const created = await call('POST', '/api/admin/questions', { ...draft, tags: [topics['Ethics/Legal']] });
+    assert.equal(created.status, 201);
+    question = created.body;
+    assert.equal(question.difficulty, 2);
+    assert.deepEqual(question.options.map(option => option.isCorrect), [false, true, false]);
+    // Always tagged with its own topic as well.
+    assert.deepEqual(question.tags, [topics['Coaching Structure'], topics['Ethics/Legal']].sort((a, b) => a - b));
+  });
+
+  it('moves the topic tag along with the question', async () => {
+    const moved = await call('PUT', `/api/admin/questions/${question.id}`, { topicId: topics['Ethics/Legal'], difficulty: 3 });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.text, question.text);
+    assert.equal(moved.body.difficulty, 3);
+    assert.deepEqual(moved.body.tags, [topics['Ethics/Legal']]);
+
+    const tags = await call('PUT', `/api/admin/questions/${question.id}/tags`, { topicIds: [topics['Coaching Structure']] });
+    assert.equal(tags.status, 200);
+    assert.deepEqual(tags.body.map(tag => tag.id).sort((a, b) => a - b), [topics['Coaching Structure'], topics['Ethics/Legal']].sort((a, b) => a - b));
+    assert.deepEqual((await call('GET', `/api/admin/questions/${question.id}/tags`)).body, tags.body);
+  });
+
+  it('answers 404 for a content type it does not know before reading the body', async () => {
+    assert.equal((await call('PUT', `/api/admin/widgets/${question.id}/tags`, { topicIds: 'none' })).status, 404);
+    assert.equal((await call('PUT', `/api/admin/widgets/${question.id}/flags`, { status: 'nope' })).status, 404);
+    assert.equal((await call('PUT', `/api/admin/questions/${question.id}/tags`, { topicIds: 'none' })).status, 400);
+  });
+
+  it('queues flagged items for review and closes their flags', async () => {
+    const flagPath = `/api/questions/${question.id}/flags`;
+    assert.equal((await call('POST', flagPath, { reason: 'other' }, learner)).status, 400);
+    assert.equal((await call('POST', flagPath, { reason: 'typo', comment: 'Missing hyphen' }, learner)).status, 201);
+    assert.equal((await call('POST', flagPath, { reason: 'unclear' }, learner)).status, 409);
+
+    const queue = await call('GET', '/api/admin/review-queue?type=questions');
+    assert.equal(queue.status, 200);
+    const [first] = queue.body.items;
+    assert.equal(first.id, question.id);
+    assert.equal(first.openFlags, 1);
+    assert.deepEqual(first.reasons, { typo: 1 });
+
+    const closed = await call('PUT', `/api/admin/questions/${question.id}/flags`, { status: 'resolved', note: 'Fixed' });
+    assert.deepEqual(closed.body, { closed: 1, status: 'resolved' });
+    assert.equal((await call('PUT', `/api/admin/questions/${question.id}/flags`, { status: 'resolved' })).status, 404);
+    const [flag] = (await call('GET', `/api/admin/questions/${question.id}/flags`)).body;
+    assert.equal(flag.resolvedBy, 'content-editor@example.com');
+  });
+
+  it('hides retired content from learners and the review queue until it is restored', async () => {
+    await call('POST', `/api/questions/${question.id}/flags`, { reason: 'outdated' }, await api.signUp('second-flagger@example.com'));
+
+    assert.equal((await call('DELETE', `/api/admin/questions/${question.id}`)).status, 200);
+    const queue = await call('GET', '/api/admin/review-queue');
+    assert.ok(!queue.body.items.some(item => item.type === 'question' && item.id === question.id));
+    assert.equal((await call('POST', `/api/questions/${question.id}/flags`, { reason: 'typo' }, learner)).status, 404);
+    assert.equal((await call('GET', '/api/admin/questions')).body.some(item => item.id === question.id), false);
+    assert.equal((await call('GET', '/api/admin/questions?includeRetired=true')).body.some(item => item.id === question.id), true);
+
+    assert.equal((await call('POST', `/api/admin/questions/${question.id}/restore`)).status, 200);
+    const restored = await call('GET', '/api/admin/review-queue');
+    assert.ok(restored.body.items.some(item => item.type === 'question' && item.id === question.id));
+  });
+
+  it('records every edit in the history', async () => {
+    const history = await call('GET', `/api/admin/history?entityType=question&entityId=${question.id}`);
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.map(edit => edit.action), ['restore', 'retire', 'tag', 'update', 'create']);
+    assert.ok(history.body.every(edit => edit.editedBy === 'content-editor@example.com'));
+    assert.equal(history.body.find(edit => edit.action === 'update').before.difficulty, 2);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, DEFAULT_PASSWORD, skipReason, startTestApp } = require('./support');
+
+describe('auth token flow', { skip: skipReason }, () => {
+  let api;
+  before(async () => { api = await startTestApp(); });
+  after(async () => { await api.close(); });
+
+  it('registers once per email', async () => {
+    const body = { fullName: 'Ada Learner', email: 'ada@example.com', password: DEFAULT_PASSWORD };
+    const first = await api.request('POST', '/api/auth/register', { body });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.email, 'ada@example.com');
+
+    const again = await api.request('POST', '/api/auth/register', { body });
+    assert.equal(again.status, 409);
+  });
+
+  it('rejects a wrong password', async () => {
+    const result = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'not-the-password' } });
+    assert.equal(result.status, 401);
+  });
+
+  it('logs in with an access token the API accepts', async () => {
+    const login = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: DEFAULT_PASSWORD } });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.refreshToken);
+    assert.equal(login.body.user.role, 'learner');
+
+    const claims = jwt.verify(login.body.token, JWT_SECRET);
+    assert.equal(claims.email, 'ada@example.com');
+
+    const profile = await api.request('GET', '/api/user/profile', { token: login.body.token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.email, 'ada@example.com');
+  });
+
+  it('requires a valid, unexpired access token', async () => {
+    const missing = await api.request('GET', '/api/user/profile');
+    assert.equal(missing.status, 401);
+
+    const garbage = await api.request('GET', '/api/user/profile', { token: 'not-a-jwt' });
+    assert.equal(garbage.status, 403);
+    assert.equal(garbage.body.code, 'INVALID_TOKEN');
+
+    const forged = jwt.sign({ userId: 1, email: 'ada@example.com', role: 'admin' }, 'some-other-secret');
+    assert.equal((await api.request('GET', '/api/user/profile', { token: forged })).status, 403);
+
+    const expired = jwt.sign({ userId: 1, email: 'ada@example.com', role: 'learner' }, JWT_SECRET, { expiresIn: -10 });
+    assert.equal((await api.request('GET', '/api/user/profile', { token: expired })).status, 403);
+  });
+
+  it('rotates refresh tokens and revokes every session when an old one is replayed', async () => {
+    const { refreshToken } = await api.signUp('grace@example.com');
+
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, refreshToken);
+    assert.equal((await api.request('GET', '/api/user/profile', { token: refreshed.body.token })).status, 200);
+
+    const replayed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(replayed.status, 401);
+
+    // The replay revoked the token issued by the legitimate refresh as well.
+    const afterReplay = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+    assert.equal(afterReplay.status, 401);
+  });
+
+  it('stops a refresh token working after logout', async () => {
+    const login = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: DEFAULT_PASSWORD } });
+
+    const logout = await api.request('POST', '/api/auth/logout', { body: { refreshToken: login.body.refreshToken } });
+    assert.equal(logout.status, 204);
+
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it('resets a password with the emailed token', async () => {
+    const requested = await api.request('POST', '/api/auth/password-reset', { body: { email: 'ada@example.com' } });
+    assert.equal(requested.status, 202);
+
+    const mail = api.outbox.find(message => message.to === 'ada@example.com');
+    assert.ok(mail, 'a reset email was sent');
+    const token = new URL(mail.text.match(/http:\/\/app\.test\S+/)[0]).searchParams.get('token');
+
+    const confirmed = await api.request('POST', '/api/auth/password-reset/confirm', { body: { token, password: 'a-brand-new-password' } });
+    assert.equal(confirmed.status, 200);
+
+    const oldPassword = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: DEFAULT_PASSWORD } });
+    assert.equal(oldPassword.status, 401);
+    const newPassword = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'a-brand-new-password' } });
+    assert.equal(newPassword.status, 200);
+  });
+
+  it('throttles one IP trying many accounts', async () => {
+    try {
+      for (let i = 0; i < 50; i++) {
+        const guess = await api.request('POST', '/api/auth/login', { body: { email: `nobody-${i}@example.com`, password: 'a-common-password' } });
+        assert.equal(guess.status, 401);
+      }
+      // The limit is per IP, so even the right password for another account is refused.
+      const blocked = await api.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'a-brand-new-password' } });
+      assert.equal(blocked.status, 429);
+      assert.ok(blocked.body.retryAfter > 0);
+    } finally {
+      await api.pool.query('DELETE FROM failed_logins');
+    }
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+// Reviews follow SM-2: the first two good answers schedule 1 and 6 days out, later ones multiply the
+// interval by the ease factor, and a lapse starts the card over. Ease starts at 2.5 and moves by
+// 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02) for quality q (again 1, hard 3, good 4, easy 5).
+// Learners have no timezone of their own here, so "today" is the UTC date.
+const EARLIEST_TIMEZONE = 'Pacific/Kiritimati'; // UTC+14
+const LATEST_TIMEZONE = 'Pacific/Pago_Pago'; // UTC-11, always at least a day behind
+
+describe('flashcard review', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  let card;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('card-reviewer@example.com');
+    const first = await api.pool.query('SELECT flashcard_id, topic_id FROM flashcards WHERE retired_at IS NULL ORDER BY flashcard_id LIMIT 1');
+    card = { id: first.rows[0].flashcard_id, deckId: first.rows[0].topic_id };
+  });
+  after(async () => { await api.close(); });
+
+  const review = (grade, cardId = card.id) => api.request('POST', `/api/flashcards/${cardId}/review`, { token: learner.token, body: { grade } });
+  const due = (headers) => api.request('GET', '/api/flashcards/due', { token: learner.token, headers });
+  const isDue = async (headers) => (await due(headers)).body.some(dueCard => dueCard.id === card.id);
+
+  // Days from today (UTC) to the card's stored due date.
+  const daysUntilDue = async () => {
+    const result = await api.pool.query(
+      `SELECT due_date - (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date as days FROM flashcard_reviews WHERE user_id = $1 AND flashcard_id = $2`,
+      [learner.user.userId, card.id]
+    );
+    return result.rows[0].days;
+  };
+
+  const setDueDate = (sql) => api.pool.query(
+    `UPDATE flashcard_reviews SET due_date = ${sql} WHERE user_id = $1 AND flashcard_id = $2`,
+    [learner.user.userId, card.id]
+  );
+
+  it('queues every card as due before its first review', async () => {
+    const total = await api.pool.query('SELECT COUNT(*)::int as count FROM flashcards WHERE retired_at IS NULL');
+    const result = await due();
+    assert.equal(result.status, 200);
+    assert.equal(result.body.length, total.rows[0].count);
+
+    const deck = await api.request('GET', `/api/flashcards/decks/${card.deckId}/due`, { token: learner.token });
+    assert.equal(deck.status, 200);
+    assert.ok(deck.body.length > 0);
+    assert.ok(deck.body.every(dueCard => dueCard.deckId === card.deckId));
+  });
+
+  it('schedules reviews on the SM-2 intervals', async () => {
+    const expected = [
+      ['good', { intervalDays: 1, repetitions: 1, easeFactor: 2.5, lapses: 0 }],
+      ['good', { intervalDays: 6, repetitions: 2, easeFactor: 2.5, lapses: 0 }],
+      // round(6 * 2.5), and an easy answer raises the ease.
+      ['easy', { intervalDays: 15, repetitions: 3, easeFactor: 2.6, lapses: 0 }],
+      // A lapse starts the card over and costs 0.54 of ease.
+      ['again', { intervalDays: 1, repetitions: 0, easeFactor: 2.06, lapses: 1 }],
+      ['hard', { intervalDays: 1, repetitions: 1, easeFactor: 1.92, lapses: 1 }]
+    ];
+    for (const [grade, schedule] of expected) {
+      const result = await review(grade);
+      assert.equal(result.status, 200);
+      const { intervalDays, repetitions, easeFactor, lapses } = result.body;
+      assert.deepEqual({ intervalDays, repetitions, easeFactor, lapses }, schedule, `after "${grade}"`);
+      assert.equal(await daysUntilDue(), schedule.intervalDays);
+    }
+  });
+
+  it('keeps reviewed cards out of the due queue until their date arrives', async () => {
+    assert.equal(await isDue(), false);
+
+    await setDueDate(`(CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date`);
+    assert.equal(await isDue(), true);
+  });
+
+  it("counts the due date in the learner's timezone", async () => {
+    await setDueDate(`(CURRENT_TIMESTAMP AT TIME ZONE '${EARLIEST_TIMEZONE}')::date`);
+    assert.equal(await isDue({ 'X-Timezone': EARLIEST_TIMEZONE }), true);
+    assert.equal(await isDue({ 'X-Timezone': LATEST_TIMEZONE }), false);
+  });
+
+  it('rejects unknown grades and cards', async () => {
+    assert.equal((await review('perfect')).status, 400);
+    assert.equal((await review('good', 999999)).status, 404);
+  });
+
+  it('reports the reviews as study activity in analytics', async () => {
+    const heatmap = await api.request('GET', '/api/analytics/heatmap', { token: learner.token });
+    assert.equal(heatmap.status, 200);
+    const today = heatmap.body.days[heatmap.body.days.length - 1];
+    // The five scheduled reviews above; the rejected ones were not logged.
+    assert.equal(today.activities.flashcards, 5);
+    assert.equal(today.count, 5);
+
+    const studyTime = await api.request('GET', '/api/analytics/study-time', { token: learner.token });
+    assert.equal(studyTime.status, 200);
+    const [period] = studyTime.body.items;
+    assert.equal(period.sittings, 1);
+    assert.ok(period.minutes >= 1);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+describe('study groups', { skip: skipReason }, () => {
+  let api;
+  let instructor;
+  let member;
+  let group;
+  before(async () => {
+    api = await startTestApp();
+    instructor = await api.signUp('group-instructor@example.com');
+    member = await api.signUp('group-member@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const call = (method, urlPath, who, body) => api.request(method, urlPath, { token: who.token, body });
+  const roles = async (groupId) => {
+    const result = await api.pool.query('SELECT user_id, role FROM study_group_members WHERE group_id = $1 ORDER BY user_id', [groupId]);
+    return result.rows;
+  };
+
+  it('makes the creator the instructor and lets others join with the invite code', async () => {
+    const created = await call('POST', '/api/groups', instructor, { name: 'Tuesday cohort' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.role, 'instructor');
+    group = created.body;
+
+    const joined = await call('POST', '/api/groups/join', member, { inviteCode: group.inviteCode.toLowerCase() });
+    assert.equal(joined.status, 201);
+    assert.equal(joined.body.role, 'member');
+    assert.equal((await call('POST', '/api/groups/join', member, { inviteCode: group.inviteCode })).status, 409);
+
+    const view = await call('GET', `/api/groups/${group.id}`, member);
+    assert.equal(view.status, 200);
+    assert.equal(view.body.members.length, 2);
+    assert.equal(view.body.inviteCode, undefined);
+
+    const outsider = await api.signUp('group-outsider@example.com');
+    assert.equal((await call('GET', `/api/groups/${group.id}`, outsider)).status, 404);
+  });
+
+  it('leaves member management to instructors', async () => {
+    const promote = await call('PUT', `/api/groups/${group.id}/members/${member.user.userId}`, member, { role: 'instructor' });
+    assert.equal(promote.status, 403);
+    const remove = await call('DELETE', `/api/groups/${group.id}/members/${instructor.user.userId}`, member);
+    assert.equal(remove.status, 403);
+    assert.equal((await call('GET', `/api/groups/${group.id}/mastery`, member)).status, 403);
+    assert.equal((await call('GET', `/api/groups/${group.id}/mastery`, instructor)).status, 200);
+  });
+
+  it('keeps an instructor while the group has members', async () => {
+    const demote = await call('PUT', `/api/groups/${group.id}/members/${instructor.user.userId}`, instructor, { role: 'member' });
+    assert.equal(demote.status, 409);
+    const leave = await call('DELETE', `/api/groups/${group.id}/members/${instructor.user.userId}`, instructor);
+    assert.equal(leave.status, 409);
+    assert.deepEqual((await roles(group.id)).map(row => row.role), ['instructor', 'member']);
+  });
+
+  it('lets only one of two instructors leaving at the same moment go', async () => {
+    const other = await api.signUp('co-instructor@example.com');
+    assert.equal((await call('POST', '/api/groups/join', other, { inviteCode: group.inviteCode })).status, 201);
+    const promoted = await call('PUT', `/api/groups/${group.id}/members/${other.user.userId}`, instructor, { role: 'instructor' });
+    assert.equal(promoted.status, 200);
+
+    const results = await Promise.all([instructor, other].map(who => call('DELETE', `/api/groups/${group.id}/members/${who.user.userId}`, who)));
+    assert.deepEqual(results.map(result => result.status).sort(), [204, 409]);
+    const remaining = await roles(group.id);
+    assert.equal(remaining.length, 2);
+    assert.equal(remaining.filter(row => row.role === 'instructor').length, 1);
+
+    // Carry on with whoever stayed as the instructor.
+    instructor = results[0].status === 409 ? instructor : other;
+  });
+
+  it('ranks members on the leaderboard and hides those who opted out from others', async () => {
+    await api.pool.query(`INSERT INTO point_events (user_id, points, source) VALUES ($1, 40, 'quiz')`, [member.user.userId]);
+
+    const board = await call('GET', `/api/groups/${group.id}/leaderboard`, instructor);
+    assert.equal(board.status, 200);
+    assert.equal(board.body.range, 'weekly');
+    assert.deepEqual(board.body.entries.map(entry => [entry.userId, entry.rank, entry.points]), [
+      [member.user.userId, 1, 40],
+      [instructor.user.userId, 2, 0]
+    ]);
+
+    assert.equal((await call('PUT', '/api/user/preferences', member, { leaderboardOptOut: true })).status, 200);
+    const hidden = await call('GET', `/api/groups/${group.id}/leaderboard`, instructor);
+    assert.deepEqual(hidden.body.entries.map(entry => entry.userId), [instructor.user.userId]);
+    const own = await call('GET', `/api/groups/${group.id}/leaderboard`, member);
+    assert.ok(own.body.entries.some(entry => entry.isYou && entry.hidden));
+    await call('PUT', '/api/user/preferences', member, { leaderboardOptOut: false });
+  });
+
+  it('runs a challenge as one quiz per member', async () => {
+    const questions = await api.pool.query('SELECT question_id FROM questions WHERE retired_at IS NULL ORDER BY question_id LIMIT 3');
+    const questionIds = questions.rows.map(row => row.question_id);
+    assert.equal((await call('POST', `/api/groups/${group.id}/challenges`, member, { title: 'Not mine to set', questionIds })).status, 403);
+
+    const created = await call('POST', `/api/groups/${group.id}/challenges`, instructor, { title: 'Warm-up', questionIds });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.questionCount, 3);
+    const challengePath = `/api/groups/${group.id}/challenges/${created.body.id}`;
+
+    const started = await call('POST', `${challengePath}/sessions`, member);
+    assert.equal(started.status, 201);
+    assert.deepEqual(started.body.questions.map(question => question.id), questionIds);
+    const resumed = await call('POST', `${challengePath}/sessions`, member);
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.sessionId, started.body.sessionId);
+
+    const [first] = started.body.questions;
+    const correct = await api.pool.query('SELECT option_text FROM question_options WHERE question_id = $1 AND is_correct', [first.id]);
+    await call('POST', `/api/quizzes/${started.body.sessionId}/answers`, member, { questionId: first.id, answer: correct.rows[0].option_text });
+    assert.equal((await call('POST', '/api/quizzes/submit', member, { sessionId: started.body.sessionId })).status, 200);
+
+    const results = await call('GET', challengePath, instructor);
+    assert.equal(results.status, 200);
+    assert.deepEqual(results.body.results.map(result => [result.userId, result.rank, result.score]), [[member.user.userId, 1, 33]]);
+    assert.equal((await call('POST', `${challengePath}/sessions`, member)).status, 409);
+  });
+
+  it('closes the group when its last member leaves', async () => {
+    const solo = await call('POST', '/api/groups', member, { name: 'Just me' });
+    assert.equal((await call('DELETE', `/api/groups/${solo.body.id}/members/${member.user.userId}`, member)).status, 204);
+    const remaining = await api.pool.query('SELECT 1 FROM study_groups WHERE group_id = $1', [solo.body.id]);
+    assert.equal(remaining.rows.length, 0);
+  });
+});
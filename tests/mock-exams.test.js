@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+// A mock exam has up to 150 items; the fixtures have fewer questions than that, so it takes all of them.
+describe('mock exams', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  let exam;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('exam-taker@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const call = (method, urlPath, body, token = learner.token) => api.request(method, urlPath, { token, body });
+  const correctOption = async (questionId) => {
+    const result = await api.pool.query('SELECT option_text FROM question_options WHERE question_id = $1 AND is_correct', [questionId]);
+    return result.rows[0].option_text;
+  };
+
+  it('starts one exam at a time over every available question', async () => {
+    const available = await api.pool.query('SELECT COUNT(*)::int as count FROM questions WHERE retired_at IS NULL');
+    const started = await call('POST', '/api/mock-exams');
+    assert.equal(started.status, 201);
+    assert.equal(started.body.totalQuestions, Math.min(150, available.rows[0].count));
+    exam = started.body;
+
+    const again = await call('POST', '/api/mock-exams');
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'MOCK_EXAM_IN_PROGRESS');
+    assert.equal(again.body.examId, exam.examId);
+  });
+
+  it('hides the answers while the exam is open', async () => {
+    const result = await call('GET', `/api/mock-exams/${exam.examId}`);
+    assert.equal(result.status, 200);
+    assert.equal(result.body.items.length, exam.totalQuestions);
+    assert.ok(result.body.items.every(item => item.answer === null && item.correct === null && item.explanation === null));
+    assert.equal(result.body.report, null);
+
+    const other = await api.signUp('exam-peeker@example.com');
+    assert.equal((await call('GET', `/api/mock-exams/${exam.examId}`, undefined, other.token)).status, 404);
+  });
+
+  it('saves answers and flags, and grades them when finished', async () => {
+    const { items } = (await call('GET', `/api/mock-exams/${exam.examId}`)).body;
+    const [first, second, third] = items;
+    const itemPath = (item) => `/api/mock-exams/${exam.examId}/items/${item.position}`;
+
+    assert.equal((await call('PUT', itemPath(first), { answer: await correctOption(first.id) })).status, 200);
+    const secondAnswer = await correctOption(second.id);
+    assert.equal((await call('PUT', itemPath(second), { answer: second.options.find(option => option !== secondAnswer) })).status, 200);
+    assert.equal((await call('PUT', itemPath(third), { flagged: true })).status, 200);
+    assert.equal((await call('PUT', itemPath(third), { answer: 'Not an option' })).status, 400);
+    assert.equal((await call('PUT', itemPath(third), {})).status, 400);
+
+    const finished = await call('POST', `/api/mock-exams/${exam.examId}/finish`);
+    assert.equal(finished.status, 200);
+    assert.equal(finished.body.totalQuestions, exam.totalQuestions);
+    assert.equal(finished.body.correctAnswers, 1);
+    assert.equal(finished.body.unanswered, exam.totalQuestions - 2);
+    assert.equal(finished.body.flagged, 1);
+    assert.equal(finished.body.score, Math.round(100 / exam.totalQuestions));
+
+    const review = await call('GET', `/api/mock-exams/${exam.examId}`);
+    assert.equal(review.body.status, 'completed');
+    assert.equal(review.body.items[0].correct, true);
+    assert.equal(review.body.items[1].correct, false);
+    assert.equal(review.body.items[1].answer, secondAnswer);
+
+    const late = await call('PUT', itemPath(third), { answer: await correctOption(third.id) });
+    assert.equal(late.status, 409);
+    assert.equal(late.body.code, 'MOCK_EXAM_ENDED');
+  });
+
+  it('closes an exam once its time limit has passed', async () => {
+    const started = await call('POST', '/api/mock-exams');
+    assert.equal(started.status, 201);
+    await api.pool.query(`UPDATE mock_exams SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE exam_id = $1`, [started.body.examId]);
+
+    const result = await call('GET', `/api/mock-exams/${started.body.examId}`);
+    assert.equal(result.body.status, 'completed');
+    assert.equal(result.body.report.unanswered, started.body.totalQuestions);
+
+    const list = await call('GET', '/api/mock-exams');
+    assert.deepEqual(list.body.map(item => item.status), ['completed', 'completed']);
+  });
+});
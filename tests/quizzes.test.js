@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+// Every fixture question is medium difficulty (2) and filed under its flashcard's domain, so a quiz
+// over one domain moves exactly one rating. Expected values follow mastery.js by hand: the rating
+// starts at -2 and each answer adds k * (outcome - sigmoid(rating)), with k = 0.1 + 0.5 * 20 / (20 + attempts).
+// The 0-100 score rescales sigmoid(rating) so that the starting rating reads 0.
+const DOMAIN = 'Ethics/Legal';
+const QUIZ_DURATION = 1; // minutes; the shortest quiz has 3 questions
+
+describe('POST /api/quizzes/submit', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  let missedQuestionId;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('quiz-taker@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const startQuiz = async (token = learner.token) => {
+    const result = await api.request('POST', '/api/quizzes', { token, body: { topic: DOMAIN, duration: QUIZ_DURATION } });
+    assert.equal(result.status, 201);
+    assert.equal(result.body.questions.length, 3);
+    return result.body;
+  };
+
+  const correctOption = async (questionId) => {
+    const result = await api.pool.query('SELECT option_text FROM question_options WHERE question_id = $1 AND is_correct', [questionId]);
+    return result.rows[0].option_text;
+  };
+
+  const wrongOption = async (question) => {
+    const correct = await correctOption(question.id);
+    return question.options.find(option => option !== correct);
+  };
+
+  const answer = (sessionId, questionId, option) => api.request('POST', `/api/quizzes/${sessionId}/answers`, {
+    token: learner.token, body: { questionId, answer: option }
+  });
+
+  const storedMastery = async () => {
+    const result = await api.pool.query(`
+      SELECT um.rating, um.attempts, um.mastery_score FROM user_mastery um
+      JOIN topics t ON t.topic_id = um.topic_id
+      WHERE um.user_id = $1 AND t.topic_name = $2
+    `, [learner.user.userId, DOMAIN]);
+    return result.rows[0];
+  };
+
+  it('scores a perfect quiz and raises mastery from the starting rating', async () => {
+    const quiz = await startQuiz();
+    for (const question of quiz.questions) {
+      const result = await answer(quiz.sessionId, question.id, await correctOption(question.id));
+      assert.equal(result.status, 200);
+      assert.equal(result.body.correct, true);
+    }
+
+    const submitted = await api.request('POST', '/api/quizzes/submit', { token: learner.token, body: { sessionId: quiz.sessionId } });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.correctAnswers, 3);
+    assert.equal(submitted.body.totalQuestions, 3);
+    assert.equal(submitted.body.score, 100);
+    // 10 points per correct answer plus 50 for a perfect score.
+    assert.equal(submitted.body.pointsEarned, 80);
+    // Rating -2 -> -1.4715 -> -1.0029 -> -0.5972, which reads as 27.
+    assert.deepEqual(submitted.body.mastery, { [DOMAIN]: 27 });
+
+    const stored = await storedMastery();
+    assert.equal(stored.attempts, 3);
+    assert.equal(stored.mastery_score, 27);
+    assert.ok(Math.abs(stored.rating - -0.5972) < 0.001, `rating ${stored.rating}`);
+  });
+
+  it('counts unanswered questions as misses, so mastery can fall', async () => {
+    const quiz = await startQuiz();
+    const [first, second] = quiz.questions;
+    missedQuestionId = first.id;
+    const miss = await answer(quiz.sessionId, first.id, await wrongOption(first));
+    assert.equal(miss.body.correct, false);
+    assert.equal(miss.body.answer, await correctOption(first.id));
+    await answer(quiz.sessionId, second.id, await correctOption(second.id));
+
+    const submitted = await api.request('POST', '/api/quizzes/submit', { token: learner.token, body: { sessionId: quiz.sessionId } });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.correctAnswers, 1);
+    assert.equal(submitted.body.totalQuestions, 3);
+    assert.equal(submitted.body.score, 33);
+    assert.equal(submitted.body.pointsEarned, 10);
+    // Miss, hit, then the unanswered miss: -0.5972 -> -0.6288 overall, which reads as 26.
+    assert.deepEqual(submitted.body.mastery, { [DOMAIN]: 26 });
+
+    const stored = await storedMastery();
+    assert.equal(stored.attempts, 6);
+    assert.ok(Math.abs(stored.rating - -0.6288) < 0.001, `rating ${stored.rating}`);
+  });
+
+  it('rolls the domain mastery up with its unpractised subtopics', async () => {
+    const result = await api.request('GET', '/api/taxonomy', { token: learner.token });
+    assert.equal(result.status, 200);
+    const domain = result.body.find(node => node.name === DOMAIN);
+    assert.equal(domain.ownMastery, 26);
+    assert.ok(domain.children.length > 0);
+    // Each child subtree reads 0, and the domain's own rating counts as one more part.
+    assert.equal(domain.mastery, Math.round(26 / (domain.children.length + 1)));
+  });
+
+  it('refuses to submit a quiz twice', async () => {
+    const quiz = await startQuiz();
+    assert.equal((await api.request('POST', '/api/quizzes/submit', { token: learner.token, body: { sessionId: quiz.sessionId } })).status, 200);
+    const again = await api.request('POST', '/api/quizzes/submit', { token: learner.token, body: { sessionId: quiz.sessionId } });
+    assert.equal(again.status, 409);
+  });
+
+  it("does not let another user submit someone's quiz", async () => {
+    const quiz = await startQuiz();
+    const other = await api.signUp('someone-else@example.com');
+    const result = await api.request('POST', '/api/quizzes/submit', { token: other.token, body: { sessionId: quiz.sessionId } });
+    assert.equal(result.status, 404);
+  });
+
+  it('returns 404 for an unknown quiz session and for topics without questions', async () => {
+    const missing = await api.request('POST', '/api/quizzes/submit', { token: learner.token, body: { sessionId: 999999 } });
+    assert.equal(missing.status, 404);
+
+    const empty = await api.request('POST', '/api/quizzes', { token: learner.token, body: { topic: 'No Such Topic' } });
+    assert.equal(empty.status, 404);
+  });
+
+  it('reports the graded answers in analytics', async () => {
+    const result = await api.request('GET', '/api/analytics/accuracy', { token: learner.token });
+    assert.equal(result.status, 200);
+    // Answers given in the quizzes above; questions left unanswered are not graded answers.
+    const [today] = result.body.items;
+    assert.deepEqual({ topic: today.topic, answered: today.answered, correct: today.correct }, { topic: DOMAIN, answered: 5, correct: 4 });
+    assert.equal(today.accuracy, 80);
+
+    const otherTopic = await api.request('GET', '/api/analytics/accuracy?topic=No%20Such%20Topic', { token: learner.token });
+    assert.equal(otherTopic.status, 200);
+    assert.deepEqual(otherTopic.body.items, []);
+  });
+
+  it('lists the missed questions in analytics', async () => {
+    const result = await api.request('GET', '/api/analytics/missed-questions', { token: learner.token });
+    assert.equal(result.status, 200);
+    // Only the wrong answer in the second quiz; the question left unanswered was never graded.
+    const missed = result.body.items.map(item => item.questionId);
+    assert.deepEqual(missed, [missedQuestionId]);
+    assert.equal(result.body.items[0].missed, 1);
+    assert.equal(result.body.items[0].topic, DOMAIN);
+  });
+
+  it('rejects an analytics range that ends before it starts', async () => {
+    const result = await api.request('GET', '/api/analytics/accuracy?from=2024-02-01&to=2024-01-01', { token: learner.token });
+    assert.equal(result.status, 400);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+describe('remediation after a missed question', { skip: skipReason }, () => {
+  let api;
+  let editor;
+  let learner;
+  let missed;
+  let related;
+  let flashcardId;
+  before(async () => {
+    api = await startTestApp();
+    editor = await api.signUpAs('editor', 'remediation-editor@example.com');
+    learner = await api.signUp('remediation-learner@example.com');
+
+    const questions = await api.pool.query('SELECT question_id FROM questions WHERE retired_at IS NULL ORDER BY question_id LIMIT 2');
+    [missed, related] = questions.rows.map(row => row.question_id);
+    const card = await api.pool.query('SELECT flashcard_id FROM flashcards WHERE retired_at IS NULL ORDER BY flashcard_id LIMIT 1');
+    flashcardId = card.rows[0].flashcard_id;
+  });
+  after(async () => { await api.close(); });
+
+  const remediationPath = (questionId) => `/api/questions/${questionId}/remediation`;
+  const author = (body) => api.request('PUT', `/api/admin/questions/${missed}/remediation`, { token: editor.token, body });
+
+  it('lets editors author tiers, references and links, but only to content that exists', async () => {
+    const broken = await author({ links: [{ type: 'question', id: 999999 }] });
+    assert.equal(broken.status, 400);
+
+    const result = await author({
+      explanations: [{ label: 'Another angle', text: 'Think of it as a checklist.' }],
+      references: [{ source: 'Coaching Psychology Manual', chapter: '4', pages: '61-63' }],
+      links: [{ type: 'flashcard', id: flashcardId }, { type: 'question', id: related }]
+    });
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.explanations, [{ label: 'Another angle', text: 'Think of it as a checklist.' }]);
+
+    const asLearner = await api.request('PUT', `/api/admin/questions/${missed}/remediation`, { token: learner.token, body: {} });
+    assert.equal(asLearner.status, 403);
+  });
+
+  it('shows nothing for a question the learner has not answered', async () => {
+    assert.equal((await api.request('GET', remediationPath(missed), { token: learner.token })).status, 404);
+  });
+
+  it('steps through the explanations and offers the linked content once answered', async () => {
+    const session = await api.pool.query(
+      `INSERT INTO quiz_sessions (user_id, topic_names, mode) VALUES ($1, '{}', 'random') RETURNING session_id`,
+      [learner.user.userId]
+    );
+    await api.pool.query(
+      'INSERT INTO quiz_attempts (session_id, user_id, question_id, is_correct) VALUES ($1, $2, $3, false)',
+      [session.rows[0].session_id, learner.user.userId, missed]
+    );
+
+    const result = await api.request('GET', remediationPath(missed), { token: learner.token });
+    assert.equal(result.status, 200);
+    // The question's own explanation comes first, then the authored tiers.
+    assert.deepEqual(result.body.explanations.map(tier => tier.label), ['Explanation', 'Another angle']);
+    assert.equal(result.body.references[0].source, 'Coaching Psychology Manual');
+    assert.deepEqual(result.body.flashcards.map(card => card.id), [flashcardId]);
+    assert.deepEqual(result.body.relatedQuestions.map(question => question.id), [related]);
+    // Related questions come as quiz questions, without their answers.
+    assert.ok(result.body.relatedQuestions[0].options.every(option => typeof option === 'string'));
+
+    const quiz = await api.request('POST', `${remediationPath(missed)}/quiz`, { token: learner.token });
+    assert.equal(quiz.status, 201);
+    assert.equal(quiz.body.mode, 'remediation');
+    assert.deepEqual(quiz.body.questions.map(question => question.id), [related]);
+  });
+
+  it('skips links to content that has since been retired', async () => {
+    await api.pool.query('UPDATE questions SET retired_at = CURRENT_TIMESTAMP WHERE question_id = $1', [related]);
+    try {
+      const result = await api.request('GET', remediationPath(missed), { token: learner.token });
+      assert.deepEqual(result.body.relatedQuestions, []);
+      assert.equal((await api.request('POST', `${remediationPath(missed)}/quiz`, { token: learner.token })).status, 404);
+    } finally {
+      await api.pool.query('UPDATE questions SET retired_at = NULL WHERE question_id = $1', [related]);
+    }
+  });
+});
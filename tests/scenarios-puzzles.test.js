@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+const UNKNOWN_ID = 999999;
+
+describe('scenario and puzzle 404s', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('explorer@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const get = (urlPath, token = learner.token) => api.request('GET', urlPath, { token });
+  const post = (urlPath, body = {}, token = learner.token) => api.request('POST', urlPath, { token, body });
+
+  const retire = (table, key, id) => api.pool.query(`UPDATE ${table} SET retired_at = CURRENT_TIMESTAMP WHERE ${key} = $1`, [id]);
+  const restore = (table, key, id) => api.pool.query(`UPDATE ${table} SET retired_at = NULL WHERE ${key} = $1`, [id]);
+
+  describe('scenarios', () => {
+    let scenarioId;
+    before(async () => {
+      const list = await get('/api/scenarios');
+      assert.equal(list.status, 200);
+      scenarioId = list.body[0].id;
+    });
+
+    it('serves a fixture scenario', async () => {
+      assert.equal((await get(`/api/scenarios/${scenarioId}`)).status, 200);
+    });
+
+    it('returns 404 for an unknown scenario', async () => {
+      const result = await get(`/api/scenarios/${UNKNOWN_ID}`);
+      assert.equal(result.status, 404);
+      assert.match(result.body.message, /Scenario not found/);
+      assert.equal((await post(`/api/scenarios/${UNKNOWN_ID}/runs`)).status, 404);
+    });
+
+    it('returns 404 for a retired scenario', async () => {
+      await retire('scenarios', 'scenario_id', scenarioId);
+      try {
+        assert.equal((await get(`/api/scenarios/${scenarioId}`)).status, 404);
+        assert.equal((await post(`/api/scenarios/${scenarioId}/runs`)).status, 404);
+        assert.ok(!(await get('/api/scenarios')).body.some(scenario => scenario.id === scenarioId));
+      } finally {
+        await restore('scenarios', 'scenario_id', scenarioId);
+      }
+    });
+
+    it("returns 404 for an unknown run and for someone else's run", async () => {
+      assert.equal((await post(`/api/scenarios/runs/${UNKNOWN_ID}/choices`, { choiceIndex: 0 })).status, 404);
+
+      const run = await post(`/api/scenarios/${scenarioId}/runs`);
+      assert.equal(run.status, 201);
+      const other = await api.signUp('other-explorer@example.com');
+      const result = await post(`/api/scenarios/runs/${run.body.runId}/choices`, { choiceIndex: 0 }, other.token);
+      assert.equal(result.status, 404);
+    });
+
+    it('awards points only for the first completed run of a scenario', async () => {
+      const playThrough = async () => {
+        const run = await post(`/api/scenarios/${scenarioId}/runs`);
+        let step;
+        do {
+          step = await post(`/api/scenarios/runs/${run.body.runId}/choices`, { choiceIndex: 0 });
+          assert.equal(step.status, 200);
+        } while (!step.body.completed);
+        return step.body;
+      };
+      const points = async () => (await api.pool.query('SELECT points FROM user_stats WHERE user_id = $1', [learner.user.userId])).rows[0].points;
+
+      const before = await points();
+      const first = await playThrough();
+      assert.ok(first.pointsEarned > 0);
+      assert.equal(first.pointsEarned, first.runScore);
+      assert.equal(await points(), before + first.pointsEarned);
+
+      const replay = await playThrough();
+      assert.equal(replay.runScore, first.runScore);
+      assert.equal(replay.pointsEarned, 0);
+      assert.equal(await points(), before + first.pointsEarned);
+    });
+
+    it('rejects an id that is not a number before looking it up', async () => {
+      assert.equal((await get('/api/scenarios/not-a-number')).status, 400);
+    });
+  });
+
+  describe('puzzles', () => {
+    let puzzleId;
+    before(async () => {
+      const list = await get('/api/puzzles');
+      assert.equal(list.status, 200);
+      puzzleId = list.body[0].id;
+    });
+
+    it('serves a fixture puzzle', async () => {
+      assert.equal((await get(`/api/puzzles/${puzzleId}`)).status, 200);
+    });
+
+    it('returns 404 for an unknown puzzle', async () => {
+      const result = await get(`/api/puzzles/${UNKNOWN_ID}`);
+      assert.equal(result.status, 404);
+      assert.match(result.body.message, /Puzzle not found/);
+      assert.equal((await post(`/api/puzzles/${UNKNOWN_ID}/attempts`, { order: [] })).status, 404);
+    });
+
+    it('returns 404 for a retired puzzle and records no attempt', async () => {
+      await retire('puzzles', 'puzzle_id', puzzleId);
+      try {
+        assert.equal((await get(`/api/puzzles/${puzzleId}`)).status, 404);
+        assert.equal((await post(`/api/puzzles/${puzzleId}/attempts`, { order: [] })).status, 404);
+        const attempts = await api.pool.query('SELECT COUNT(*)::int as count FROM puzzle_attempts WHERE puzzle_id = $1', [puzzleId]);
+        assert.equal(attempts.rows[0].count, 0);
+      } finally {
+        await restore('puzzles', 'puzzle_id', puzzleId);
+      }
+    });
+
+    it('keeps one open deal per matching puzzle until an attempt uses it', async () => {
+      const matching = (await get('/api/puzzles')).body.find(puzzle => puzzle.type === 'matching');
+      const deals = async () => (await api.pool.query('SELECT COUNT(*)::int as count FROM puzzle_deals WHERE user_id = $1', [learner.user.userId])).rows[0].count;
+
+      const first = (await get(`/api/puzzles/${matching.id}`)).body;
+      const reloaded = (await get(`/api/puzzles/${matching.id}`)).body;
+      assert.equal(reloaded.dealId, first.dealId);
+      assert.deepEqual(reloaded.terms, first.terms);
+      assert.equal(await deals(), 1);
+
+      const attempt = { dealId: first.dealId, matches: [] };
+      assert.equal((await post(`/api/puzzles/${matching.id}/attempts`, attempt)).status, 200);
+      assert.equal(await deals(), 0);
+      const resent = await post(`/api/puzzles/${matching.id}/attempts`, attempt);
+      assert.equal(resent.status, 404);
+      assert.match(resent.body.message, /Puzzle deal not found/);
+
+      assert.notEqual((await get(`/api/puzzles/${matching.id}`)).body.dealId, first.dealId);
+    });
+
+    it("rejects an answer that does not fit the puzzle's type", async () => {
+      const list = (await get('/api/puzzles')).body;
+      const ordering = list.find(puzzle => puzzle.type === 'ordering');
+      const matching = list.find(puzzle => puzzle.type === 'matching');
+
+      assert.equal((await post(`/api/puzzles/${ordering.id}/attempts`, { matches: [] })).status, 400);
+      const { dealId } = (await get(`/api/puzzles/${matching.id}`)).body;
+      const result = await post(`/api/puzzles/${matching.id}/attempts`, { dealId, matches: [null] });
+      assert.equal(result.status, 400);
+      assert.equal(result.body.errors[0].field, 'matches[0]');
+    });
+  });
+});
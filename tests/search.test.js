@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+describe('search', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('searcher@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const search = (query) => api.request('GET', `/api/search?${new URLSearchParams(query)}`, { token: learner.token });
+  const startQuiz = (body) => api.request('POST', '/api/search/quiz', { token: learner.token, body });
+
+  it('groups highlighted matches by type and topic', async () => {
+    const result = await search({ q: 'motivational interviewing' });
+    assert.equal(result.status, 200);
+    assert.equal(result.body.query, 'motivational interviewing');
+    assert.deepEqual(Object.keys(result.body.results), ['questions', 'flashcards', 'scenarios']);
+
+    const [deck] = result.body.results.flashcards;
+    assert.equal(deck.topic, 'Coaching Process');
+    assert.equal(deck.action.path, `/api/flashcards/decks/${deck.topicId}`);
+    const [best] = deck.results;
+    assert.equal(best.title, '<mark>Motivational</mark> <mark>Interviewing</mark>');
+    assert.equal(best.action.type, 'deck');
+  });
+
+  it('searches only the types and topic asked for', async () => {
+    const result = await search({ q: 'motivational interviewing', types: 'flashcards', topic: 'Ethics/Legal' });
+    assert.equal(result.status, 200);
+    assert.deepEqual(Object.keys(result.body.results), ['flashcards']);
+    assert.ok(result.body.results.flashcards.every(group => group.topic === 'Ethics/Legal'));
+
+    assert.equal((await search({ q: 'm' })).status, 400);
+    assert.equal((await search({ q: 'motivation', types: 'videos' })).status, 400);
+  });
+
+  it('leaves retired content out', async () => {
+    const card = await api.pool.query(`SELECT flashcard_id FROM flashcards WHERE term = 'Motivational Interviewing'`);
+    const cardId = card.rows[0].flashcard_id;
+    await api.pool.query('UPDATE flashcards SET retired_at = CURRENT_TIMESTAMP WHERE flashcard_id = $1', [cardId]);
+    try {
+      const result = await search({ q: 'motivational interviewing', types: 'flashcards' });
+      const ids = result.body.results.flashcards.flatMap(group => group.results.map(item => item.id));
+      assert.ok(!ids.includes(cardId));
+    } finally {
+      await api.pool.query('UPDATE flashcards SET retired_at = NULL WHERE flashcard_id = $1', [cardId]);
+    }
+  });
+
+  it('starts a quiz from chosen results, from matches or from a topic', async () => {
+    const matches = await search({ q: 'motivational interviewing', types: 'questions' });
+    const questionIds = matches.body.results.questions.flatMap(group => group.results.map(item => item.id)).slice(0, 2);
+    assert.ok(questionIds.length > 0);
+
+    const chosen = await startQuiz({ questionIds });
+    assert.equal(chosen.status, 201);
+    assert.equal(chosen.body.mode, 'search');
+    assert.deepEqual(chosen.body.questions.map(question => question.id), questionIds);
+
+    const matched = await startQuiz({ q: 'motivational interviewing', questions: 3 });
+    assert.equal(matched.status, 201);
+    assert.ok(matched.body.questions.length > 0 && matched.body.questions.length <= 3);
+
+    const byTopic = await startQuiz({ topic: 'Coaching Structure', questions: 4 });
+    assert.equal(byTopic.status, 201);
+    assert.equal(byTopic.body.questions.length, 4);
+    assert.ok(byTopic.body.questions.every(question => question.topic === 'Coaching Structure'));
+
+    assert.equal((await startQuiz({})).status, 400);
+    assert.equal((await startQuiz({ q: 'zzzzqqqq' })).status, 404);
+  });
+});
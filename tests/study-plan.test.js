@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Learners have no timezone of their own here, so "today" is the UTC date.
+const daysFromToday = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+describe('study plan', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  let plan;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('planner@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const call = (method, urlPath, body) => api.request(method, urlPath, { token: learner.token, body });
+  const settings = { examDate: daysFromToday(30), minutesPerDay: 60, studyDays: ['mon', 'wed', 'fri'] };
+
+  it('has nothing to show before a plan is made', async () => {
+    assert.equal((await call('GET', '/api/study-plan')).status, 404);
+    assert.equal((await call('GET', '/api/study-plan/calendar.ics')).status, 404);
+    assert.equal((await call('POST', '/api/study-plan/feed-token')).status, 404);
+  });
+
+  it('schedules the chosen weekdays from today until the exam', async () => {
+    const result = await call('POST', '/api/study-plan', { settings });
+    assert.equal(result.status, 200);
+    plan = result.body;
+    assert.deepEqual(plan.settings, settings);
+    assert.equal(plan.plan.startDate, daysFromToday(0));
+    assert.ok(plan.plan.days.length >= 12);
+    for (const day of plan.plan.days) {
+      assert.ok(day.date >= daysFromToday(0) && day.date < settings.examDate, day.date);
+      assert.ok(settings.studyDays.includes(WEEKDAYS[new Date(`${day.date}T00:00:00Z`).getUTCDay()]), day.date);
+      assert.equal(day.minutes, 60);
+      assert.ok(day.activities.length > 0);
+    }
+    assert.equal(plan.plan.totals.studyDays, plan.plan.days.length);
+
+    const saved = await call('GET', '/api/study-plan');
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.plan.days, plan.plan.days);
+  });
+
+  it('refuses an exam date that has passed', async () => {
+    const result = await call('POST', '/api/study-plan', { settings: { ...settings, examDate: daysFromToday(-1) } });
+    assert.equal(result.status, 400);
+    assert.match(result.body.errors[0], /examDate/);
+  });
+
+  it('serves the plan as a calendar feed whose URL can be replaced', async () => {
+    const calendar = await call('GET', '/api/study-plan/calendar.ics');
+    assert.equal(calendar.status, 200);
+    assert.match(calendar.body, /^BEGIN:VCALENDAR/);
+    // One event per study day, plus the exam itself.
+    assert.equal((calendar.body.match(/BEGIN:VEVENT/g) || []).length, plan.plan.days.length + 1);
+
+    const feedPath = new URL(plan.feedUrl).pathname;
+    const feed = await api.request('GET', feedPath);
+    assert.equal(feed.status, 200);
+    assert.equal(feed.body, calendar.body);
+
+    const rotated = await call('POST', '/api/study-plan/feed-token');
+    assert.equal(rotated.status, 200);
+    assert.equal((await api.request('GET', feedPath)).status, 404);
+    assert.equal((await api.request('GET', new URL(rotated.body.feedUrl).pathname)).status, 200);
+  });
+});
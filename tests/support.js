@@ -0,0 +1,158 @@
+// =================================================================
+// NBHWC PLATFORM - INTEGRATION TEST SUPPORT
+// =================================================================
+// Each test file gets the real app on a random port, backed by a
+// throwaway database that is created, migrated and filled with
+// fixtures before the tests and dropped afterwards. The fixtures are
+// the bundled taxonomy, scenarios and puzzles, the flashcards from
+// flashcards.csv, and one multiple-choice question per flashcard
+// (pick the term for the definition; the other options are terms
+// from the same topic).
+//
+// TEST_DATABASE_URL must point at a Postgres server (any database on
+// it) as a role that may create databases. Without it the suites are
+// skipped locally, and fail when CI is set, so a CI run cannot pass
+// without having run them.
+//
+//   TEST_DATABASE_URL=postgres://localhost/postgres npm test
+// =================================================================
+
+const path = require('path');
+const { Pool } = require('pg');
+const { createApp } = require('../app');
+const { migrateUp } = require('../migrate');
+const { loadContentFile, importContent } = require('../import-content');
+const { createLogger } = require('../logger');
+const { createMailer } = require('../mailer');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_FILES = ['taxonomy.json', 'flashcards.csv', 'scenarios.json', 'puzzles.json'];
+const QUESTION_OPTIONS = 4;
+const JWT_SECRET = 'integration-tests-only-not-a-real-secret';
+const DEFAULT_PASSWORD = 'correct-horse-battery';
+
+if (!process.env.TEST_DATABASE_URL && process.env.CI) {
+  throw new Error('TEST_DATABASE_URL is not set. The integration tests need a Postgres server and are not skipped in CI.');
+}
+const skipReason = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const databaseUrl = (name) => {
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  return url.toString();
+};
+
+// Local test servers rarely offer SSL; DATABASE_SSL=true turns it on as for the app.
+const connect = (connectionString) => new Pool({
+  connectionString,
+  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+});
+
+// One question per flashcard, in the importer's normalized form.
+function flashcardQuestions(flashcards) {
+  return flashcards.map(card => {
+    const distractors = flashcards
+      .filter(other => other.topic === card.topic && other.term !== card.term)
+      .slice(0, QUESTION_OPTIONS - 1);
+    return {
+      key: `flashcard-question-${card.key}`,
+      topic: card.topic,
+      text: `Which term matches: "${card.definition}"?`,
+      difficulty: 2,
+      explanation: `${card.term}: ${card.definition}`,
+      eli5: null,
+      options: [card, ...distractors].map((option, i) => ({ text: option.term, isCorrect: i === 0 })),
+      tags: []
+    };
+  });
+}
+
+async function loadFixtures(pool) {
+  const records = {};
+  for (const file of FIXTURE_FILES) Object.assign(records, await loadContentFile(path.join(ROOT, file)));
+  records.questions = flashcardQuestions(records.flashcards);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await importContent(client, records, { log: () => {} });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Creates the database, starts the app and returns helpers to call it. `close` tears everything down.
+async function startTestApp() {
+  const name = `nbhwc_test_${process.pid}_${Date.now()}`;
+  const admin = connect(process.env.TEST_DATABASE_URL);
+  await admin.query(`CREATE DATABASE ${name}`);
+
+  const pool = connect(databaseUrl(name));
+  const outbox = [];
+  let server;
+  try {
+    await migrateUp(pool, () => {});
+    await loadFixtures(pool);
+
+    const app = createApp({
+      pool,
+      config: { jwtSecret: JWT_SECRET, appUrl: 'http://app.test', trustProxy: false },
+      logger: createLogger({ level: 'error', stream: process.stderr }),
+      mailer: createMailer({ send: async (message) => { outbox.push(message); } })
+    });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  } catch (error) {
+    await pool.end();
+    await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.end();
+    throw error;
+  }
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Calls the API and returns { status, body }. JSON responses are parsed, others (CSV, iCalendar) come back
+  // as text, and an empty response as null.
+  async function request(method, urlPath, { token, body, headers: extraHeaders = {} } = {}) {
+    const headers = { ...extraHeaders };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${baseUrl}${urlPath}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, body: !text ? null : isJson ? JSON.parse(text) : text };
+  }
+
+  // Registers a learner and logs in; returns the login response ({ token, refreshToken, user }).
+  async function signUp(email, password = DEFAULT_PASSWORD) {
+    const registered = await request('POST', '/api/auth/register', { body: { fullName: 'Test Learner', email, password } });
+    if (registered.status !== 201) throw new Error(`Registering ${email} failed with ${registered.status}.`);
+    const login = await request('POST', '/api/auth/login', { body: { email, password } });
+    if (login.status !== 200) throw new Error(`Logging in ${email} failed with ${login.status}.`);
+    return login.body;
+  }
+
+  // Registers a user, gives them `role` (editor or admin) and logs in so the token carries it.
+  async function signUpAs(role, email, password = DEFAULT_PASSWORD) {
+    const { user } = await signUp(email, password);
+    await pool.query('UPDATE users SET role = $1 WHERE user_id = $2', [role, user.userId]);
+    const login = await request('POST', '/api/auth/login', { body: { email, password } });
+    if (login.status !== 200) throw new Error(`Logging in ${email} failed with ${login.status}.`);
+    return login.body;
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+    await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.end();
+  }
+
+  return { pool, outbox, request, signUp, signUpAs, close };
+}
+
+module.exports = { JWT_SECRET, DEFAULT_PASSWORD, skipReason, startTestApp };
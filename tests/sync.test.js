@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startTestApp } = require('./support');
+
+// Uploaded quizzes earn 10 points per question answered correctly for the first time, and uploads
+// earn at most 300 points per UTC day. Work recorded more than 7 days ago is stored as stale.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_UPLOADED_POINTS_PER_DAY = 300;
+
+describe('offline sync', { skip: skipReason }, () => {
+  let api;
+  let learner;
+  before(async () => {
+    api = await startTestApp();
+    learner = await api.signUp('offline-learner@example.com');
+  });
+  after(async () => { await api.close(); });
+
+  const upload = (...operations) => api.request('POST', '/api/sync/uploads', { token: learner.token, body: { operations } });
+
+  const startQuiz = async (topic) => {
+    const result = await api.request('POST', '/api/quizzes', { token: learner.token, body: { topic, duration: 1 } });
+    assert.equal(result.status, 201);
+    return result.body;
+  };
+
+  // Every question answered correctly, as the offline client would record it.
+  const perfectAnswers = async (quiz) => {
+    const answers = [];
+    for (const question of quiz.questions) {
+      const result = await api.pool.query('SELECT option_text FROM question_options WHERE question_id = $1 AND is_correct', [question.id]);
+      answers.push({ questionId: question.id, answer: result.rows[0].option_text });
+    }
+    return answers;
+  };
+
+  const points = async () => (await api.pool.query('SELECT points FROM user_stats WHERE user_id = $1', [learner.user.userId])).rows[0].points;
+
+  it('downloads content without answers, and nothing again once the client is current', async () => {
+    const first = await api.request('GET', '/api/sync/content', { token: learner.token });
+    assert.equal(first.status, 200);
+    const questions = first.body.topics.flatMap(topic => topic.questions || []);
+    assert.ok(questions.length > 0);
+    for (const question of questions) {
+      assert.equal(question.explanation, undefined);
+      assert.ok(question.options.every(option => Object.keys(option).sort().join() === 'id,text'));
+    }
+    assert.ok(first.body.scenarios.items.every(scenario => scenario.nodes.every(node => node.outcome === undefined && node.score === undefined)));
+
+    const known = [...first.body.topics.map(topic => `${topic.topicId}:${topic.version}`), `scenarios:${first.body.scenarios.version}`].join(',');
+    const again = await api.request('GET', `/api/sync/content?known=${encodeURIComponent(known)}`, { token: learner.token });
+    assert.equal(again.status, 200);
+    assert.ok(again.body.topics.every(topic => !topic.changed && topic.questions === undefined));
+    assert.equal(again.body.scenarios.changed, false);
+  });
+
+  it('applies an operation once per idempotency key', async () => {
+    const quiz = await startQuiz('Ethics/Legal');
+    const operation = { key: 'quiz-1', type: 'quiz', recordedAt: new Date().toISOString(), sessionId: quiz.sessionId, answers: await perfectAnswers(quiz) };
+    const before = await points();
+
+    const first = await upload(operation);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.applied, 1);
+    const [applied] = first.body.results;
+    assert.equal(applied.status, 'applied');
+    assert.equal(applied.result.correctAnswers, 3);
+    // No perfect-score bonus for uploads.
+    assert.equal(applied.result.pointsEarned, 30);
+    assert.equal(await points(), before + 30);
+
+    const retried = await upload(operation);
+    assert.equal(retried.body.applied, 0);
+    const [duplicate] = retried.body.results;
+    assert.equal(duplicate.status, 'duplicate');
+    assert.equal(duplicate.originalStatus, 'applied');
+    assert.deepEqual(duplicate.result, applied.result);
+    assert.equal(await points(), before + 30);
+
+    // The same quiz under a new key finds it already finished.
+    const resent = await upload({ ...operation, key: 'quiz-1-again' });
+    assert.equal(resent.body.results[0].status, 'rejected');
+    assert.equal(await points(), before + 30);
+  });
+
+  it('caps the points uploads earn in a day', async () => {
+    await api.pool.query(
+      `INSERT INTO point_events (user_id, points, source) VALUES ($1, $2, 'offline_quiz')`,
+      [learner.user.userId, MAX_UPLOADED_POINTS_PER_DAY - 30 - 5]
+    );
+    const quiz = await startQuiz('Coaching Structure');
+    const result = await upload({ key: 'quiz-2', type: 'quiz', recordedAt: new Date().toISOString(), sessionId: quiz.sessionId, answers: await perfectAnswers(quiz) });
+    assert.equal(result.body.results[0].status, 'applied');
+    assert.equal(result.body.results[0].result.correctAnswers, 3);
+    // 30 earned, but only 5 left of the day's allowance.
+    assert.equal(result.body.results[0].result.pointsEarned, 5);
+
+    const earned = await api.pool.query(
+      `SELECT SUM(points)::int as total FROM point_events WHERE user_id = $1 AND source IN ('offline_quiz', 'offline_scenario')`,
+      [learner.user.userId]
+    );
+    assert.equal(earned.rows[0].total, MAX_UPLOADED_POINTS_PER_DAY);
+  });
+
+  it('stores work recorded more than a week ago as stale without applying it', async () => {
+    const card = await api.pool.query('SELECT flashcard_id FROM flashcards WHERE retired_at IS NULL ORDER BY flashcard_id LIMIT 1');
+    const cardId = card.rows[0].flashcard_id;
+    const operation = { key: 'old-review', type: 'flashcard_review', recordedAt: new Date(Date.now() - 8 * DAY_MS).toISOString(), flashcardId: cardId, grade: 'good' };
+
+    const result = await upload(operation);
+    assert.equal(result.body.applied, 0);
+    assert.equal(result.body.results[0].status, 'stale');
+    const reviews = await api.pool.query('SELECT 1 FROM flashcard_reviews WHERE user_id = $1 AND flashcard_id = $2', [learner.user.userId, cardId]);
+    assert.equal(reviews.rows.length, 0);
+
+    const retried = await upload(operation);
+    assert.equal(retried.body.results[0].status, 'duplicate');
+    assert.equal(retried.body.results[0].originalStatus, 'stale');
+
+    // Six days ago is still inside the window.
+    const recent = await upload({ ...operation, key: 'recent-review', recordedAt: new Date(Date.now() - 6 * DAY_MS).toISOString() });
+    assert.equal(recent.body.results[0].status, 'applied');
+  });
+
+  it('rejects a quiz recorded before it was started', async () => {
+    const quiz = await startQuiz('Health & Wellness');
+    const result = await upload({
+      key: 'quiz-before-start', type: 'quiz', recordedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      sessionId: quiz.sessionId, answers: await perfectAnswers(quiz)
+    });
+    assert.equal(result.body.results[0].status, 'rejected');
+    assert.match(result.body.results[0].error, /before/);
+  });
+
+  it('reports malformed operations without storing them', async () => {
+    const result = await upload({ key: 'no-type', recordedAt: new Date().toISOString() }, { type: 'quiz' });
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.results.map(r => r.status), ['invalid', 'invalid']);
+    const stored = await api.pool.query(`SELECT 1 FROM sync_operations WHERE user_id = $1 AND idempotency_key = 'no-type'`, [learner.user.userId]);
+    assert.equal(stored.rows.length, 0);
+  });
+});
@@ -0,0 +1,201 @@
+// =================================================================
+// NBHWC PLATFORM - REQUEST VALIDATION
+// =================================================================
+// Small schema builders for route input. A schema is a function
+// (value, path, errors) -> value that reports problems into
+// `errors` and returns the value converted to its proper type, so
+// "7" in a query string arrives in the route as the number 7.
+// Fields are required unless wrapped in optional(). Keys a schema
+// does not mention are passed through untouched.
+//
+//   app.post('/x/:id', validate({
+//     params: { id: id() },
+//     body: { grade: oneOf(['again', 'good']), note: optional(string({ max: 200 })) }
+//   }), handler);
+//
+// Deeper rules that need the database or span several fields stay
+// in the routes and helpers.
+// =================================================================
+
+const { ApiError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Postgres INT columns; larger ids would fail in the query instead of with a clear message.
+const MAX_ID = 2147483647;
+
+function fail(errors, path, message) {
+  errors.push({ field: path, message });
+}
+
+function optional(schema, defaultValue) {
+  const check = (value, path, errors) => (value === undefined ? defaultValue : schema(value, path, errors));
+  check.optional = true;
+  return check;
+}
+
+function nullable(schema) {
+  const check = (value, path, errors) => (value === null ? null : schema(value, path, errors));
+  check.optional = schema.optional;
+  return check;
+}
+
+function string({ min = 1, max = 255, trim = true, pattern = null, patternMessage = 'has the wrong format' } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'string') return fail(errors, path, 'must be text');
+    const text = trim ? value.trim() : value;
+    if (text.length < min || text.length > max) {
+      return fail(errors, path, min === max ? `must be ${min} characters` : `must be ${min} to ${max} characters`);
+    }
+    if (pattern && !pattern.test(text)) return fail(errors, path, patternMessage);
+    return text;
+  };
+}
+
+const email = () => string({ max: 255, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be an email address' });
+
+// Accepts numbers, and numeric strings from the query string or the URL.
+function integer({ min = -MAX_ID, max = MAX_ID } = {}) {
+  return (value, path, errors) => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return fail(errors, path, `must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+  };
+}
+
+const id = () => integer({ min: 1 });
+
+function boolean() {
+  return (value, path, errors) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return fail(errors, path, 'must be true or false');
+  };
+}
+
+function oneOf(values) {
+  return (value, path, errors) => {
+    if (!values.includes(value)) return fail(errors, path, `must be one of: ${values.join(', ')}`);
+    return value;
+  };
+}
+
+// A calendar date as YYYY-MM-DD.
+function date() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value) {
+      return fail(errors, path, 'must be a date in YYYY-MM-DD format');
+    }
+    return value;
+  };
+}
+
+// An ISO 8601 timestamp; kept as the original string.
+function timestamp() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) return fail(errors, path, 'must be an ISO 8601 timestamp');
+    return value;
+  };
+}
+
+function array(item, { min = 0, max = 1000, unique = false } = {}) {
+  return (value, path, errors) => {
+    if (!Array.isArray(value)) return fail(errors, path, 'must be a list');
+    if (value.length < min || value.length > max) return fail(errors, path, `must list ${min} to ${max} items`);
+    const before = errors.length;
+    const items = value.map((element, index) => item(element, `${path}[${index}]`, errors));
+    if (errors.length === before && unique && new Set(items.map(element => JSON.stringify(element))).size !== items.length) {
+      return fail(errors, path, 'must not contain duplicates');
+    }
+    return items;
+  };
+}
+
+// A list sent as one comma-separated query parameter, e.g. ?types=questions,flashcards.
+function commaList(item, options) {
+  const check = array(item, options);
+  return (value, path, errors) => check(typeof value === 'string' ? value.split(',').filter(Boolean) : value, path, errors);
+}
+
+function object(shape) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(errors, path || 'body', 'must be an object');
+    const result = { ...value };
+    for (const [key, schema] of Object.entries(shape)) {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined && !schema.optional) {
+        fail(errors, fieldPath, 'is required');
+        continue;
+      }
+      const checked = schema(value[key], fieldPath, errors);
+      if (checked !== undefined) result[key] = checked;
+      else delete result[key];
+    }
+    return result;
+  };
+}
+
+// An object used as a map, e.g. { "item text": "category" }, with every value checked against `item`.
+function mapOf(item, { max = 1000 } = {}) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(errors, path, 'must be an object');
+    const entries = Object.entries(value);
+    if (entries.length > max) return fail(errors, path, `must have at most ${max} entries`);
+    return Object.fromEntries(entries.map(([key, element]) => [key, item(element, `${path}.${key}`, errors)]));
+  };
+}
+
+// Anything at all; for fields that a domain validator checks in full (e.g. scenario graphs).
+const any = () => (value) => value;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const validationError = (errors) => new ApiError(400, `${errors[0].field} ${errors[0].message}.`, 'VALIDATION_FAILED', { errors });
+
+// Middleware checking req.params, req.query and req.body against plain shapes of schemas.
+// Every problem is reported at once in a single 400.
+function validate(schemas) {
+  const checks = LOCATIONS.filter(location => schemas[location]).map(location => [location, object(schemas[location])]);
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+    for (const [location, check] of checks) {
+      const locationErrors = [];
+      values[location] = check(req[location] || {}, '', locationErrors);
+      errors.push(...locationErrors.map(error => ({ location, ...error })));
+    }
+    if (errors.length > 0) return next(validationError(errors));
+    for (const [location] of checks) req[location] = values[location];
+    next();
+  };
+}
+
+// Checks input whose shape is only known inside the route, such as a body that depends on a stored
+// record. Returns the checked value or throws the same 400 as validate().
+function checkInput(location, shape, value) {
+  const errors = [];
+  const checked = object(shape)(value || {}, '', errors);
+  if (errors.length > 0) throw validationError(errors.map(error => ({ location, ...error })));
+  return checked;
+}
+
+module.exports = {
+  validate,
+  checkInput,
+  optional,
+  nullable,
+  string,
+  email,
+  integer,
+  id,
+  boolean,
+  oneOf,
+  date,
+  timestamp,
+  array,
+  commaList,
+  object,
+  mapOf,
+  any
+};